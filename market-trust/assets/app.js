@@ -2,11 +2,15 @@ function utcNowISO() {
   return new Date().toISOString();
 }
 
-function makeRecordId() {
-  const now = new Date();
-  const year = now.getUTCFullYear();
-  const seq = String(Math.floor(Math.random() * 100000)).padStart(5, '0');
-  return `GLO-MKT-QD-${year}-${seq}`;
+// GLO-MKT-<node>-<device>-<year>-<seq>: the node part is the node ID without
+// its "market-node-" prefix (market-node-qd-01 -> QD-01; NODE_ID_PATTERN keeps
+// that one-to-one), device is the issuing browser's ID and seq its ledger
+// sequence for the node (ledger.js). Sequences are only unique per device,
+// so the device part is what keeps two devices of one node apart.
+function makeRecordId(nodeId, deviceId, seq, declaredAt) {
+  const node = nodeId.replace(/^market-node-/, '').toUpperCase();
+  const year = declaredAt.slice(0, 4);
+  return `GLO-MKT-${node}-${deviceId}-${year}-${String(seq).padStart(6, '0')}`;
 }
 
 async function sha256Hex(text) {
@@ -15,12 +19,55 @@ async function sha256Hex(text) {
   return Array.from(new Uint8Array(buf)).map(b => b.toString(16).padStart(2, '0')).join('');
 }
 
-function buildStatementCN(goodsName, qty, place) {
-  return `上述商户声明：于所示时间，自所示地点出货${goodsName}${qty}。`;
+// Records of schema market-trust-record/2 and later hash their canonical form
+// (see canonical.js). Earlier records hashed the form fields as entered, in this
+// key order; they still verify. issueRecord and the verify page both go
+// through here.
+async function computeStatementHash(record) {
+  if (CANONICAL_SCHEMAS.includes(record.schema_version)) {
+    return 'sha256:' + await sha256Hex(canonicalRecordText(record));
+  }
+  return computeLegacyStatementHash(record);
+}
+
+async function computeLegacyStatementHash(record) {
+  return 'sha256:' + await sha256Hex(JSON.stringify({
+    merchantName: record.merchant.merchant_name,
+    merchantId: record.merchant.merchant_id,
+    keyId: record.merchant.key_id,
+    nodeId: record.signing.node_id,
+    goodsName: record.dispatch.goods_name,
+    goodsQty: record.dispatch.goods_quantity,
+    dispatchPlace: record.dispatch.dispatch_place,
+    note: record.dispatch.note,
+    declaredAt: record.declaration.declared_at
+  }));
+}
+
+// Statement texts for a record's `dispatch`. Records from
+// market-trust-record/3 on have structured goods and quantity (goods.js);
+// earlier ones only the goods and quantity as typed, used as they were.
+function buildStatementCN(dispatch) {
+  const what = dispatch.goods && dispatch.quantity
+    ? `${dispatch.goods.name_cn}${quantityTextCN(dispatch.quantity)}`
+    : `${dispatch.goods_name}${dispatch.goods_quantity}`;
+  return `上述商户声明：于所示时间，自所示地点出货${what}。`;
+}
+
+function buildStatementEN(dispatch) {
+  const what = dispatch.goods && dispatch.quantity
+    ? quantityTextEN(dispatch.quantity, dispatch.goods)
+    : `${dispatch.goods_quantity} ${dispatch.goods_name}`;
+  return `The above merchant declared that a shipment of ${what} was dispatched from the stated place on the stated date and time.`;
 }
 
-function buildStatementEN(goodsName, qty, place) {
-  return `The above merchant declared that a shipment of ${qty} ${goodsName} was dispatched from the stated place on the stated date and time.`;
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
 }
 
 function downloadFile(filename, content, type) {
@@ -33,13 +80,60 @@ function downloadFile(filename, content, type) {
   URL.revokeObjectURL(url);
 }
 
+// Certificates carry their record as JSON so the verify page can check a
+// downloaded HTML file on its own.
+const CERTIFICATE_RECORD_ID = 'market-trust-record';
+
+function embedRecordJson(record) {
+  return JSON.stringify(record).replace(/</g, '\\u003c');
+}
+
+const VERIFY_URL = 'https://goldisle.org/market-trust/verify/';
+
+// What the certificate's QR code holds: the verify page URL with
+// #mt1=<record ID>.<base64url> where the bytes are the statement hash (32),
+// merchant and node signatures (64 each) and merchant and node public keys
+// (32 each), so both signatures can be checked from the QR code alone.
+function qrPayloadUrl(record) {
+  const s = record.signing;
+  const parts = [
+    Uint8Array.from(s.statement_hash.slice('sha256:'.length).match(/../g), h => parseInt(h, 16)),
+    ...[s.merchant_signature, s.node_signature, s.merchant_public_key, s.node_public_key].map(v => base64UrlToBytes(stripEd25519Prefix(v)))
+  ];
+  const bytes = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let pos = 0;
+  for (const part of parts) {
+    bytes.set(part, pos);
+    pos += part.length;
+  }
+  return `${VERIFY_URL}#mt1=${encodeURIComponent(record.record_id)}.${bytesToBase64Url(bytes)}`;
+}
+
+// Inline SVG QR code for a certificate; empty for records without Ed25519
+// signatures.
+function certificateQrSvg(record) {
+  try {
+    return qrSvg(encodeQr(qrPayloadUrl(record)));
+  } catch (e) {
+    return '';
+  }
+}
+
+// No script runs in a certificate: the policy allows only its inline styles.
+const CERTIFICATE_CSP = "default-src 'none'; style-src 'unsafe-inline'; base-uri 'none'; form-action 'none'";
+
+// Every record value goes through escapeHtml; the QR SVG is generated here
+// and the embedded JSON is escaped by embedRecordJson.
 function generateCertificateHtml(record) {
+  const qr = certificateQrSvg(record);
+  const e = escapeHtml;
   return `<!DOCTYPE html>
 <html lang="zh-CN">
 <head>
   <meta charset="UTF-8" />
+  <meta http-equiv="Content-Security-Policy" content="${CERTIFICATE_CSP}" />
   <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-  <title>${record.record_id} | Proof of Place of Dispatch</title>
+  <title>${e(record.record_id)} | Proof of Place of Dispatch</title>
   <style>
     body{margin:0;font-family:"Times New Roman",Georgia,serif;background:#f5f2eb;color:#1f1c17;}
     .wrap{max-width:1000px;margin:0 auto;padding:30px 18px 50px;}
@@ -56,6 +150,7 @@ function generateCertificateHtml(record) {
     .card{border:1px solid #ddd4c8;border-radius:14px;padding:16px;background:#fff;margin-bottom:16px;}
     .mono{font-family:ui-monospace,SFMono-Regular,Menlo,Consolas,monospace;font-size:13px;word-break:break-all;line-height:1.6;}
     .seal{width:150px;height:150px;border:1px solid rgba(157,121,61,.35);border-radius:50%;display:flex;align-items:center;justify-content:center;text-align:center;margin:0 auto 20px;color:#7d5f2a;background:radial-gradient(circle at center, rgba(157,121,61,.14), rgba(157,121,61,.03));}
+    .qr svg{display:block;width:100%;max-width:220px;height:auto;margin:0 auto 18px;}
     .foot{padding:16px 36px;border-top:1px solid #ddd4c8;background:#fbf8f2;color:#6c655d;font-size:12px;line-height:1.8;}
     @media (max-width: 820px){.body{grid-template-columns:1fr}.main{border-right:none;border-bottom:1px solid #ddd4c8}}
   </style>
@@ -71,21 +166,22 @@ function generateCertificateHtml(record) {
       <div class="body">
         <div class="main">
           <div class="label">Merchant / 商户</div>
-          <div class="value">${record.merchant.merchant_name}</div>
+          <div class="value" data-field="merchant.merchant_name">${e(record.merchant.merchant_name)}</div>
 
           <div class="label">Dispatch Place / 出货地</div>
-          <div class="value">${record.dispatch.dispatch_place}</div>
+          <div class="value" data-field="dispatch.dispatch_place">${e(record.dispatch.dispatch_place)}</div>
 
           <div class="label">Declaration / 申报内容</div>
-          <div class="card">${record.declaration.statement_text_en}<br><span style="color:#6c655d">${record.declaration.statement_text_cn}</span></div>
+          <div class="card"><span data-field="declaration.statement_text_en">${e(record.declaration.statement_text_en)}</span><br><span style="color:#6c655d" data-field="declaration.statement_text_cn">${e(record.declaration.statement_text_cn)}</span></div>
 
           <div class="label">Goods / 商品</div>
-          <div class="value">${record.dispatch.goods_name} · ${record.dispatch.goods_quantity}</div>
+          <div class="value"><span data-field="dispatch.goods_name">${e(record.dispatch.goods_name)}</span> · <span data-field="dispatch.goods_quantity">${e(record.dispatch.goods_quantity)}</span>${record.dispatch.goods ? `<br><span style="color:#6c655d">${record.dispatch.goods.hs_code ? `HS <span data-field="dispatch.goods.hs_code">${e(record.dispatch.goods.hs_code)}</span>` : '未列入商品目录 / Not in the goods catalogue'}</span>` : ''}</div>
 
-          <div class="card"><strong>Record ID / 记录编号</strong><br>${record.record_id}</div>
-          <div class="card"><strong>Issued Time / 出证时间</strong><br>${record.declaration.declared_at}</div>
-          <div class="card mono"><strong>Statement Hash / 声明哈希</strong><br>${record.signing.statement_hash}</div>
-          <div class="card mono"><strong>Node Signature / 节点签名</strong><br>${record.signing.node_signature}</div>
+          <div class="card"><strong>Record ID / 记录编号</strong><br><span data-field="record_id">${e(record.record_id)}</span></div>
+          <div class="card"><strong>Issued Time / 出证时间</strong><br><span data-field="declaration.declared_at">${e(record.declaration.declared_at)}</span></div>
+          <div class="card mono"><strong>Statement Hash / 声明哈希</strong><br><span data-field="signing.statement_hash">${e(record.signing.statement_hash)}</span>${record.schema_version ? `<br><span style="color:#6c655d">${e(record.schema_version)} · canonical JSON (sorted keys, NFC) · signatures excluded</span>` : ''}</div>
+          <div class="card mono"><strong>Merchant Signature / 商户签名</strong><br><span data-field="signing.merchant_signature">${e(record.signing.merchant_signature)}</span><br><br><strong>Merchant Public Key / 商户公钥</strong> (${e(record.merchant.key_id)})<br><span data-field="signing.merchant_public_key">${e(record.signing.merchant_public_key)}</span></div>
+          <div class="card mono"><strong>Node Signature / 节点签名</strong><br><span data-field="signing.node_signature">${e(record.signing.node_signature)}</span><br><br><strong>Node Public Key / 节点公钥</strong> (${e(record.signing.node_key_id)})<br><span data-field="signing.node_public_key">${e(record.signing.node_public_key)}</span></div>
         </div>
         <div class="side">
           <div class="seal">Issued by<br>Goldisle Light Org (UK)</div>
@@ -94,42 +190,104 @@ function generateCertificateHtml(record) {
           <div class="label">Certifying Signatory / 出证人</div>
           <div class="value">Evan Bei</div>
           <div class="label">Node / 节点</div>
-          <div class="value">${record.signing.node_id}</div>
-          <div class="label">Important Notice / 重要说明</div>
+          <div class="value" data-field="signing.node_id">${e(record.signing.node_id)}</div>
+${isStandInSigning(record.signing) ? `          <div class="card">Stand-in countersignature: not issued by the node. / 替代密钥副签：并非节点签发。</div>
+` : ''}${record.ledger ? `          <div class="label">Ledger Sequence / 台账序号</div>
+          <div class="value" data-field="ledger.sequence">${e(record.ledger.sequence)}</div>
+` : ''}${qr ? `          <div class="label">Scan to Verify / 扫码核验</div>
+          <div class="qr">${qr}</div>
+` : ''}          <div class="label">Important Notice / 重要说明</div>
           <div class="card">本证明记录的是商户自申报及节点系统签发事实。除非另行升级为更高等级审计流程，本证明并不独立验证货物数量、质量或外部事实真伪。<br><br>This certificate records a merchant self-declaration and the fact of issuance by the node system. Unless separately upgraded to a higher audit process, this certificate does not independently verify the physical quantity, quality, or external factual truth of the goods.</div>
         </div>
       </div>
-      <div class="foot">Verification reference available through record ID, statement hash, and node signature. / 可通过记录编号、声明哈希与节点签名进行核验。</div>
+      <div class="foot">Verification reference available through record ID, statement hash, and node signature. / 可通过记录编号、声明哈希与节点签名进行核验。<br>Verify this file at / 核验地址：${VERIFY_URL}<br>The QR code carries the record ID, statement hash, signatures and public keys; scanning it opens the verify page, which checks the signatures and, given this file or its JSON, that they belong to this record. / 二维码含记录编号、声明哈希、签名与公钥，扫码即可在核验页检查签名，并可与本文件或记录 JSON 比对。<br>Signatures: Ed25519. The merchant signs the statement hash; the node signs the statement hash and the merchant signature. The hash covers the whole record except the signatures. / 签名算法 Ed25519：商户签署声明哈希，节点对声明哈希与商户签名进行副签；哈希覆盖除签名外的全部记录字段。</div>
     </div>
   </div>
+  <script type="application/json" id="${CERTIFICATE_RECORD_ID}">${embedRecordJson(record)}</script>
 </body>
 </html>`;
 }
 
-async function generateRecord() {
-  const merchantName = document.getElementById('merchantName').value.trim();
-  const merchantId = document.getElementById('merchantId').value.trim();
-  const keyId = document.getElementById('keyId').value.trim();
-  const nodeId = document.getElementById('nodeId').value.trim();
-  const goodsName = document.getElementById('goodsName').value.trim();
-  const goodsQty = document.getElementById('goodsQty').value.trim();
-  const dispatchPlace = document.getElementById('dispatchPlace').value.trim();
-  const note = document.getElementById('note').value.trim();
-
-  if (!goodsName || !goodsQty || !dispatchPlace) {
-    alert('请先填写商品名称、数量和出货地。');
-    return;
+// What a merchant may enter. Text fields take letters and digits in any
+// script plus common punctuation, so no control characters, bidi overrides
+// or markup end up in a signed record; IDs are ASCII slugs, node IDs
+// lowercase ones after "market-node-" so each gives its own record ID part.
+// Goods names are text too; quantities are checked by resolveDispatch.
+const FIELD_RULES = {
+  merchantName: { cn: '商户名称', en: 'Merchant name', max: 80 },
+  merchantId: { cn: '商户编号', en: 'Merchant ID', max: 64, id: true },
+  keyId: { cn: '密钥编号', en: 'Key ID', max: 64, id: true },
+  nodeId: { cn: '节点编号', en: 'Node ID', max: 64, node: true },
+  goods: { cn: '商品名称', en: 'Goods name', max: 80 },
+  dispatchPlace: { cn: '出货地', en: 'Dispatch place', max: 160 },
+  note: { cn: '备注', en: 'Note', max: 200 }
+};
+const TEXT_PATTERN = /^[\p{L}\p{M}\p{N} .,;:!?'"()[\]/&+#%*@_·、，。；：！？（）【】“”‘’—–-]*$/u;
+const ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const NODE_ID_PATTERN = /^market-node-[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Messages for the normalized `fields` (keys as in FIELD_RULES) that break
+// the rules. Empty fields are left to the caller.
+function fieldProblems(fields) {
+  const problems = [];
+  for (const [name, value] of Object.entries(fields)) {
+    const rule = FIELD_RULES[name];
+    if (!rule || !value) continue;
+    const chars = [...value];
+    if (chars.length > rule.max) {
+      problems.push(`${rule.cn}不能超过 ${rule.max} 个字符 / ${rule.en} is longer than ${rule.max} characters`);
+    } else if (rule.id) {
+      if (!ID_PATTERN.test(value)) problems.push(`${rule.cn}只能包含字母、数字、“.”、“_”和“-” / ${rule.en} may only contain A–Z, 0–9, ".", "_" and "-"`);
+    } else if (rule.node) {
+      if (!NODE_ID_PATTERN.test(value)) problems.push(`${rule.cn}应为 market-node- 加小写字母、数字，以“-”分隔，例如 market-node-qd-01 / ${rule.en} must be market-node- followed by lowercase letters and digits separated by "-", e.g. market-node-qd-01`);
+    } else if (!TEXT_PATTERN.test(value)) {
+      const bad = [...new Set(chars.filter(c => !TEXT_PATTERN.test(c)))]
+        .map(c => /[\p{C}\p{Z}]/u.test(c) ? `U+${c.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}` : c);
+      problems.push(`${rule.cn}含有不允许的字符 ${bad.join(' ')} / ${rule.en} contains characters that are not allowed: ${bad.join(' ')}`);
+    }
   }
+  return problems;
+}
 
-  const declaredAt = utcNowISO();
-  const recordId = makeRecordId();
-  const statementCN = buildStatementCN(goodsName, goodsQty, dispatchPlace);
-  const statementEN = buildStatementEN(goodsName, goodsQty, dispatchPlace);
-  const statementHash = 'sha256:' + await sha256Hex(JSON.stringify({
-    merchantName, merchantId, keyId, nodeId, goodsName, goodsQty, dispatchPlace, note, declaredAt
-  }));
+// Builds, signs and ledgers one record. `fields` holds the form values
+// (merchantName, merchantId, keyId, nodeId, goods, goodsQty, goodsUnit,
+// dispatchPlace, note, nodeEndpoint; goods and goodsUnit as for
+// resolveDispatch). Throws Error with a message for the
+// user; shared by the single form and batch issuance (batch.js).
+async function issueRecord(fields) {
+  const merchantName = normalizeText(fields.merchantName);
+  const merchantId = normalizeText(fields.merchantId);
+  const keyId = normalizeText(fields.keyId);
+  const nodeId = normalizeText(fields.nodeId);
+  const dispatchPlace = normalizeText(fields.dispatchPlace);
+  const note = normalizeText(fields.note || '');
+  const nodeEndpoint = String(fields.nodeEndpoint || '').trim();
 
+  if (!normalizeText(fields.goods || '') || !normalizeText(fields.goodsQty || '') || !dispatchPlace) {
+    throw new Error('请先填写商品、数量和出货地。');
+  }
+  const { goods, quantity, problems } = resolveDispatch(fields.goods, fields.goodsQty, fields.goodsUnit);
+  problems.unshift(...fieldProblems({ merchantName, merchantId, keyId, nodeId, goods: normalizeText(fields.goods), dispatchPlace, note }));
+  if (problems.length) {
+    throw new Error(problems.join('\n'));
+  }
+
+  const merchantKey = getMerchantKey(keyId);
+  if (!merchantKey) {
+    throw new Error(`未找到密钥 ${keyId}。请先生成或导入商户密钥。`);
+  }
+
+  let slot;
+  try {
+    slot = await nextLedgerSlot(nodeId);
+  } catch (err) {
+    throw new Error(`无法读取出证台账：${err.message}`);
+  }
+
+  const declaredAt = utcNowISO();
+  const recordId = makeRecordId(nodeId, slot.device_id, slot.seq, declaredAt);
   const record = {
+    schema_version: RECORD_SCHEMA,
     record_id: recordId,
     evidence_type: 'proof_of_place_of_dispatch',
     level: 'lightweight_self_declared_record',
@@ -140,22 +298,35 @@ async function generateRecord() {
     },
     dispatch: {
       dispatch_place: dispatchPlace,
-      goods_name: goodsName,
-      goods_quantity: goodsQty,
+      goods_name: goodsLabel(goods),
+      goods_quantity: quantityLabel(quantity),
+      goods,
+      quantity,
       note: note
     },
     declaration: {
       declared_at: declaredAt,
       declared_by: 'merchant_self_declaration',
-      statement_text_cn: statementCN,
-      statement_text_en: statementEN
+      statement_text_cn: '',
+      statement_text_en: ''
     },
     signing: {
-      statement_hash: statementHash,
-      merchant_signature: 'ed25519:merchant_signature_placeholder',
+      algorithm: 'Ed25519',
+      statement_hash: '',
+      merchant_public_key: merchantKey.public_key,
+      merchant_signature: '',
       node_id: nodeId,
-      node_signature: 'ed25519:node_signature_placeholder'
+      node_key_id: '',
+      node_public_key: '',
+      node_signature: '',
+      node_signer: ''
+    },
+    ledger: {
+      device_id: slot.device_id,
+      sequence: slot.seq,
+      prev_entry_hash: slot.prev_hash
     },
+    canonicalization: canonicalizationBlock(),
     issuer: {
       issuer_org: 'Goldisle Light Org (UK)',
       issuer_signatory: 'Evan Bei'
@@ -166,29 +337,305 @@ async function generateRecord() {
     }
   };
 
+  record.declaration.statement_text_cn = buildStatementCN(record.dispatch);
+  record.declaration.statement_text_en = buildStatementEN(record.dispatch);
+
+  const statementHash = await computeStatementHash(record);
+  let nodeSigning;
+  try {
+    record.signing.merchant_signature = await signText(merchantKey, merchantSigningInput(statementHash));
+    nodeSigning = await nodeCountersign(nodeId, statementHash, record.signing.merchant_signature, nodeEndpoint);
+  } catch (err) {
+    throw new Error(`签名失败：${err.message}`);
+  }
+  record.signing.statement_hash = statementHash;
+  record.signing.node_key_id = nodeSigning.node_key_id;
+  record.signing.node_public_key = nodeSigning.node_public_key;
+  record.signing.node_signature = nodeSigning.node_signature;
+  record.signing.node_signer = nodeSigning.node_signer;
+
+  try {
+    await appendLedgerEntry(record);
+  } catch (err) {
+    throw new Error(`记录未写入台账，请重新生成：${err.message}`);
+  }
+  return record;
+}
+
+function readIssueForm() {
+  const value = (id) => document.getElementById(id).value;
+  return {
+    merchantName: value('merchantName'),
+    merchantId: value('merchantId'),
+    keyId: value('keyId'),
+    nodeId: value('nodeId'),
+    goods: value('goods'),
+    goodsQty: value('goodsQty'),
+    goodsUnit: value('goodsUnit'),
+    dispatchPlace: value('dispatchPlace'),
+    note: value('note'),
+    nodeEndpoint: value('nodeEndpoint')
+  };
+}
+
+async function generateRecord() {
+  let record;
+  try {
+    record = await issueRecord(readIssueForm());
+  } catch (err) {
+    alert(err.message);
+    return;
+  }
+  renderLedger();
+
+  const recordId = record.record_id;
   const jsonText = JSON.stringify(record, null, 2);
   const htmlText = generateCertificateHtml(record);
 
   document.getElementById('jsonOutput').value = jsonText;
-  document.getElementById('resultMeta').innerHTML = `已生成记录：<strong>${recordId}</strong><br>可下载 JSON 与 HTML。`;
+  document.getElementById('resultMeta').innerHTML = `已生成记录：<strong>${escapeHtml(recordId)}</strong><br>可下载 JSON 与 HTML。`
+    + (isStandInSigning(record.signing) ? '<br><strong>未连接节点签名服务：本记录由本机替代密钥副签，核验页将判定为未通过。</strong> No node signing service: this record is countersigned by the stand-in key and will fail verification.' : '');
+
+  window.__lastRecord = { recordId, jsonText, htmlText, record };
+}
 
-  window.__lastRecord = { recordId, jsonText, htmlText };
+// Signs the record as a Verifiable Credential (vc.js) with the node key and
+// downloads it.
+async function downloadCredential(record) {
+  let credential;
+  try {
+    credential = await issueCredential(record, document.getElementById('nodeEndpoint').value.trim());
+  } catch (err) {
+    return alert(`无法生成可验证凭证：${err.message}`);
+  }
+  downloadFile(`${record.record_id}.vc.json`, JSON.stringify(credential, null, 2), 'application/json');
 }
 
+
 function loadExample() {
-  document.getElementById('goodsName').value = '西瓜 / Watermelon';
+  document.getElementById('goods').value = goodsLabel(findGoods('watermelon'));
+  renderUnitOptions();
   document.getElementById('goodsQty').value = '10';
+  document.getElementById('goodsUnit').value = 'crate';
   document.getElementById('note').value = '今日第一批出货';
 }
 
+// Catalogue suggestions for the goods field, by HS chapter. Names not in
+// the list are issued as uncatalogued goods.
+function renderGoodsOptions() {
+  const list = document.getElementById('goodsList');
+  list.innerHTML = '';
+  for (const [chapter, category] of Object.entries(GOODS_CATEGORIES)) {
+    for (const goods of GOODS_CATALOGUE.filter(g => g.hs_code.startsWith(chapter))) {
+      const option = document.createElement('option');
+      option.value = goodsLabel(goods);
+      option.label = `HS ${goods.hs_code} · ${category.cn} / ${category.en}`;
+      list.appendChild(option);
+    }
+  }
+}
+
+// Units the chosen goods are sold in (all units for uncatalogued goods);
+// keeps the current unit when it fits.
+function renderUnitOptions() {
+  const select = document.getElementById('goodsUnit');
+  const goods = findGoods(document.getElementById('goods').value);
+  const current = select.value;
+  select.innerHTML = '';
+  for (const unit of goods ? goodsUnits(goods) : Object.keys(QUANTITY_UNITS)) {
+    const option = document.createElement('option');
+    option.value = unit;
+    const cn = unit === 'piece' && goods ? goods.measure_cn : QUANTITY_UNITS[unit].cn;
+    option.textContent = `${cn} / ${QUANTITY_UNITS[unit].en_plural}`;
+    select.appendChild(option);
+  }
+  if ([...select.options].some(o => o.value === current)) select.value = current;
+}
+
+function renderKeyStatus() {
+  const keyId = document.getElementById('keyId').value.trim();
+  const entry = keyId ? getMerchantKey(keyId) : null;
+  document.getElementById('keyStatus').innerHTML = entry
+    ? `密钥 <strong>${escapeHtml(keyId)}</strong> 已保存在本设备（${escapeHtml(entry.created_at.slice(0, 10))}）<br><span class="mono-inline">${escapeHtml(entry.public_key)}</span>`
+    : `本设备尚无密钥 <strong>${escapeHtml(keyId || '—')}</strong>。请生成新密钥或导入已有密钥。`;
+}
+
+function setupKeyPanel() {
+  const keyIdInput = document.getElementById('keyId');
+  const importKeyFile = document.getElementById('importKeyFile');
+
+  keyIdInput.addEventListener('input', renderKeyStatus);
+
+  document.getElementById('generateKeyBtn').addEventListener('click', async () => {
+    const keyId = keyIdInput.value.trim();
+    if (!keyId) return alert('请先填写密钥编号。');
+    if (getMerchantKey(keyId) && !confirm(`密钥 ${keyId} 已存在。生成新密钥将替换它，旧密钥签发的记录仍可用旧公钥核验。继续？`)) return;
+    try {
+      await generateMerchantKey(keyId, document.getElementById('merchantId').value.trim());
+    } catch (err) {
+      return alert(`无法生成密钥（浏览器需支持 Ed25519）：${err.message}`);
+    }
+    renderKeyStatus();
+  });
+
+  importKeyFile.addEventListener('change', async () => {
+    const file = importKeyFile.files && importKeyFile.files[0];
+    importKeyFile.value = '';
+    if (!file) return;
+    const keyId = keyIdInput.value.trim();
+    if (!keyId) return alert('请先填写密钥编号。');
+    try {
+      await importMerchantKey(keyId, document.getElementById('merchantId').value.trim(), await file.text());
+    } catch (err) {
+      return alert(`无法导入密钥：${err.message}`);
+    }
+    renderKeyStatus();
+  });
+
+  document.getElementById('exportKeyBtn').addEventListener('click', () => {
+    const keyId = keyIdInput.value.trim();
+    const text = exportMerchantKey(keyId);
+    if (!text) return alert('本设备没有该密钥。');
+    downloadFile(`${keyId}.key.json`, text, 'application/json');
+  });
+
+  document.getElementById('exportPublicKeyBtn').addEventListener('click', () => {
+    const keyId = keyIdInput.value.trim();
+    const entry = getMerchantKey(keyId);
+    if (!entry) return alert('本设备没有该密钥。');
+    downloadFile(`${keyId}.pub.json`, JSON.stringify(publicKeyEntry(entry), null, 2), 'application/json');
+  });
+
+  renderKeyStatus();
+}
+
+function ledgerCell(row, text, className) {
+  const td = document.createElement('td');
+  td.textContent = text;
+  if (className) td.className = className;
+  row.appendChild(td);
+  return td;
+}
+
+// Lists every ledger entry on this device, newest first, with the result of
+// the chain check above it.
+async function renderLedger() {
+  const list = document.getElementById('ledgerList');
+  const status = document.getElementById('ledgerStatus');
+  let entries;
+  try {
+    entries = await allLedgerEntries();
+  } catch (err) {
+    status.textContent = `无法读取出证台账 / Ledger unavailable: ${err.message}`;
+    return;
+  }
+  const issues = await checkLedger(entries);
+  window.__ledgerEntries = entries;
+
+  status.className = `result-meta ${issues.length ? 'ledger-bad' : ''}`;
+  status.textContent = issues.length
+    ? `台账检查发现 ${issues.length} 个问题 / ${issues.length} problem(s) found:`
+    : `台账完整：${entries.length} 条记录，序号连续，哈希链有效。 / ${entries.length} record(s), no gaps, chain intact.`;
+  if (issues.length) {
+    const ul = document.createElement('ul');
+    for (const issue of issues) {
+      const li = document.createElement('li');
+      li.textContent = `${ledgerSlotLabel(issue)} [${issue.type}] ${issue.message}`;
+      ul.appendChild(li);
+    }
+    status.appendChild(ul);
+  }
+
+  list.innerHTML = '';
+  const sorted = entries.slice().sort((a, b) => (b.issued_at || '').localeCompare(a.issued_at || '') || b.seq - a.seq);
+  for (const e of sorted) {
+    const row = document.createElement('tr');
+    ledgerCell(row, ledgerSlotLabel(e), 'mono-inline');
+    ledgerCell(row, e.record_id, 'mono-inline');
+    ledgerCell(row, (e.issued_at || '').replace('T', ' ').slice(0, 19));
+    ledgerCell(row, e.record ? `${e.record.dispatch.goods_name} · ${e.record.dispatch.goods_quantity}` : '—');
+    const actions = ledgerCell(row, '');
+    if (e.record) {
+      for (const kind of ['json', 'html', 'vc']) {
+        const btn = document.createElement('button');
+        btn.className = 'btn btn-light btn-small';
+        btn.textContent = kind.toUpperCase();
+        btn.dataset.ledgerDownload = kind;
+        btn.dataset.node = e.node_id;
+        btn.dataset.device = e.device_id;
+        btn.dataset.seq = String(e.seq);
+        actions.appendChild(btn);
+      }
+    }
+    list.appendChild(row);
+  }
+  if (!sorted.length) {
+    const row = document.createElement('tr');
+    ledgerCell(row, '本设备尚未签发记录。 / No records issued on this device yet.', 'muted').colSpan = 5;
+    list.appendChild(row);
+  }
+}
+
+function setupLedgerPanel() {
+  const importLedgerFile = document.getElementById('importLedgerFile');
+
+  document.getElementById('ledgerList').addEventListener('click', (event) => {
+    const btn = event.target.closest('[data-ledger-download]');
+    if (!btn) return;
+    const entry = (window.__ledgerEntries || []).find(e => e.node_id === btn.dataset.node && e.device_id === btn.dataset.device && e.seq === Number(btn.dataset.seq));
+    if (!entry || !entry.record) return;
+    if (btn.dataset.ledgerDownload === 'json') {
+      downloadFile(`${entry.record_id}.json`, JSON.stringify(entry.record, null, 2), 'application/json');
+    } else if (btn.dataset.ledgerDownload === 'vc') {
+      downloadCredential(entry.record);
+    } else {
+      downloadFile(`${entry.record_id}.html`, generateCertificateHtml(entry.record), 'text/html;charset=utf-8');
+    }
+  });
+
+  document.getElementById('exportLedgerBtn').addEventListener('click', async () => {
+    let text;
+    try {
+      text = await exportLedger();
+    } catch (err) {
+      return alert(`无法导出台账：${err.message}`);
+    }
+    downloadFile(`market-trust-ledger-${utcNowISO().slice(0, 10)}.json`, text, 'application/json');
+  });
+
+  importLedgerFile.addEventListener('change', async () => {
+    const file = importLedgerFile.files && importLedgerFile.files[0];
+    importLedgerFile.value = '';
+    if (!file) return;
+    let result;
+    try {
+      result = await importLedger(await file.text());
+    } catch (err) {
+      return alert(`无法导入台账：${err.message}`);
+    }
+    await renderLedger();
+    alert(`已导入 ${result.added} 条，跳过重复 ${result.skipped} 条。${result.conflicts.length ? `\n以下条目与本设备台账冲突或未通过哈希链核对，未导入：\n${result.conflicts.join('\n')}` : ''}`);
+  });
+
+  document.getElementById('checkLedgerBtn').addEventListener('click', renderLedger);
+
+  renderLedger();
+}
+
 function setupIssuePage() {
   const generateBtn = document.getElementById('generateBtn');
   const loadExampleBtn = document.getElementById('loadExampleBtn');
   const downloadJsonBtn = document.getElementById('downloadJsonBtn');
   const downloadHtmlBtn = document.getElementById('downloadHtmlBtn');
+  const downloadVcBtn = document.getElementById('downloadVcBtn');
 
   if (!generateBtn) return;
 
+  setupKeyPanel();
+  setupLedgerPanel();
+  renderGoodsOptions();
+  renderUnitOptions();
+  document.getElementById('goods').addEventListener('input', renderUnitOptions);
   generateBtn.addEventListener('click', generateRecord);
   loadExampleBtn.addEventListener('click', loadExample);
 
@@ -201,6 +648,11 @@ function setupIssuePage() {
     if (!window.__lastRecord) return alert('请先生成记录。');
     downloadFile(`${window.__lastRecord.recordId}.html`, window.__lastRecord.htmlText, 'text/html;charset=utf-8');
   });
+
+  downloadVcBtn.addEventListener('click', () => {
+    if (!window.__lastRecord) return alert('请先生成记录。');
+    downloadCredential(window.__lastRecord.record);
+  });
 }
 
 window.addEventListener('DOMContentLoaded', setupIssuePage);
@@ -0,0 +1,278 @@
+// Batch issuance: one record per CSV row, using the merchant, key and node
+// from the issue form. Rows are checked first; rows with problems are listed
+// and skipped, the rest are issued in order (each takes the next ledger
+// sequence) and can be downloaded as one ZIP.
+//
+// CSV: a header row, then one shipment per row. Columns (any order, English
+// or Chinese headers):
+//   goods_name      goods, 商品, 商品名称        required: catalogue code, HS
+//                                                code or name (goods.js);
+//                                                other names are issued as
+//                                                uncatalogued goods
+//   goods_quantity  quantity, qty, 数量          required: a number, or a
+//                                                number and unit ("10 箱")
+//   unit            单位                         kg, crate or piece (or 公斤,
+//                                                箱, 个…) unless in the quantity
+//   dispatch_place  place, 出货地                optional, defaults to the form
+//   note            备注                         optional
+// Rows are held to the same rules as the form (resolveDispatch,
+// fieldProblems).
+// Needs zip.js, goods.js and app.js (issueRecord, fieldProblems,
+// readIssueForm, generateCertificateHtml).
+
+const BATCH_MANIFEST_FORMAT = 'market-trust-batch/1';
+const BATCH_MAX_ROWS = 500;
+
+const BATCH_COLUMNS = {
+  goods_name: ['goods_name', 'goods', '商品', '商品名称'],
+  goods_quantity: ['goods_quantity', 'quantity', 'qty', '数量'],
+  unit: ['unit', 'goods_unit', '单位'],
+  dispatch_place: ['dispatch_place', 'place', '出货地'],
+  note: ['note', '备注']
+};
+
+// RFC 4180: quoted fields may hold commas, quotes ("") and newlines.
+// Returns [{ line, cells }] with the 1-based line each row starts on; blank
+// lines are dropped.
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  const src = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n') line++;
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell);
+      if (row.some(c => c.trim() !== '')) rows.push({ line: rowLine, cells: row });
+      row = [];
+      cell = '';
+      line++;
+      rowLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell);
+  if (row.some(c => c.trim() !== '')) rows.push({ line: rowLine, cells: row });
+  return rows;
+}
+
+function batchColumnFor(header) {
+  const key = normalizeText(header).toLowerCase().replace(/ /g, '_');
+  return Object.keys(BATCH_COLUMNS).find(field => BATCH_COLUMNS[field].includes(key)) || null;
+}
+
+// Returns { rows: [{ line, goods, goodsQty, goodsUnit, dispatchPlace, note }],
+//           errors: [{ line, message }], warnings: [{ line, message }] }.
+// `defaultPlace` fills rows without a dispatch place.
+function parseShipmentCsv(text, defaultPlace) {
+  const result = { rows: [], errors: [], warnings: [] };
+  const table = parseCsvRows(text);
+  if (!table.length) {
+    result.errors.push({ line: 1, message: 'CSV 为空 / The CSV is empty' });
+    return result;
+  }
+
+  const header = table[0];
+  const columns = header.cells.map(batchColumnFor);
+  header.cells.forEach((name, i) => {
+    if (!columns[i] && name.trim()) result.warnings.push({ line: header.line, message: `未识别的列“${name.trim()}”，已忽略 / Unknown column "${name.trim()}" ignored` });
+    if (columns[i] && columns.indexOf(columns[i]) !== i) result.errors.push({ line: header.line, message: `重复的列“${name.trim()}” / Column ${columns[i]} appears twice` });
+  });
+  for (const field of ['goods_name', 'goods_quantity']) {
+    if (!columns.includes(field)) result.errors.push({ line: header.line, message: `缺少列 ${field} / Missing column ${field}` });
+  }
+  if (!columns.includes('goods_name') || !columns.includes('goods_quantity')) return result;
+
+  const body = table.slice(1);
+  if (!body.length) result.errors.push({ line: header.line, message: 'CSV 没有数据行 / No shipment rows' });
+  if (body.length > BATCH_MAX_ROWS) {
+    result.errors.push({ line: body[BATCH_MAX_ROWS].line, message: `每批最多 ${BATCH_MAX_ROWS} 行，其余行未处理 / Only the first ${BATCH_MAX_ROWS} rows are issued` });
+  }
+  for (const { line, cells } of body.slice(0, BATCH_MAX_ROWS)) {
+    const value = (field) => {
+      const i = columns.indexOf(field);
+      return i >= 0 && i < cells.length ? normalizeText(cells[i]) : '';
+    };
+    const row = {
+      line,
+      goods: value('goods_name'),
+      goodsQty: value('goods_quantity'),
+      goodsUnit: value('unit'),
+      dispatchPlace: value('dispatch_place') || normalizeText(defaultPlace || ''),
+      note: value('note')
+    };
+    const problems = [];
+    if (cells.length > header.cells.length) problems.push('列数多于表头 / more cells than header columns');
+    if (!row.goods) problems.push('缺少商品名称 / goods name is empty');
+    if (!row.goodsQty) problems.push('缺少数量 / quantity is empty');
+    if (!row.dispatchPlace) problems.push('缺少出货地 / dispatch place is empty');
+    if (row.goods && row.goodsQty) problems.push(...resolveDispatch(row.goods, row.goodsQty, row.goodsUnit).problems);
+    problems.push(...fieldProblems({ goods: row.goods, dispatchPlace: row.dispatchPlace, note: row.note }));
+    if (problems.length) result.errors.push({ line, message: problems.join('；') });
+    else result.rows.push(row);
+  }
+  return result;
+}
+
+// Issues every valid row in order. Returns [{ line, record }] for issued
+// rows and [{ line, message }] for rows that failed while issuing.
+async function issueBatch(rows, form, onProgress) {
+  const issued = [];
+  const failed = [];
+  for (const row of rows) {
+    try {
+      const record = await issueRecord({ ...form, goods: row.goods, goodsQty: row.goodsQty, goodsUnit: row.goodsUnit, dispatchPlace: row.dispatchPlace, note: row.note });
+      issued.push({ line: row.line, record });
+    } catch (err) {
+      failed.push({ line: row.line, message: err.message });
+    }
+    if (onProgress) onProgress(issued.length + failed.length, rows.length);
+  }
+  return { issued, failed };
+}
+
+// The ZIP: records/<id>.json, certificates/<id>.html and manifest.json
+// listing every record with its statement hash, plus the rows not issued.
+function batchZip(batch) {
+  const files = [];
+  const records = [];
+  for (const { line, record } of batch.issued) {
+    const json = `records/${record.record_id}.json`;
+    const html = `certificates/${record.record_id}.html`;
+    files.push({ name: json, data: JSON.stringify(record, null, 2) });
+    files.push({ name: html, data: generateCertificateHtml(record) });
+    records.push({
+      line,
+      record_id: record.record_id,
+      ledger_sequence: record.ledger.sequence,
+      goods_code: record.dispatch.goods.code,
+      hs_code: record.dispatch.goods.hs_code,
+      quantity: record.dispatch.quantity,
+      statement_hash: record.signing.statement_hash,
+      json,
+      html
+    });
+  }
+  const first = batch.issued[0] && batch.issued[0].record;
+  const manifest = {
+    format: BATCH_MANIFEST_FORMAT,
+    created_at: batch.created_at,
+    source: batch.source,
+    merchant_id: first ? first.merchant.merchant_id : '',
+    key_id: first ? first.merchant.key_id : '',
+    node_id: first ? first.signing.node_id : '',
+    device_id: first ? first.ledger.device_id : '',
+    records,
+    not_issued: batch.errors
+  };
+  files.push({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+  return makeZip(files);
+}
+
+function renderBatch(batch) {
+  const out = document.getElementById('batchResult');
+  out.innerHTML = '';
+  const summary = document.createElement('div');
+  summary.className = `result-meta ${batch.errors.length ? 'ledger-bad' : ''}`;
+  summary.textContent = `已签发 ${batch.issued.length} 条，未签发 ${batch.errors.length} 项。 / ${batch.issued.length} issued, ${batch.errors.length} problem(s).`;
+  out.appendChild(summary);
+
+  const lines = [
+    ...batch.issued.map(({ line, record }) => ({ line, ok: true, text: `${record.record_id} · ${record.dispatch.goods_name} · ${record.dispatch.goods_quantity}` })),
+    ...batch.errors.map(({ line, message }) => ({ line, ok: false, text: message })),
+    ...batch.warnings.map(({ line, message }) => ({ line, ok: null, text: message }))
+  ].sort((a, b) => a.line - b.line);
+  const list = document.createElement('ul');
+  list.className = 'check-list';
+  for (const item of lines) {
+    const li = document.createElement('li');
+    li.className = item.ok ? 'check-pass' : item.ok === null ? 'check-warn' : 'check-fail';
+    const mark = document.createElement('span');
+    mark.className = 'check-mark';
+    mark.textContent = item.ok ? '✓' : item.ok === null ? '!' : '✗';
+    const label = document.createElement('strong');
+    label.textContent = item.line ? `Line / 行 ${item.line} ` : '';
+    const text = document.createElement('span');
+    text.textContent = item.text;
+    li.append(mark, label, text);
+    list.appendChild(li);
+  }
+  out.appendChild(list);
+}
+
+function setupBatchPanel() {
+  const input = document.getElementById('batchInput');
+  const fileInput = document.getElementById('batchFile');
+  const issueBtn = document.getElementById('batchIssueBtn');
+  const zipBtn = document.getElementById('batchZipBtn');
+  const out = document.getElementById('batchResult');
+  let source = 'pasted';
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files && fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+    input.value = await file.text();
+    source = file.name;
+  });
+  input.addEventListener('input', () => { source = 'pasted'; });
+
+  issueBtn.addEventListener('click', async () => {
+    const form = readIssueForm();
+    const parsed = parseShipmentCsv(input.value, form.dispatchPlace);
+    const batch = { created_at: utcNowISO(), source, issued: [], errors: parsed.errors, warnings: parsed.warnings };
+    window.__lastBatch = null;
+
+    if (!getMerchantKey(normalizeText(form.keyId))) {
+      batch.errors = [{ line: 0, message: `未找到密钥 ${form.keyId}。请先生成或导入商户密钥。` }, ...batch.errors];
+      renderBatch(batch);
+      return;
+    }
+
+    issueBtn.disabled = true;
+    out.textContent = `正在签发 / Issuing 0 / ${parsed.rows.length}…`;
+    const { issued, failed } = await issueBatch(parsed.rows, form, (done, total) => {
+      out.textContent = `正在签发 / Issuing ${done} / ${total}…`;
+    });
+    issueBtn.disabled = false;
+    batch.issued = issued;
+    batch.errors = [...batch.errors, ...failed];
+    renderBatch(batch);
+    renderLedger();
+    if (issued.length) window.__lastBatch = batch;
+  });
+
+  zipBtn.addEventListener('click', () => {
+    const batch = window.__lastBatch;
+    if (!batch) {
+      out.insertAdjacentHTML('afterbegin', '<div class="result-meta ledger-bad">请先签发一批记录。 / Issue a batch first.</div>');
+      return;
+    }
+    const seqs = batch.issued.map(b => b.record.ledger.sequence);
+    downloadFile(`market-trust-batch-${batch.created_at.slice(0, 10)}-${Math.min(...seqs)}-${Math.max(...seqs)}.zip`, batchZip(batch), 'application/zip');
+  });
+}
+
+window.addEventListener('DOMContentLoaded', () => {
+  if (document.getElementById('batchIssueBtn')) setupBatchPanel();
+});
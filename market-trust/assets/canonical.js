@@ -0,0 +1,61 @@
+// Canonical form of market-trust records for statement hashing.
+//
+// Schemas market-trust-record/2 and /3 (/3 adds structured goods and quantity,
+// see goods.js) hash the whole record except the fields that
+// can only be filled in after signing (RECORD_UNSIGNED_FIELDS), following the
+// node's "jq-sort-keys" convention (.well-known/node.json):
+//   - objects: keys sorted, recursively (keys are ASCII, so code unit order
+//     is the same as jq -S)
+//   - strings: Unicode NFC, runs of whitespace collapsed to one space, trimmed
+//   - compact JSON, no insignificant whitespace
+//   statement_hash = 'sha256:' + hex SHA-256 of the UTF-8 canonical text
+// Each record repeats these rules in its `canonicalization` block, so a third
+// party can re-derive the hash without this file.
+
+const RECORD_SCHEMA = 'market-trust-record/3';
+const CANONICAL_SCHEMAS = ['market-trust-record/2', RECORD_SCHEMA];
+
+const RECORD_UNSIGNED_FIELDS = [
+  'signing.statement_hash',
+  'signing.merchant_signature',
+  'signing.node_key_id',
+  'signing.node_public_key',
+  'signing.node_signature',
+  'signing.node_signer'
+];
+
+function normalizeText(value) {
+  return String(value).normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+function canonicalJson(value) {
+  if (typeof value === 'string') return JSON.stringify(normalizeText(value));
+  if (value === null || typeof value !== 'object') return JSON.stringify(value === undefined ? null : value);
+  if (Array.isArray(value)) return '[' + value.map(canonicalJson).join(',') + ']';
+  const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+  return '{' + keys.map(k => JSON.stringify(k) + ':' + canonicalJson(value[k])).join(',') + '}';
+}
+
+function canonicalizationBlock() {
+  return {
+    schema: RECORD_SCHEMA,
+    method: 'jq-sort-keys',
+    unicode: 'NFC',
+    whitespace: 'collapse-and-trim',
+    hash: 'sha256',
+    covers: 'whole record except excluded',
+    excluded: RECORD_UNSIGNED_FIELDS.slice()
+  };
+}
+
+// The record minus its excluded fields, as canonical text.
+function canonicalRecordText(record) {
+  const copy = JSON.parse(JSON.stringify(record));
+  for (const path of RECORD_UNSIGNED_FIELDS) {
+    const parts = path.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((o, k) => (o && typeof o === 'object' ? o[k] : undefined), copy);
+    if (parent && typeof parent === 'object') delete parent[last];
+  }
+  return canonicalJson(copy);
+}
@@ -0,0 +1,178 @@
+// Goods catalogue and quantities for market-trust declarations.
+//
+// Records of schema market-trust-record/3 carry the goods and quantity as
+// structured fields next to the display text:
+//   dispatch.goods     { code, hs_code, name_cn, name_en, name_en_plural }
+//   dispatch.quantity  { value, unit, unit_cn }   unit: kg | crate | piece
+// so records can be totalled by goods or HS category. hs_code is the 6-digit
+// Harmonized System subheading written as 0807.11; its first two digits are
+// the chapter (GOODS_CATEGORIES). The record keeps the names and Chinese unit
+// it was issued with, so its statement text still checks if the catalogue
+// changes later.
+//
+// Goods outside the catalogue are recorded under the name the merchant typed,
+// used for both languages, with code and hs_code null and
+// `uncatalogued: true`; they are left out of HS totals but still issued. They
+// may be sold by kg, crate or piece (个).
+
+const GOODS_CATEGORIES = {
+  '03': { cn: '鱼及甲壳动物', en: 'Fish and crustaceans' },
+  '04': { cn: '乳品、蛋品', en: 'Dairy produce and eggs' },
+  '07': { cn: '食用蔬菜', en: 'Edible vegetables' },
+  '08': { cn: '食用水果及坚果', en: 'Edible fruit and nuts' },
+  '09': { cn: '咖啡、茶', en: 'Coffee and tea' },
+  '10': { cn: '谷物', en: 'Cereals' }
+};
+
+// `measure_cn` is the Chinese measure word used when counting pieces;
+// goods without it are not sold by the piece.
+const GOODS_CATALOGUE = [
+  { code: 'fish', hs_code: '0302.89', name_cn: '鲜鱼', name_en: 'fish', name_en_plural: 'fish', measure_cn: '条' },
+  { code: 'shrimp', hs_code: '0306.36', name_cn: '鲜虾', name_en: 'shrimp', name_en_plural: 'shrimp' },
+  { code: 'eggs', hs_code: '0407.21', name_cn: '鸡蛋', name_en: 'egg', name_en_plural: 'eggs', measure_cn: '枚' },
+  { code: 'potato', hs_code: '0701.90', name_cn: '土豆', name_en: 'potato', name_en_plural: 'potatoes', measure_cn: '个' },
+  { code: 'tomato', hs_code: '0702.00', name_cn: '番茄', name_en: 'tomato', name_en_plural: 'tomatoes', measure_cn: '个' },
+  { code: 'onion', hs_code: '0703.10', name_cn: '洋葱', name_en: 'onion', name_en_plural: 'onions', measure_cn: '个' },
+  { code: 'cabbage', hs_code: '0704.90', name_cn: '白菜', name_en: 'cabbage', name_en_plural: 'cabbages', measure_cn: '棵' },
+  { code: 'carrot', hs_code: '0706.10', name_cn: '胡萝卜', name_en: 'carrot', name_en_plural: 'carrots', measure_cn: '根' },
+  { code: 'banana', hs_code: '0803.90', name_cn: '香蕉', name_en: 'banana', name_en_plural: 'bananas', measure_cn: '根' },
+  { code: 'orange', hs_code: '0805.10', name_cn: '橙子', name_en: 'orange', name_en_plural: 'oranges', measure_cn: '个' },
+  { code: 'grapes', hs_code: '0806.10', name_cn: '葡萄', name_en: 'grapes', name_en_plural: 'grapes' },
+  { code: 'watermelon', hs_code: '0807.11', name_cn: '西瓜', name_en: 'watermelon', name_en_plural: 'watermelons', measure_cn: '个' },
+  { code: 'apple', hs_code: '0808.10', name_cn: '苹果', name_en: 'apple', name_en_plural: 'apples', measure_cn: '个' },
+  { code: 'pear', hs_code: '0808.30', name_cn: '梨', name_en: 'pear', name_en_plural: 'pears', measure_cn: '个' },
+  { code: 'peach', hs_code: '0809.30', name_cn: '桃', name_en: 'peach', name_en_plural: 'peaches', measure_cn: '个' },
+  { code: 'green-tea', hs_code: '0902.20', name_cn: '绿茶', name_en: 'green tea', name_en_plural: 'green tea' },
+  { code: 'rice', hs_code: '1006.30', name_cn: '大米', name_en: 'rice', name_en_plural: 'rice' }
+];
+
+// `decimals`: how finely the unit may be split. `aliases` are what the form
+// and CSV accept besides the key; pieces also accept the goods' measure word.
+const QUANTITY_UNITS = {
+  kg: { cn: '公斤', en: 'kilogram', en_plural: 'kilograms', short: 'kg', decimals: 3, aliases: ['kgs', 'kilo', 'kilos', 'kilogram', 'kilograms', '公斤', '千克'] },
+  crate: { cn: '箱', en: 'crate', en_plural: 'crates', decimals: 0, aliases: ['crates', 'box', 'boxes', '箱'] },
+  piece: { cn: '个', en: 'piece', en_plural: 'pieces', decimals: 0, aliases: ['pieces', 'pc', 'pcs', '个', '件'] }
+};
+
+const QUANTITY_MAX = 1e9;
+
+function findGoods(text) {
+  const key = normalizeText(text || '').toLowerCase();
+  if (!key) return null;
+  return GOODS_CATALOGUE.find(g => [g.code, g.hs_code, g.name_cn, g.name_en, g.name_en_plural, goodsLabel(g)]
+    .some(name => name.toLowerCase() === key)) || null;
+}
+
+// Units `goods` is sold in.
+function goodsUnits(goods) {
+  return Object.keys(QUANTITY_UNITS).filter(unit => unit !== 'piece' || goods.measure_cn);
+}
+
+function findUnit(text, goods) {
+  const key = normalizeText(text || '').toLowerCase();
+  const unit = Object.keys(QUANTITY_UNITS).find(u => u === key || QUANTITY_UNITS[u].aliases.includes(key)
+    || (u === 'piece' && goods && key === goods.measure_cn));
+  return unit && (!goods || goodsUnits(goods).includes(unit)) ? unit : null;
+}
+
+// Goods label as in goods_name: "西瓜 / Watermelon", or the typed name for
+// uncatalogued goods.
+function goodsLabel(goods) {
+  if (goods.uncatalogued) return goods.name_cn;
+  return `${goods.name_cn} / ${goods.name_en[0].toUpperCase()}${goods.name_en.slice(1)}`;
+}
+
+function unitTextEN(quantity) {
+  const unit = QUANTITY_UNITS[quantity.unit];
+  if (!unit) return quantity.unit;
+  return unit.short || (quantity.value === 1 ? unit.en : unit.en_plural);
+}
+
+// Quantity label as in goods_quantity: "10箱 / 10 crates".
+function quantityLabel(quantity) {
+  return `${quantity.value}${quantity.unit_cn} / ${quantity.value} ${unitTextEN(quantity)}`;
+}
+
+// "10箱", "12.5公斤", "3条".
+function quantityTextCN(quantity) {
+  return `${quantity.value}${quantity.unit_cn}`;
+}
+
+// "10 crates of watermelons", "1 kilogram of rice", "1 watermelon",
+// "3 pieces of 山竹" for uncatalogued goods.
+function quantityTextEN(quantity, goods) {
+  const one = quantity.value === 1;
+  if (quantity.unit === 'piece' && !goods.uncatalogued) return `${quantity.value} ${one ? goods.name_en : goods.name_en_plural}`;
+  const unit = QUANTITY_UNITS[quantity.unit];
+  const unitName = unit ? (one ? unit.en : unit.en_plural) : quantity.unit;
+  return `${quantity.value} ${unitName} of ${goods.name_en_plural}`;
+}
+
+// Catalogue-shaped entry for goods the catalogue does not list.
+function uncataloguedGoods(name) {
+  return {
+    code: null,
+    hs_code: null,
+    name_cn: name,
+    name_en: name,
+    name_en_plural: name,
+    measure_cn: QUANTITY_UNITS.piece.cn,
+    uncatalogued: true
+  };
+}
+
+// Goods and quantity from a form or CSV row: `goodsText` names catalogue goods
+// (code, HS code or name) or, failing that, is taken as the name of
+// uncatalogued goods; `qtyText` is a number, or a number and unit when
+// `unitText` is empty. Returns { goods, quantity, problems } with the
+// record's dispatch.goods and dispatch.quantity, or messages for the user.
+// The characters of a free-text name are checked by the caller
+// (fieldProblems).
+function resolveDispatch(goodsText, qtyText, unitText) {
+  const problems = [];
+  const name = normalizeText(goodsText || '');
+  if (!name) {
+    problems.push('缺少商品名称 / Goods name is empty');
+    return { goods: null, quantity: null, problems };
+  }
+  const entry = findGoods(name) || uncataloguedGoods(name);
+
+  const m = /^(\d+(?:\.\d+)?)\s*(.*)$/.exec(normalizeText(qtyText || ''));
+  const typedUnit = m ? m[2] : '';
+  const unitName = typedUnit || normalizeText(unitText || '');
+  const unit = unitName ? findUnit(unitName, entry) : null;
+  const value = m ? Number(m[1]) : NaN;
+  const digits = m ? m[1].replace(/(\.\d*?)0+$/, '$1').replace(/\.$/, '') : '';
+  if (!m || !(value > 0) || value > QUANTITY_MAX) {
+    problems.push('数量应为正数，例如 10 或 12.5 / Quantity must be a positive number, e.g. 10 or 12.5');
+  } else if (typedUnit && unitText && unit !== findUnit(unitText, entry)) {
+    problems.push(`数量中的单位“${typedUnit}”与单位“${normalizeText(unitText)}”不一致 / The unit in the quantity differs from the unit column`);
+  } else if (!unit) {
+    const allowed = goodsUnits(entry).map(u => u === 'piece' ? `${u} (${entry.measure_cn})` : `${u} (${QUANTITY_UNITS[u].cn})`).join(', ');
+    problems.push(`${entry.name_cn}的单位应为 ${allowed}${unitName ? `，不能用“${unitName}”` : ''} / Unit for ${entry.name_en} must be one of ${allowed}`);
+  } else if ((digits.split('.')[1] || '').length > QUANTITY_UNITS[unit].decimals) {
+    const decimals = QUANTITY_UNITS[unit].decimals;
+    problems.push(decimals
+      ? `${QUANTITY_UNITS[unit].cn}最多 ${decimals} 位小数 / At most ${decimals} decimal places in ${QUANTITY_UNITS[unit].en_plural}`
+      : `${unit === 'piece' ? entry.measure_cn : QUANTITY_UNITS[unit].cn}数应为整数 / ${QUANTITY_UNITS[unit].en_plural} must be a whole number`);
+  }
+  if (problems.length) return { goods: null, quantity: null, problems };
+
+  const goods = {
+    code: entry.code,
+    hs_code: entry.hs_code,
+    name_cn: entry.name_cn,
+    name_en: entry.name_en,
+    name_en_plural: entry.name_en_plural
+  };
+  if (entry.uncatalogued) goods.uncatalogued = true;
+  return {
+    goods,
+    quantity: {
+      value,
+      unit,
+      unit_cn: unit === 'piece' ? entry.measure_cn : QUANTITY_UNITS[unit].cn
+    },
+    problems
+  };
+}
@@ -0,0 +1,255 @@
+// Issuance ledger: every record issued on this device, append-only and
+// hash-chained per node and device, kept in IndexedDB.
+//
+// Entry: { node_id, device_id, seq, record_id, statement_hash, issued_at,
+//          prev_hash, entry_hash, record }
+//   device_id  this browser's ID (ledgerDeviceId); '' for entries made
+//              before devices had one
+//   seq        1, 2, 3 … per node and device; record IDs are derived from it
+//   prev_hash  entry_hash of seq - 1 (LEDGER_GENESIS for seq 1)
+//   entry_hash 'sha256:' + SHA-256 of the canonical JSON of the fields above
+//              except entry_hash and record (and device_id when '')
+// Several devices may issue for one node without talking to each other, so
+// each keeps its own chain and its device ID goes into the record ID.
+// Records carry their own position
+// ({ ledger: { device_id, sequence, prev_entry_hash } }) inside the signed
+// part, so a record cannot be moved to another slot.
+// Needs canonical.js and app.js (sha256Hex).
+
+const LEDGER_DB = 'market-trust-ledger';
+const LEDGER_STORE = 'entries';
+const LEDGER_FORMAT = 'market-trust-ledger/2';
+const LEDGER_FORMATS = ['market-trust-ledger/1', LEDGER_FORMAT];
+const LEDGER_GENESIS = 'sha256:' + '0'.repeat(64);
+const DEVICE_ID_STORE = 'mt.deviceId';
+const DEVICE_ID_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+// Random 8-character ID for this browser, made on first use (40 bits, so
+// two devices of one node are very unlikely to share one).
+function ledgerDeviceId() {
+  let id = localStorage.getItem(DEVICE_ID_STORE);
+  if (!id) {
+    id = Array.from(crypto.getRandomValues(new Uint8Array(8)), b => DEVICE_ID_ALPHABET[b % 32]).join('');
+    localStorage.setItem(DEVICE_ID_STORE, id);
+  }
+  return id;
+}
+
+// Version 2 keys entries by [node_id, device_id, seq]; entries from version 1
+// keep their slots with device_id ''.
+function openLedger() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(LEDGER_DB, 2);
+    req.onupgradeneeded = (event) => {
+      const db = req.result;
+      const createStore = () => {
+        const store = db.createObjectStore(LEDGER_STORE, { keyPath: ['node_id', 'device_id', 'seq'] });
+        store.createIndex('record_id', 'record_id', { unique: true });
+        return store;
+      };
+      if (event.oldVersion < 1) {
+        createStore();
+        return;
+      }
+      const old = req.transaction.objectStore(LEDGER_STORE).getAll();
+      old.onsuccess = () => {
+        db.deleteObjectStore(LEDGER_STORE);
+        const store = createStore();
+        for (const entry of old.result) store.add({ ...entry, device_id: '' });
+      };
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function requestResult(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function ledgerEntryHash(entry) {
+  const { node_id, device_id, seq, record_id, statement_hash, issued_at, prev_hash } = entry;
+  const fields = device_id
+    ? { node_id, device_id, seq, record_id, statement_hash, issued_at, prev_hash }
+    : { node_id, seq, record_id, statement_hash, issued_at, prev_hash };
+  return 'sha256:' + await sha256Hex(canonicalJson(fields));
+}
+
+// "market-node-qd-01/7KX2M9QA #3", for messages.
+function ledgerSlotLabel(entry) {
+  return `${entry.node_id}${entry.device_id ? `/${entry.device_id}` : ''} #${entry.seq}`;
+}
+
+// Last entry of a node's chain on a device, or null.
+async function lastLedgerEntry(nodeId, deviceId) {
+  const db = await openLedger();
+  const store = db.transaction(LEDGER_STORE).objectStore(LEDGER_STORE);
+  const range = IDBKeyRange.bound([nodeId, deviceId, 0], [nodeId, deviceId, Infinity]);
+  const cursor = await requestResult(store.openCursor(range, 'prev'));
+  db.close();
+  return cursor ? cursor.value : null;
+}
+
+// The slot the next record of `nodeId` issued on this device will take:
+// { device_id, seq, prev_hash }.
+async function nextLedgerSlot(nodeId) {
+  const deviceId = ledgerDeviceId();
+  const last = await lastLedgerEntry(nodeId, deviceId);
+  return last
+    ? { device_id: deviceId, seq: last.seq + 1, prev_hash: last.entry_hash }
+    : { device_id: deviceId, seq: 1, prev_hash: LEDGER_GENESIS };
+}
+
+// Appends a signed record at the slot it was built for. Throws if another
+// record took that slot meanwhile (e.g. from a second tab).
+async function appendLedgerEntry(record) {
+  const nodeId = record.signing.node_id;
+  const slot = await nextLedgerSlot(nodeId);
+  if (slot.device_id !== record.ledger.device_id || slot.seq !== record.ledger.sequence || slot.prev_hash !== record.ledger.prev_entry_hash) {
+    throw new Error(`Ledger slot ${record.ledger.sequence} of ${nodeId} is no longer free`);
+  }
+  const entry = {
+    node_id: nodeId,
+    device_id: slot.device_id,
+    seq: slot.seq,
+    record_id: record.record_id,
+    statement_hash: record.signing.statement_hash,
+    issued_at: record.declaration.declared_at,
+    prev_hash: slot.prev_hash
+  };
+  entry.entry_hash = await ledgerEntryHash(entry);
+  entry.record = record;
+  const db = await openLedger();
+  const tx = db.transaction(LEDGER_STORE, 'readwrite');
+  // add() fails on an existing [node_id, device_id, seq] or record_id, so nothing is overwritten.
+  await requestResult(tx.objectStore(LEDGER_STORE).add(entry));
+  db.close();
+  return entry;
+}
+
+async function allLedgerEntries() {
+  const db = await openLedger();
+  const entries = await requestResult(db.transaction(LEDGER_STORE).objectStore(LEDGER_STORE).getAll());
+  db.close();
+  return entries;
+}
+
+// Problems in a list of entries (any order, any nodes and devices):
+//   [{ node_id, device_id, seq, type: 'gap' | 'duplicate' | 'chain' | 'tampered' | 'record', message }]
+async function checkLedger(entries) {
+  const issues = [];
+  const byChain = new Map();
+  const recordIds = new Map();
+  const issue = (e, type, message) => issues.push({ node_id: e.node_id, device_id: e.device_id || '', seq: e.seq, type, message });
+  for (const e of entries) {
+    const chain = JSON.stringify([e.node_id, e.device_id || '']);
+    if (!byChain.has(chain)) byChain.set(chain, []);
+    byChain.get(chain).push(e);
+    if (recordIds.has(e.record_id)) issue(e, 'duplicate', `Record ID ${e.record_id} is used by more than one entry`);
+    recordIds.set(e.record_id, e);
+  }
+  for (const list of byChain.values()) {
+    list.sort((a, b) => a.seq - b.seq);
+    let prev = null;
+    for (const e of list) {
+      if (prev && e.seq === prev.seq) {
+        issue(e, 'duplicate', `Sequence ${e.seq} appears more than once`);
+        continue;
+      }
+      const expectedSeq = prev ? prev.seq + 1 : 1;
+      if (e.seq !== expectedSeq) {
+        issue(e, 'gap', `Missing sequence ${expectedSeq}${e.seq - 1 > expectedSeq ? `–${e.seq - 1}` : ''} before ${e.seq}`);
+      } else if (e.prev_hash !== (prev ? prev.entry_hash : LEDGER_GENESIS)) {
+        issue(e, 'chain', `Entry ${e.seq} does not link to entry ${expectedSeq - 1}`);
+      }
+      if (e.entry_hash !== await ledgerEntryHash(e)) {
+        issue(e, 'tampered', `Entry ${e.seq} does not match its entry hash`);
+      }
+      if (e.record && (e.record.record_id !== e.record_id || e.record.signing.statement_hash !== e.statement_hash)) {
+        issue(e, 'record', `The stored record for entry ${e.seq} differs from the entry`);
+      }
+      prev = e;
+    }
+  }
+  return issues;
+}
+
+async function exportLedger() {
+  const entries = await allLedgerEntries();
+  return JSON.stringify({ format: LEDGER_FORMAT, exported_at: new Date().toISOString(), entries }, null, 2);
+}
+
+// Merges an exported ledger, including version 1 exports (their entries
+// have no device_id). Entries already present (same slot, same hash) are
+// skipped; a different entry in an occupied slot is not imported and is
+// reported as a conflict. New entries are checked together with the
+// entries already here (checkLedger): one that does not match its entry
+// hash, does not link to the entry before it or repeats a record ID is not
+// imported, and neither is the rest of its chain after it.
+// Returns { added, skipped, conflicts: [message] }.
+async function importLedger(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Ledger file is not JSON');
+  }
+  if (!data || !LEDGER_FORMATS.includes(data.format) || !Array.isArray(data.entries)) {
+    throw new Error(`Not a ${LEDGER_FORMAT} file`);
+  }
+  const result = { added: 0, skipped: 0, conflicts: [] };
+  const slotKey = (e) => JSON.stringify([e.node_id, e.device_id || '', e.seq]);
+  const existing = await allLedgerEntries();
+  const present = new Map(existing.map(e => [slotKey(e), e]));
+  let pending = [];
+  for (const item of data.entries) {
+    const e = item && item.device_id === undefined ? { ...item, device_id: '' } : item;
+    if (!e || typeof e.node_id !== 'string' || typeof e.device_id !== 'string' || !Number.isInteger(e.seq) || typeof e.record_id !== 'string') {
+      result.conflicts.push('Skipped a malformed entry');
+      continue;
+    }
+    const other = present.get(slotKey(e));
+    if (other) {
+      if (other.entry_hash === e.entry_hash) result.skipped++;
+      else result.conflicts.push(`${ledgerSlotLabel(e)}: differs from the ${existing.includes(other) ? 'entry already on this device' : 'earlier entry for this slot in the file'} (${other.record_id})`);
+      continue;
+    }
+    present.set(slotKey(e), e);
+    pending.push(e);
+  }
+
+  // Rejecting an entry breaks the link of every later one in its chain, so
+  // those go with it; the next round checks what is left.
+  for (;;) {
+    const problems = new Map();
+    for (const issue of await checkLedger([...existing, ...pending])) {
+      if (!problems.has(slotKey(issue))) problems.set(slotKey(issue), issue.message);
+    }
+    const rejected = pending.filter(e => problems.has(slotKey(e)));
+    if (!rejected.length) break;
+    for (const e of rejected) result.conflicts.push(`${ledgerSlotLabel(e)}: ${problems.get(slotKey(e))}`);
+    const chainOf = (e) => JSON.stringify([e.node_id, e.device_id]);
+    pending = pending.filter(e => {
+      if (problems.has(slotKey(e))) return false;
+      const broken = rejected.find(r => chainOf(r) === chainOf(e) && r.seq < e.seq);
+      if (broken) result.conflicts.push(`${ledgerSlotLabel(e)}: follows rejected entry ${broken.seq}`);
+      return !broken;
+    });
+  }
+
+  const db = await openLedger();
+  for (const e of pending) {
+    const store = db.transaction(LEDGER_STORE, 'readwrite').objectStore(LEDGER_STORE);
+    try {
+      await requestResult(store.add(e));
+      result.added++;
+    } catch (err) {
+      result.conflicts.push(`${ledgerSlotLabel(e)}: record ID ${e.record_id} is already in the ledger`);
+    }
+  }
+  db.close();
+  return result;
+}
@@ -0,0 +1,783 @@
+// QR codes without network or libraries (ISO/IEC 18004, model 2).
+//
+// Encoder: byte mode, smallest version 1–40 that fits, error correction M by
+// default, mask chosen by the standard penalty rules. encodeQr returns the
+// module matrix (matrix[y][x], true = dark); qrSvg draws it.
+// Decoder: decodeQrImage takes ImageData from a canvas (camera frame, photo,
+// screenshot), finds the three finder patterns and, from version 2 on, the
+// bottom-right alignment pattern, samples the grid through a perspective
+// transform and corrects errors with Reed–Solomon. Byte, numeric and
+// alphanumeric segments are read; Kanji and structured append are not.
+
+const QR_ECC_FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+const QR_ECC_CODEWORDS_PER_BLOCK = {
+  L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+};
+
+const QR_ERROR_BLOCKS = {
+  L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+};
+
+const QR_ALPHANUMERIC = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+// GF(256) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1.
+const QR_GF_EXP = new Uint8Array(512);
+const QR_GF_LOG = new Uint8Array(256);
+(() => {
+  let x = 1;
+  for (let i = 0; i < 255; i++) {
+    QR_GF_EXP[i] = x;
+    QR_GF_LOG[x] = i;
+    x <<= 1;
+    if (x & 0x100) x ^= 0x11d;
+  }
+  for (let i = 255; i < 512; i++) QR_GF_EXP[i] = QR_GF_EXP[i - 255];
+})();
+
+function gfMul(a, b) {
+  return a && b ? QR_GF_EXP[QR_GF_LOG[a] + QR_GF_LOG[b]] : 0;
+}
+
+function gfDiv(a, b) {
+  return a ? QR_GF_EXP[QR_GF_LOG[a] + 255 - QR_GF_LOG[b]] : 0;
+}
+
+function gfPow2(e) {
+  return QR_GF_EXP[((e % 255) + 255) % 255];
+}
+
+// ---- Layout -------------------------------------------------------------
+
+function qrAlignmentPositions(version) {
+  if (version === 1) return [];
+  const size = version * 4 + 17;
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < count; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+function qrRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const count = Math.floor(version / 7) + 2;
+    result -= (25 * count - 10) * count - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function qrDataCodewords(version, ecc) {
+  return Math.floor(qrRawDataModules(version) / 8) - QR_ECC_CODEWORDS_PER_BLOCK[ecc][version] * QR_ERROR_BLOCKS[ecc][version];
+}
+
+// Function patterns of a version: { size, modules, isFunction }, with the
+// format areas reserved (light) and the version information drawn.
+function qrTemplate(version) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+  const align = qrAlignmentPositions(version);
+  align.forEach((cx, i) => {
+    align.forEach((cy, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === align.length - 1) || (i === align.length - 1 && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    });
+  });
+  qrDrawFormat({ size, set }, 0);
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
+  return { version, size, modules, isFunction, set };
+}
+
+function qrFormatBits(ecc, mask) {
+  const data = (QR_ECC_FORMAT_BITS[ecc] << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  return ((data << 10) | rem) ^ 0x5412;
+}
+
+// Both copies of the 15 format bits; `bits` 0 reserves the areas.
+function qrDrawFormat(t, bits) {
+  const bit = (i) => ((bits >>> i) & 1) === 1;
+  for (let i = 0; i <= 5; i++) t.set(8, i, bit(i));
+  t.set(8, 7, bit(6));
+  t.set(8, 8, bit(7));
+  t.set(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) t.set(14 - i, 8, bit(i));
+  for (let i = 0; i < 8; i++) t.set(t.size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) t.set(8, t.size - 15 + i, bit(i));
+  t.set(8, t.size - 8, true);
+}
+
+// Positions of the 15 format bits, first and second copy, as [x, y].
+function qrFormatPositions(size) {
+  const first = [];
+  const second = [];
+  for (let i = 0; i <= 5; i++) first.push([8, i]);
+  first.push([8, 7], [8, 8], [7, 8]);
+  for (let i = 9; i < 15; i++) first.push([14 - i, 8]);
+  for (let i = 0; i < 8; i++) second.push([size - 1 - i, 8]);
+  for (let i = 8; i < 15; i++) second.push([8, size - 15 + i]);
+  return [first, second];
+}
+
+function qrMaskBit(mask, x, y) {
+  switch (mask) {
+    case 0: return (x + y) % 2 === 0;
+    case 1: return y % 2 === 0;
+    case 2: return x % 3 === 0;
+    case 3: return (x + y) % 3 === 0;
+    case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+    case 5: return ((x * y) % 2) + ((x * y) % 3) === 0;
+    case 6: return (((x * y) % 2) + ((x * y) % 3)) % 2 === 0;
+    default: return (((x + y) % 2) + ((x * y) % 3)) % 2 === 0;
+  }
+}
+
+// Data modules in placement order: two-column zigzag from the bottom right.
+function qrDataPositions(t) {
+  const positions = [];
+  for (let right = t.size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < t.size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? t.size - 1 - vert : vert;
+        if (!t.isFunction[y][x]) positions.push([x, y]);
+      }
+    }
+  }
+  return positions;
+}
+
+// Block structure: [{ dataLength, eccLength }] in block order.
+function qrBlocks(version, ecc) {
+  const count = QR_ERROR_BLOCKS[ecc][version];
+  const eccLength = QR_ECC_CODEWORDS_PER_BLOCK[ecc][version];
+  const raw = Math.floor(qrRawDataModules(version) / 8);
+  const shortCount = count - (raw % count);
+  const shortLength = Math.floor(raw / count);
+  return Array.from({ length: count }, (_, i) => ({ dataLength: shortLength - eccLength + (i < shortCount ? 0 : 1), eccLength }));
+}
+
+// ---- Encoder ------------------------------------------------------------
+
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMul(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMul(root, 0x02);
+  }
+  return result;
+}
+
+function rsRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMul(coef, factor); });
+  }
+  return result;
+}
+
+function qrPenalty(modules) {
+  const size = modules.length;
+  let penalty = 0;
+  let dark = 0;
+  const line = (get) => {
+    let score = 0;
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && get(i) === get(i - 1)) {
+        run++;
+      } else {
+        if (run >= 5) score += run - 2;
+        run = 1;
+      }
+    }
+    // Finder-like 1:1:3:1:1 with four light modules on one side.
+    for (let i = 0; i + 7 <= size; i++) {
+      if (get(i) && !get(i + 1) && get(i + 2) && get(i + 3) && get(i + 4) && !get(i + 5) && get(i + 6)) {
+        const lightBefore = i >= 4 && !get(i - 1) && !get(i - 2) && !get(i - 3) && !get(i - 4);
+        const lightAfter = i + 11 <= size && !get(i + 7) && !get(i + 8) && !get(i + 9) && !get(i + 10);
+        if (lightBefore || lightAfter) score += 40;
+      }
+    }
+    return score;
+  };
+  for (let y = 0; y < size; y++) {
+    penalty += line((x) => modules[y][x]);
+    penalty += line((x) => modules[x][y]);
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x + 1 < size && y + 1 < size) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) penalty += 3;
+      }
+    }
+  }
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return penalty;
+}
+
+function encodeQr(text, ecc = 'M') {
+  const bytes = new TextEncoder().encode(text);
+  let version = 1;
+  while (4 + (version < 10 ? 8 : 16) + bytes.length * 8 > qrDataCodewords(version, ecc) * 8) {
+    version++;
+    if (version > 40) throw new Error('Too much data for a QR code');
+  }
+
+  const capacity = qrDataCodewords(version, ecc) * 8;
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  push(4, 4);
+  push(bytes.length, version < 10 ? 8 : 16);
+  for (const b of bytes) push(b, 8);
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) push(pad, 8);
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(bits.slice(i, i + 8).reduce((v, b) => (v << 1) | b, 0));
+
+  // Split into blocks, add error correction, interleave.
+  const blocks = qrBlocks(version, ecc);
+  const divisor = rsDivisor(blocks[0].eccLength);
+  const dataBlocks = [];
+  const eccBlocks = [];
+  let k = 0;
+  for (const block of blocks) {
+    const part = data.slice(k, k + block.dataLength);
+    k += block.dataLength;
+    dataBlocks.push(part);
+    eccBlocks.push(rsRemainder(part, divisor));
+  }
+  const codewords = [];
+  for (let i = 0; i < blocks[blocks.length - 1].dataLength; i++) {
+    for (const part of dataBlocks) if (i < part.length) codewords.push(part[i]);
+  }
+  for (let i = 0; i < blocks[0].eccLength; i++) {
+    for (const part of eccBlocks) codewords.push(part[i]);
+  }
+
+  const t = qrTemplate(version);
+  const positions = qrDataPositions(t);
+  positions.forEach(([x, y], i) => {
+    t.modules[y][x] = i < codewords.length * 8 && ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+  });
+
+  let best = null;
+  for (let mask = 0; mask < 8; mask++) {
+    const modules = t.modules.map(row => row.slice());
+    for (const [x, y] of positions) if (qrMaskBit(mask, x, y)) modules[y][x] = !modules[y][x];
+    qrDrawFormat({ size: t.size, set: (x, y, dark) => { modules[y][x] = dark; } }, qrFormatBits(ecc, mask));
+    const penalty = qrPenalty(modules);
+    if (!best || penalty < best.penalty) best = { modules, penalty };
+  }
+  return best.modules;
+}
+
+// SVG markup for a module matrix with a quiet zone of `border` modules.
+function qrSvg(matrix, border = 4) {
+  const n = matrix.length + border * 2;
+  let path = '';
+  matrix.forEach((row, y) => {
+    for (let x = 0; x < row.length; x++) {
+      if (!row[x]) continue;
+      let run = 1;
+      while (x + run < row.length && row[x + run]) run++;
+      path += `M${x + border} ${y + border}h${run}v1h-${run}z`;
+      x += run - 1;
+    }
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${n} ${n}" shape-rendering="crispEdges"><rect width="${n}" height="${n}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+// ---- Decoder: matrix to text --------------------------------------------
+
+// Corrects `block` (data then ECC codewords) in place. false when there are
+// more errors than the ECC can fix.
+function rsCorrect(block, eccLength) {
+  const n = block.length;
+  const syndromes = [];
+  let clean = true;
+  for (let i = 0; i < eccLength; i++) {
+    let s = 0;
+    const root = gfPow2(i);
+    for (const c of block) s = gfMul(s, root) ^ c;
+    syndromes.push(s);
+    if (s) clean = false;
+  }
+  if (clean) return true;
+
+  // Berlekamp–Massey: error locator, lowest degree first.
+  let locator = [1];
+  let prev = [1];
+  let errors = 0;
+  let shift = 1;
+  let prevDelta = 1;
+  for (let i = 0; i < eccLength; i++) {
+    let delta = syndromes[i];
+    for (let j = 1; j <= errors; j++) delta ^= gfMul(locator[j] || 0, syndromes[i - j]);
+    if (delta === 0) {
+      shift++;
+      continue;
+    }
+    const scale = gfDiv(delta, prevDelta);
+    const next = locator.slice();
+    for (let j = 0; j < prev.length; j++) {
+      while (next.length <= j + shift) next.push(0);
+      next[j + shift] ^= gfMul(scale, prev[j]);
+    }
+    if (2 * errors <= i) {
+      prev = locator;
+      errors = i + 1 - errors;
+      prevDelta = delta;
+      shift = 1;
+    } else {
+      shift++;
+    }
+    locator = next;
+  }
+  if (errors * 2 > eccLength) return false;
+
+  const evalPoly = (poly, x) => poly.reduceRight((acc, coef) => gfMul(acc, x) ^ coef, 0);
+  // Evaluator: syndromes × locator, mod x^eccLength.
+  const evaluator = new Array(eccLength).fill(0);
+  for (let i = 0; i < eccLength; i++) {
+    for (let j = 0; j <= i && j < locator.length; j++) evaluator[i] ^= gfMul(locator[j], syndromes[i - j]);
+  }
+  let found = 0;
+  for (let p = 0; p < n; p++) {
+    const xInv = gfPow2(-p);
+    if (evalPoly(locator, xInv) !== 0) continue;
+    let derivative = 0;
+    for (let j = 1; j < locator.length; j += 2) derivative ^= gfMul(locator[j], gfPow2(-p * (j - 1)));
+    if (!derivative) return false;
+    const magnitude = gfMul(gfPow2(p), gfDiv(evalPoly(evaluator, xInv), derivative));
+    block[n - 1 - p] ^= magnitude;
+    found++;
+  }
+  if (found !== errors) return false;
+  for (let i = 0; i < eccLength; i++) {
+    let s = 0;
+    const root = gfPow2(i);
+    for (const c of block) s = gfMul(s, root) ^ c;
+    if (s) return false;
+  }
+  return true;
+}
+
+function qrReadFormat(matrix) {
+  let best = null;
+  for (const copy of qrFormatPositions(matrix.length)) {
+    const value = copy.reduce((v, [x, y], i) => v | ((matrix[y][x] ? 1 : 0) << i), 0);
+    for (const ecc of Object.keys(QR_ECC_FORMAT_BITS)) {
+      for (let mask = 0; mask < 8; mask++) {
+        let diff = qrFormatBits(ecc, mask) ^ value;
+        let distance = 0;
+        for (; diff; diff &= diff - 1) distance++;
+        if (!best || distance < best.distance) best = { ecc, mask, distance };
+      }
+    }
+  }
+  return best && best.distance <= 3 ? best : null;
+}
+
+function qrReadSegments(data, version) {
+  let pos = 0;
+  const read = (length) => {
+    let v = 0;
+    for (let i = 0; i < length; i++, pos++) v = (v << 1) | ((data[pos >>> 3] >>> (7 - (pos & 7))) & 1);
+    return v;
+  };
+  const left = () => data.length * 8 - pos;
+  const out = [];
+  while (left() >= 4) {
+    const mode = read(4);
+    if (mode === 0) break;
+    if (mode === 4) {
+      const count = read(version < 10 ? 8 : 16);
+      if (count * 8 > left()) return null;
+      for (let i = 0; i < count; i++) out.push(read(8));
+    } else if (mode === 1) {
+      let count = read(version < 10 ? 10 : version < 27 ? 12 : 14);
+      for (; count >= 3; count -= 3) out.push(...String(read(10)).padStart(3, '0').split('').map(c => c.charCodeAt(0)));
+      if (count === 2) out.push(...String(read(7)).padStart(2, '0').split('').map(c => c.charCodeAt(0)));
+      if (count === 1) out.push(String(read(4)).charCodeAt(0));
+    } else if (mode === 2) {
+      let count = read(version < 10 ? 9 : version < 27 ? 11 : 13);
+      for (; count >= 2; count -= 2) {
+        const v = read(11);
+        out.push(QR_ALPHANUMERIC.charCodeAt(Math.floor(v / 45)), QR_ALPHANUMERIC.charCodeAt(v % 45));
+      }
+      if (count === 1) out.push(QR_ALPHANUMERIC.charCodeAt(read(6)));
+    } else if (mode === 7) {
+      const first = read(8);
+      if ((first & 0xc0) === 0x80) read(8);
+      else if ((first & 0xe0) === 0xc0) read(16);
+    } else {
+      return null;
+    }
+  }
+  return new TextDecoder().decode(Uint8Array.from(out));
+}
+
+// Text of a sampled module matrix, or null.
+function decodeQrMatrix(matrix) {
+  const size = matrix.length;
+  const version = (size - 17) / 4;
+  if (!Number.isInteger(version) || version < 1 || version > 40) return null;
+  const format = qrReadFormat(matrix);
+  if (!format) return null;
+
+  const t = qrTemplate(version);
+  const positions = qrDataPositions(t);
+  const raw = new Array(Math.floor(positions.length / 8)).fill(0);
+  positions.forEach(([x, y], i) => {
+    if (i >= raw.length * 8) return;
+    const bit = matrix[y][x] !== qrMaskBit(format.mask, x, y);
+    if (bit) raw[i >>> 3] |= 0x80 >>> (i & 7);
+  });
+
+  const blocks = qrBlocks(version, format.ecc).map(b => ({ ...b, codewords: [] }));
+  let k = 0;
+  const longest = blocks[blocks.length - 1].dataLength;
+  for (let i = 0; i < longest; i++) {
+    for (const b of blocks) if (i < b.dataLength) b.codewords.push(raw[k++]);
+  }
+  for (let i = 0; i < blocks[0].eccLength; i++) {
+    for (const b of blocks) b.codewords.push(raw[k++]);
+  }
+  const data = [];
+  for (const b of blocks) {
+    if (!rsCorrect(b.codewords, b.eccLength)) return null;
+    data.push(...b.codewords.slice(0, b.dataLength));
+  }
+  return qrReadSegments(data, version);
+}
+
+// ---- Decoder: image to matrix -------------------------------------------
+
+// Dark/light per pixel: the mean of a global (Otsu) and a local threshold,
+// so uneven light on a photo does not swallow half the code.
+function qrBinarize(image) {
+  const { width, height, data } = image;
+  const lum = new Uint8Array(width * height);
+  const hist = new Array(256).fill(0);
+  for (let i = 0; i < lum.length; i++) {
+    const a = data[i * 4 + 3];
+    const v = a < 128 ? 255 : (data[i * 4] * 77 + data[i * 4 + 1] * 150 + data[i * 4 + 2] * 29) >> 8;
+    lum[i] = v;
+    hist[v]++;
+  }
+  let sum = 0;
+  for (let i = 0; i < 256; i++) sum += i * hist[i];
+  let sumB = 0;
+  let weightB = 0;
+  let bestVar = -1;
+  let otsu = 128;
+  for (let t = 0; t < 256; t++) {
+    weightB += hist[t];
+    if (!weightB) continue;
+    const weightF = lum.length - weightB;
+    if (!weightF) break;
+    sumB += t * hist[t];
+    const between = weightB * weightF * (sumB / weightB - (sum - sumB) / weightF) ** 2;
+    if (between > bestVar) {
+      bestVar = between;
+      otsu = t;
+    }
+  }
+
+  const w1 = width + 1;
+  const integral = new Float64Array(w1 * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let row = 0;
+    for (let x = 0; x < width; x++) {
+      row += lum[y * width + x];
+      integral[(y + 1) * w1 + x + 1] = integral[y * w1 + x + 1] + row;
+    }
+  }
+  const r = Math.max(8, Math.floor(Math.min(width, height) / 16));
+  const dark = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - r);
+    const y1 = Math.min(height, y + r + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - r);
+      const x1 = Math.min(width, x + r + 1);
+      const mean = (integral[y1 * w1 + x1] - integral[y0 * w1 + x1] - integral[y1 * w1 + x0] + integral[y0 * w1 + x0]) / ((x1 - x0) * (y1 - y0));
+      dark[y * width + x] = lum[y * width + x] <= (mean + otsu) / 2 ? 1 : 0;
+    }
+  }
+  return { width, height, dark };
+}
+
+function qrIsDark(img, x, y) {
+  x = Math.floor(x);
+  y = Math.floor(y);
+  if (x < 0 || y < 0 || x >= img.width || y >= img.height) return null;
+  return img.dark[y * img.width + x] === 1;
+}
+
+// Run lengths [dark, light, DARK, light, dark] through pixel (x, y) along
+// (dx, dy), and the offset of the middle run's centre. null if (x, y) is light.
+function qrRunsAround(img, x, y, dx, dy) {
+  const at = (k) => qrIsDark(img, x + dx * k, y + dy * k);
+  if (at(0) !== true) return null;
+  const counts = [0, 0, 0, 0, 0];
+  let k = 0;
+  while (at(k) === true) { counts[2]++; k--; }
+  const start = k + 1;
+  while (at(k) === false) { counts[1]++; k--; }
+  while (at(k) === true) { counts[0]++; k--; }
+  k = 1;
+  while (at(k) === true) { counts[2]++; k++; }
+  const end = k - 1;
+  while (at(k) === false) { counts[3]++; k++; }
+  while (at(k) === true) { counts[4]++; k++; }
+  return { counts, center: (start + end) / 2 };
+}
+
+function qrRatioOk(counts, ratio) {
+  const units = ratio.reduce((a, b) => a + b, 0);
+  const total = counts.reduce((a, b) => a + b, 0);
+  if (total < units) return false;
+  const module = total / units;
+  return counts.every((c, i) => Math.abs(c - module * ratio[i]) < module * ratio[i] * 0.5);
+}
+
+const QR_FINDER_RATIO = [1, 1, 3, 1, 1];
+
+function qrFinderCandidates(img) {
+  const found = [];
+  const step = img.height > 800 ? 2 : 1;
+  for (let y = 0; y < img.height; y += step) {
+    const runs = [];
+    let start = 0;
+    for (let x = 1; x <= img.width; x++) {
+      if (x === img.width || img.dark[y * img.width + x] !== img.dark[y * img.width + start]) {
+        runs.push({ start, length: x - start, dark: img.dark[y * img.width + start] === 1 });
+        start = x;
+      }
+    }
+    for (let i = 0; i + 4 < runs.length; i++) {
+      if (!runs[i].dark) continue;
+      const counts = runs.slice(i, i + 5).map(r => r.length);
+      if (!qrRatioOk(counts, QR_FINDER_RATIO)) continue;
+      const hTotal = counts.reduce((a, b) => a + b, 0);
+      const cx = runs[i + 2].start + runs[i + 2].length / 2;
+      const v = qrRunsAround(img, cx, y, 0, 1);
+      if (!v || !qrRatioOk(v.counts, QR_FINDER_RATIO)) continue;
+      const vTotal = v.counts.reduce((a, b) => a + b, 0);
+      if (5 * Math.abs(vTotal - hTotal) >= 2 * hTotal) continue;
+      const cy = y + v.center + 0.5;
+      const h = qrRunsAround(img, cx, cy, 1, 0);
+      if (!h || !qrRatioOk(h.counts, QR_FINDER_RATIO)) continue;
+      const point = { x: Math.floor(cx) + h.center + 0.5, y: cy, module: (h.counts.reduce((a, b) => a + b, 0) + vTotal) / 14, count: 1 };
+      const near = found.find(f => Math.abs(f.x - point.x) <= f.module * 2 && Math.abs(f.y - point.y) <= f.module * 2);
+      if (near) {
+        near.x = (near.x * near.count + point.x) / (near.count + 1);
+        near.y = (near.y * near.count + point.y) / (near.count + 1);
+        near.module = (near.module * near.count + point.module) / (near.count + 1);
+        near.count++;
+      } else {
+        found.push(point);
+      }
+    }
+  }
+  return found;
+}
+
+// Triples of finder candidates shaped like a QR corner, best first, as
+// { topLeft, topRight, bottomLeft }.
+function qrFinderTriples(candidates) {
+  const top = candidates.slice().sort((a, b) => b.count - a.count).slice(0, 10);
+  const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+  const triples = [];
+  for (let i = 0; i < top.length; i++) {
+    for (let j = i + 1; j < top.length; j++) {
+      for (let k = j + 1; k < top.length; k++) {
+        const pts = [top[i], top[j], top[k]];
+        const modules = pts.map(p => p.module);
+        if (Math.max(...modules) > 1.5 * Math.min(...modules)) continue;
+        // The corner is opposite the longest side.
+        const sides = [[dist(pts[1], pts[2]), 0], [dist(pts[0], pts[2]), 1], [dist(pts[0], pts[1]), 2]].sort((a, b) => a[0] - b[0]);
+        const [short, mid, long] = sides.map(s => s[0]);
+        const error = Math.abs(short - mid) / mid + Math.abs(long - Math.SQRT2 * mid) / long;
+        if (error > 0.5 || short / Math.min(...modules) < 12) continue;
+        const corner = pts[sides[2][1]];
+        let [a, b] = pts.filter(p => p !== corner);
+        if ((a.x - corner.x) * (b.y - corner.y) - (a.y - corner.y) * (b.x - corner.x) < 0) [a, b] = [b, a];
+        triples.push({ topLeft: corner, topRight: a, bottomLeft: b, error });
+      }
+    }
+  }
+  return triples.sort((p, q) => p.error - q.error);
+}
+
+// Light, dark, light of one module each, inside the dark outer ring (which
+// may run on into dark data modules).
+function qrAlignmentRunsOk(counts, module) {
+  return counts[0] > 0 && counts[4] > 0 && [1, 2, 3].every(i => Math.abs(counts[i] - module) < module * 0.6);
+}
+
+// Alignment pattern candidates near the estimate (ex, ey), nearest first.
+// Perspective can move the pattern several modules from where the finder
+// patterns put it, so the search is wide and the caller tries a few.
+function qrFindAlignments(img, ex, ey, module) {
+  const r = Math.ceil(module * 8);
+  const found = [];
+  for (let y = Math.max(0, Math.floor(ey - r)); y < Math.min(img.height, ey + r); y++) {
+    for (let x = Math.max(0, Math.floor(ex - r)); x < Math.min(img.width, ex + r); x++) {
+      if (!img.dark[y * img.width + x] || (x > 0 && img.dark[y * img.width + x - 1])) continue;
+      const h = qrRunsAround(img, x, y, 1, 0);
+      if (!h || !qrAlignmentRunsOk(h.counts, module)) continue;
+      const cx = x + h.center + 0.5;
+      const v = qrRunsAround(img, cx, y, 0, 1);
+      if (!v || !qrAlignmentRunsOk(v.counts, module)) continue;
+      const point = { x: cx, y: y + v.center + 0.5 };
+      if (found.some(f => Math.abs(f.x - point.x) < module && Math.abs(f.y - point.y) < module)) continue;
+      found.push({ ...point, d: Math.hypot(point.x - ex, point.y - ey) });
+    }
+  }
+  return found.sort((a, b) => a.d - b.d);
+}
+
+// Homography taking module coordinates (u, v) to image coordinates, from
+// four point pairs [[u, v, x, y], …].
+function qrHomography(pairs) {
+  const rows = [];
+  for (const [u, v, x, y] of pairs) {
+    rows.push([u, v, 1, 0, 0, 0, -u * x, -v * x, x]);
+    rows.push([0, 0, 0, u, v, 1, -u * y, -v * y, y]);
+  }
+  for (let col = 0; col < 8; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < 8; r++) if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+    if (Math.abs(rows[col][col]) < 1e-12) return null;
+    for (let r = 0; r < 8; r++) {
+      if (r === col) continue;
+      const f = rows[r][col] / rows[col][col];
+      for (let c = col; c < 9; c++) rows[r][c] -= f * rows[col][c];
+    }
+  }
+  const [a, b, c, d, e, f, g, h] = rows.map((row, i) => row[8] / row[i]);
+  return (u, v) => {
+    const w = g * u + h * v + 1;
+    return [(a * u + b * v + c) / w, (d * u + e * v + f) / w];
+  };
+}
+
+function qrSample(img, map, size) {
+  const matrix = [];
+  for (let y = 0; y < size; y++) {
+    const row = [];
+    for (let x = 0; x < size; x++) {
+      const [px, py] = map(x + 0.5, y + 0.5);
+      row.push(qrIsDark(img, px, py) === true);
+    }
+    matrix.push(row);
+  }
+  return matrix;
+}
+
+function qrDecodeAt(img, triple) {
+  const { topLeft: tl, topRight: tr, bottomLeft: bl } = triple;
+  const module = (tl.module + tr.module + bl.module) / 3;
+  const estimate = Math.round((Math.hypot(tr.x - tl.x, tr.y - tl.y) + Math.hypot(bl.x - tl.x, bl.y - tl.y)) / 2 / module) + 7;
+  const base = estimate + [1, 0, -1, -2][estimate % 4];
+  for (const size of [base, base + 4, base - 4]) {
+    if (size < 21 || size > 177) continue;
+    // Fourth corner: the alignment pattern when there is one, else complete
+    // the parallelogram.
+    const far = size - 3.5;
+    const affine = (u, v) => [tl.x + (tr.x - tl.x) * (u - 3.5) / (far - 3.5) + (bl.x - tl.x) * (v - 3.5) / (far - 3.5),
+      tl.y + (tr.y - tl.y) * (u - 3.5) / (far - 3.5) + (bl.y - tl.y) * (v - 3.5) / (far - 3.5)];
+    const corners = [[3.5, 3.5, tl.x, tl.y], [far, 3.5, tr.x, tr.y], [3.5, far, bl.x, bl.y]];
+    const attempts = [];
+    if (size > 21) {
+      const [ex, ey] = affine(size - 6.5, size - 6.5);
+      for (const align of qrFindAlignments(img, ex, ey, module).slice(0, 3)) {
+        attempts.push([...corners, [size - 6.5, size - 6.5, align.x, align.y]]);
+      }
+    }
+    const [fx, fy] = affine(far, far);
+    attempts.push([...corners, [far, far, fx, fy]]);
+    for (const pairs of attempts) {
+      const map = qrHomography(pairs);
+      if (!map) continue;
+      const matrix = qrSample(img, map, size);
+      const text = decodeQrMatrix(matrix);
+      if (text !== null) return text;
+      // A mirrored image (e.g. a front camera) reads transposed.
+      const mirrored = decodeQrMatrix(matrix.map((row, y) => row.map((_, x) => matrix[x][y])));
+      if (mirrored !== null) return mirrored;
+    }
+  }
+  return null;
+}
+
+// Text of the first QR code found in `image` ({ width, height, data } RGBA,
+// as from getImageData), or null.
+function decodeQrImage(image) {
+  const img = qrBinarize(image);
+  const triples = qrFinderTriples(qrFinderCandidates(img));
+  for (const triple of triples.slice(0, 5)) {
+    const text = qrDecodeAt(img, triple);
+    if (text !== null) return text;
+  }
+  return null;
+}
@@ -0,0 +1,220 @@
+// Ed25519 signing for market-trust records (WebCrypto).
+//
+// Merchant keys are generated or imported in the browser and kept in this
+// device's localStorage under their key_id. The node countersigns through a
+// signing service (see ../node/stand-in-signer.mjs) or, when none is set, a
+// stand-in node key kept in this browser.
+//
+// Keys and signatures are written as 'ed25519:' + base64url (no padding):
+// public keys are the 32-byte raw key, signatures the 64-byte signature.
+
+const MERCHANT_KEY_STORE = 'mt.merchantKeys';
+const NODE_KEY_STORE = 'mt.nodeKeys';
+
+function bytesToBase64Url(bytes) {
+  let bin = '';
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+  const bin = atob(String(text).replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
+}
+
+function stripEd25519Prefix(value) {
+  const text = String(value || '');
+  if (!text.startsWith('ed25519:')) throw new Error('Expected an ed25519: value');
+  return text.slice('ed25519:'.length);
+}
+
+// What each party signs (UTF-8). The node signs the statement hash together
+// with the merchant signature, so it countersigns that exact signature.
+function merchantSigningInput(statementHash) {
+  return statementHash;
+}
+
+function nodeSigningInput(statementHash, merchantSignature) {
+  return `${statementHash}\n${merchantSignature}`;
+}
+
+function loadKeyStore(name) {
+  try {
+    return JSON.parse(localStorage.getItem(name) || '{}');
+  } catch (e) {
+    return {};
+  }
+}
+
+function saveKeyStore(name, store) {
+  localStorage.setItem(name, JSON.stringify(store));
+}
+
+async function keyEntryFromJwk(keyId, ownerId, jwk, createdAt) {
+  if (!jwk || jwk.kty !== 'OKP' || jwk.crv !== 'Ed25519' || !jwk.d || !jwk.x) {
+    throw new Error('Not an Ed25519 private key (JWK with kty "OKP", crv "Ed25519", d and x)');
+  }
+  const privateKey = await crypto.subtle.importKey('jwk', jwk, { name: 'Ed25519' }, true, ['sign']);
+  const publicKey = await crypto.subtle.importKey('jwk', { kty: 'OKP', crv: 'Ed25519', x: jwk.x }, { name: 'Ed25519' }, true, ['verify']);
+  // Reject a JWK whose d and x do not belong together.
+  const probe = new TextEncoder().encode(`key-check:${keyId}`);
+  const sig = await crypto.subtle.sign({ name: 'Ed25519' }, privateKey, probe);
+  if (!(await crypto.subtle.verify({ name: 'Ed25519' }, publicKey, sig, probe))) {
+    throw new Error('Private and public parts of the key do not match');
+  }
+  return {
+    key_id: keyId,
+    owner_id: ownerId,
+    algorithm: 'Ed25519',
+    public_key: 'ed25519:' + jwk.x,
+    private_jwk: { kty: 'OKP', crv: 'Ed25519', d: jwk.d, x: jwk.x },
+    created_at: createdAt || new Date().toISOString()
+  };
+}
+
+async function createKeyEntry(keyId, ownerId) {
+  const pair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+  const jwk = await crypto.subtle.exportKey('jwk', pair.privateKey);
+  return keyEntryFromJwk(keyId, ownerId, jwk);
+}
+
+function getMerchantKey(keyId) {
+  return loadKeyStore(MERCHANT_KEY_STORE)[keyId] || null;
+}
+
+async function generateMerchantKey(keyId, merchantId) {
+  const entry = await createKeyEntry(keyId, merchantId);
+  const store = loadKeyStore(MERCHANT_KEY_STORE);
+  store[keyId] = entry;
+  saveKeyStore(MERCHANT_KEY_STORE, store);
+  return entry;
+}
+
+// Accepts a key file written by exportMerchantKey, or a bare Ed25519 private JWK.
+async function importMerchantKey(keyId, merchantId, text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Key file is not JSON');
+  }
+  const jwk = data && data.private_jwk ? data.private_jwk : data;
+  const entry = await keyEntryFromJwk(keyId, merchantId, jwk, data && data.created_at);
+  const store = loadKeyStore(MERCHANT_KEY_STORE);
+  store[keyId] = entry;
+  saveKeyStore(MERCHANT_KEY_STORE, store);
+  return entry;
+}
+
+function exportMerchantKey(keyId) {
+  const entry = getMerchantKey(keyId);
+  return entry ? JSON.stringify(entry, null, 2) : null;
+}
+
+// The public half of a stored key, in the keys.json entry format.
+function publicKeyEntry(entry) {
+  return {
+    key_id: entry.key_id,
+    owner_id: entry.owner_id,
+    algorithm: entry.algorithm,
+    public_key: entry.public_key,
+    status: 'active',
+    valid_from: entry.created_at
+  };
+}
+
+async function signText(entry, text) {
+  const privateKey = await crypto.subtle.importKey('jwk', entry.private_jwk, { name: 'Ed25519' }, false, ['sign']);
+  const sig = await crypto.subtle.sign({ name: 'Ed25519' }, privateKey, new TextEncoder().encode(text));
+  return 'ed25519:' + bytesToBase64Url(new Uint8Array(sig));
+}
+
+// false (never throws) for malformed keys or signatures.
+async function verifyText(publicKey, signature, text) {
+  try {
+    const key = await crypto.subtle.importKey('raw', base64UrlToBytes(stripEd25519Prefix(publicKey)), { name: 'Ed25519' }, false, ['verify']);
+    return await crypto.subtle.verify({ name: 'Ed25519' }, key, base64UrlToBytes(stripEd25519Prefix(signature)), new TextEncoder().encode(text));
+  } catch (e) {
+    return false;
+  }
+}
+
+// The stand-in node key lives on the merchant's own device, so a stand-in
+// countersignature does not show that a node saw the record: the verify page
+// fails it (isStandInSigning). It is for trying the page out and drafting
+// off-grid only.
+const STAND_IN_SIGNER = 'browser-stand-in';
+
+function isStandInSigning(signing) {
+  return !!signing && (signing.node_signer === STAND_IN_SIGNER || /-standin-k\d+$/.test(signing.node_key_id || ''));
+}
+
+async function standInNodeKey(nodeId) {
+  const store = loadKeyStore(NODE_KEY_STORE);
+  if (!store[nodeId]) {
+    store[nodeId] = await createKeyEntry(`${nodeId}-standin-k01`, nodeId);
+    saveKeyStore(NODE_KEY_STORE, store);
+  }
+  return store[nodeId];
+}
+
+// Returns { node_id, node_key_id, node_public_key, node_signature, node_signer }.
+// `endpoint` is a signing service URL; empty means the in-browser stand-in.
+async function nodeCountersign(nodeId, statementHash, merchantSignature, endpoint) {
+  const input = nodeSigningInput(statementHash, merchantSignature);
+  if (!endpoint) {
+    const entry = await standInNodeKey(nodeId);
+    return {
+      node_id: nodeId,
+      node_key_id: entry.key_id,
+      node_public_key: entry.public_key,
+      node_signature: await signText(entry, input),
+      node_signer: STAND_IN_SIGNER
+    };
+  }
+
+  const res = await fetch(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ node_id: nodeId, statement_hash: statementHash, merchant_signature: merchantSignature })
+  });
+  if (!res.ok) throw new Error(`Node signing service returned HTTP ${res.status}`);
+  const out = await res.json();
+  if (!(await verifyText(out.public_key, out.signature, input))) {
+    throw new Error('Node signing service returned a signature that does not verify');
+  }
+  return {
+    node_id: out.node_id || nodeId,
+    node_key_id: out.key_id,
+    node_public_key: out.public_key,
+    node_signature: out.signature,
+    node_signer: endpoint
+  };
+}
+
+// Raw Ed25519 signature by the node key over `bytes` (used for credential
+// proofs, see vc.js). Returns { key_id, public_key, signature } with the
+// signature as bytes. The signing service takes these on /sign-credential
+// next to its /sign URL.
+async function nodeSignBytes(nodeId, bytes, endpoint) {
+  if (!endpoint) {
+    const entry = await standInNodeKey(nodeId);
+    const privateKey = await crypto.subtle.importKey('jwk', entry.private_jwk, { name: 'Ed25519' }, false, ['sign']);
+    const sig = await crypto.subtle.sign({ name: 'Ed25519' }, privateKey, bytes);
+    return { key_id: entry.key_id, public_key: entry.public_key, signature: new Uint8Array(sig) };
+  }
+
+  const res = await fetch(new URL('sign-credential', endpoint).href, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ node_id: nodeId, data: bytesToBase64Url(bytes) })
+  });
+  if (!res.ok) throw new Error(`Node signing service returned HTTP ${res.status}`);
+  const out = await res.json();
+  const signature = base64UrlToBytes(stripEd25519Prefix(out.signature));
+  const key = await crypto.subtle.importKey('raw', base64UrlToBytes(stripEd25519Prefix(out.public_key)), { name: 'Ed25519' }, false, ['verify']);
+  if (!(await crypto.subtle.verify({ name: 'Ed25519' }, key, signature, bytes))) {
+    throw new Error('Node signing service returned a signature that does not verify');
+  }
+  return { key_id: out.key_id, public_key: out.public_key, signature };
+}
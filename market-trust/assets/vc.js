@@ -0,0 +1,248 @@
+// Records as W3C Verifiable Credentials (VC Data Model 2.0).
+//
+// The issuer is the node's DID (did:web:goldisle.org), the credential subject
+// is the merchant, and the whole signed record travels in the subject as
+// `dispatchRecord`, so the usual record checks still apply after import.
+// The proof is a Data Integrity proof with the eddsa-jcs-2022 cryptosuite:
+//   Ed25519 over SHA-256(JCS(proof options)) || SHA-256(JCS(credential)),
+//   proofValue = multibase base58btc ('z…').
+// The node key is referenced as did:web:goldisle.org#<node key_id> and must
+// resolve from /.well-known/did.json as a Multikey (didVerificationMethod
+// below) listed under assertionMethod. That document is the site's identity
+// root, so the node operator asks its controller to add the key; until then
+// credentials fail verification.
+// Needs signing.js.
+
+const VC_CONTEXT = 'https://www.w3.org/ns/credentials/v2';
+const VC_TYPE = 'DispatchRecordCredential';
+const NODE_DID = 'did:web:goldisle.org';
+const DID_DOCUMENT_URL = '../../.well-known/did.json';
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function base58Encode(bytes) {
+  const digits = [];
+  for (const byte of bytes) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = (carry / 58) | 0;
+    }
+    while (carry) {
+      digits.push(carry % 58);
+      carry = (carry / 58) | 0;
+    }
+  }
+  let out = '';
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) out += '1';
+  for (let i = digits.length - 1; i >= 0; i--) out += BASE58_ALPHABET[digits[i]];
+  return out;
+}
+
+function base58Decode(text) {
+  const bytes = [];
+  for (const ch of text) {
+    let carry = BASE58_ALPHABET.indexOf(ch);
+    if (carry < 0) throw new Error(`Invalid base58 character "${ch}"`);
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  for (let i = 0; i < text.length && text[i] === '1'; i++) bytes.push(0);
+  return Uint8Array.from(bytes.reverse());
+}
+
+// JSON Canonicalization Scheme (RFC 8785). Unlike canonicalJson, strings are
+// kept exactly as they are.
+function jcs(value) {
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return '[' + value.map(jcs).join(',') + ']';
+  const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+  return '{' + keys.map(k => JSON.stringify(k) + ':' + jcs(value[k])).join(',') + '}';
+}
+
+// 'ed25519:<base64url>' <-> Multikey 'z6Mk…' (multicodec 0xed01 + raw key).
+function ed25519ToMultikey(publicKey) {
+  const raw = base64UrlToBytes(stripEd25519Prefix(publicKey));
+  return 'z' + base58Encode(Uint8Array.from([0xed, 0x01, ...raw]));
+}
+
+function multikeyToEd25519(multibase) {
+  if (!String(multibase).startsWith('z')) throw new Error('Expected a base58btc multibase key');
+  const bytes = base58Decode(multibase.slice(1));
+  if (bytes.length !== 34 || bytes[0] !== 0xed || bytes[1] !== 0x01) throw new Error('Not an Ed25519 Multikey');
+  return 'ed25519:' + bytesToBase64Url(bytes.slice(2));
+}
+
+// The did.json entry that publishes a node key.
+function didVerificationMethod(keyId, publicKey) {
+  return {
+    id: `${NODE_DID}#${keyId}`,
+    type: 'Multikey',
+    controller: NODE_DID,
+    publicKeyMultibase: ed25519ToMultikey(publicKey)
+  };
+}
+
+function recordToCredential(record) {
+  return {
+    '@context': [VC_CONTEXT],
+    id: `urn:goldisle:market-trust:${record.record_id}`,
+    type: ['VerifiableCredential', VC_TYPE],
+    issuer: {
+      id: NODE_DID,
+      name: record.issuer ? record.issuer.issuer_org : 'Goldisle Light Org (UK)'
+    },
+    validFrom: record.declaration.declared_at,
+    credentialSubject: {
+      id: `urn:goldisle:market-trust:merchant:${record.merchant.merchant_id}`,
+      type: 'Merchant',
+      name: record.merchant.merchant_name,
+      merchantId: record.merchant.merchant_id,
+      dispatchRecord: record
+    }
+  };
+}
+
+async function credentialHashData(unsecured, options) {
+  const sha = async (text) => new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+  const config = { ...options, '@context': unsecured['@context'] };
+  const out = new Uint8Array(64);
+  out.set(await sha(jcs(config)), 0);
+  out.set(await sha(jcs(unsecured)), 32);
+  return out;
+}
+
+// Credential for `record` with a node proof. `endpoint` as for nodeCountersign.
+async function issueCredential(record, endpoint) {
+  const credential = recordToCredential(record);
+  const nodeId = record.signing.node_id;
+  // The proof names its key before signing, so ask the signer which key it
+  // holds: the stand-in key, or the service's key from GET /key.
+  let keyId;
+  if (endpoint) {
+    const res = await fetch(new URL('key', endpoint).href);
+    if (!res.ok) throw new Error(`Node signing service returned HTTP ${res.status}`);
+    keyId = (await res.json()).key_id;
+  } else {
+    keyId = (await standInNodeKey(nodeId)).key_id;
+  }
+  const options = {
+    type: 'DataIntegrityProof',
+    cryptosuite: 'eddsa-jcs-2022',
+    created: new Date().toISOString().replace(/\.\d{3}Z$/, 'Z'),
+    verificationMethod: `${NODE_DID}#${keyId}`,
+    proofPurpose: 'assertionMethod'
+  };
+  const signed = await nodeSignBytes(nodeId, await credentialHashData(credential, options), endpoint);
+  if (signed.key_id !== keyId) throw new Error(`Node signing service switched keys (${keyId} → ${signed.key_id})`);
+  credential.proof = { ...options, proofValue: 'z' + base58Encode(signed.signature) };
+  return credential;
+}
+
+function isCredential(data) {
+  return !!data && Array.isArray(data.type) && data.type.includes('VerifiableCredential');
+}
+
+// The record inside a credential, or null.
+function credentialRecord(credential) {
+  const subject = credential && credential.credentialSubject;
+  return subject && subject.dispatchRecord && typeof subject.dispatchRecord === 'object' ? subject.dispatchRecord : null;
+}
+
+async function loadDidDocument() {
+  try {
+    const res = await fetch(DID_DOCUMENT_URL, { cache: 'no-store' });
+    return res.ok ? await res.json() : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Finds a verification method in a DID document by full or relative id.
+function findVerificationMethod(didDoc, methodId) {
+  if (!didDoc || !Array.isArray(didDoc.verificationMethod)) return null;
+  const fragment = methodId.slice(methodId.indexOf('#'));
+  return didDoc.verificationMethod.find(m => m.id === methodId || m.id === fragment) || null;
+}
+
+// Whether a verification relationship (e.g. assertionMethod) lists the
+// method, by reference or embedded.
+function listsMethod(list, methodId) {
+  const fragment = methodId.slice(methodId.indexOf('#'));
+  return Array.isArray(list) && list.some(m => {
+    const id = typeof m === 'string' ? m : m && m.id;
+    return id === methodId || id === fragment;
+  });
+}
+
+// Credential-level checks, in the verifyRecord result format. `didDoc` is the
+// parsed did.json, or null when it could not be loaded.
+async function verifyCredential(credential, didDoc) {
+  const checks = [];
+  const proof = credential.proof || {};
+  const record = credentialRecord(credential);
+  const issuerId = typeof credential.issuer === 'string' ? credential.issuer : credential.issuer && credential.issuer.id;
+
+  const shapeOk = Array.isArray(credential['@context']) && credential['@context'][0] === VC_CONTEXT
+    && credential.type.includes(VC_TYPE) && issuerId === NODE_DID && !!record;
+  checks.push({ id: 'vc_structure', label: 'Credential / 可验证凭证', status: shapeOk ? 'pass' : 'fail', detail: shapeOk ? `${VC_TYPE} issued by ${issuerId}` : `Expected a ${VC_TYPE} issued by ${NODE_DID} carrying a dispatchRecord` });
+  if (!shapeOk) return checks;
+
+  const subject = credential.credentialSubject;
+  const subjectOk = subject.merchantId === record.merchant.merchant_id && subject.name === record.merchant.merchant_name
+    && credential.validFrom === record.declaration.declared_at && credential.id === `urn:goldisle:market-trust:${record.record_id}`;
+  checks.push({ id: 'vc_subject', label: 'Credential subject / 凭证主体', status: subjectOk ? 'pass' : 'fail', detail: subjectOk ? `${subject.name} (${subject.merchantId})` : 'The credential fields differ from the record it carries / 凭证字段与所含记录不一致' });
+
+  const methodId = String(proof.verificationMethod || '');
+  if (proof.type !== 'DataIntegrityProof' || proof.cryptosuite !== 'eddsa-jcs-2022' || !methodId.startsWith(`${NODE_DID}#`) || proof.proofPurpose !== 'assertionMethod') {
+    checks.push({ id: 'vc_proof', label: 'Credential proof / 凭证签名', status: 'fail', detail: `Expected an eddsa-jcs-2022 DataIntegrityProof for assertionMethod by a ${NODE_DID} key` });
+    return checks;
+  }
+
+  // Key: only from the DID document. A key named in the credential or the
+  // record proves nothing about who holds it.
+  const method = findVerificationMethod(didDoc, methodId);
+  if (!method) {
+    const keyId = methodId.slice(methodId.indexOf('#') + 1);
+    const hint = keyId === record.signing.node_key_id
+      ? `; to publish it, add ${JSON.stringify(didVerificationMethod(keyId, record.signing.node_public_key))} to verificationMethod and its id to assertionMethod`
+      : '';
+    checks.push({ id: 'vc_did', label: 'DID key / DID 公钥', status: 'fail', detail: didDoc
+      ? `${methodId} is not published in did.json${hint} / DID 文档中未发布该密钥`
+      : 'did.json could not be loaded, so the issuer key cannot be resolved / 无法读取 DID 文档，无法确认签发密钥' });
+    return checks;
+  }
+  let publicKey;
+  try {
+    publicKey = multikeyToEd25519(method.publicKeyMultibase);
+  } catch (err) {
+    checks.push({ id: 'vc_did', label: 'DID key / DID 公钥', status: 'fail', detail: `${methodId}: ${err.message}` });
+    return checks;
+  }
+  if (!listsMethod(didDoc.assertionMethod, methodId)) {
+    checks.push({ id: 'vc_did', label: 'DID key / DID 公钥', status: 'fail', detail: `${methodId} is in did.json but not listed under assertionMethod / 未授权用于签发` });
+    return checks;
+  }
+  checks.push({ id: 'vc_did', label: 'DID key / DID 公钥', status: 'pass', detail: `${methodId} resolved from did.json / 已在 DID 文档中发布` });
+
+  let proofOk = false;
+  try {
+    const { proofValue, ...options } = proof;
+    const { proof: _, ...unsecured } = credential;
+    const key = await crypto.subtle.importKey('raw', base64UrlToBytes(stripEd25519Prefix(publicKey)), { name: 'Ed25519' }, false, ['verify']);
+    proofOk = String(proofValue).startsWith('z')
+      && await crypto.subtle.verify({ name: 'Ed25519' }, key, base58Decode(proofValue.slice(1)), await credentialHashData(unsecured, options));
+  } catch (e) {
+    proofOk = false;
+  }
+  checks.push({ id: 'vc_proof', label: 'Credential proof / 凭证签名', status: proofOk ? 'pass' : 'fail', detail: proofOk ? `Valid eddsa-jcs-2022 proof by ${methodId}` : 'The proof does not verify: the credential was changed or signed by another key / 凭证签名无效' });
+  return checks;
+}
@@ -0,0 +1,392 @@
+// Record verification for the verify page: takes a record JSON, a
+// certificate HTML or a Verifiable Credential downloaded from the issue page
+// and re-checks it.
+// A certificate's QR code (see qrPayloadUrl in app.js) is checked on its own
+// or against a loaded record.
+// Needs signing.js, canonical.js, qr.js, goods.js, app.js
+// (computeStatementHash, escapeHtml) and vc.js.
+
+const KEYS_URL = '../keys.json';
+
+// Returns { record, html, credential } (html is null for JSON input,
+// credential null unless the input is a Verifiable Credential). Throws Error
+// when no record is found.
+function extractRecord(text) {
+  const src = String(text || '').trim();
+  if (!src) throw new Error('Nothing to verify');
+  if (src.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(src);
+    } catch (e) {
+      throw new Error(`Record JSON is invalid: ${e.message}`);
+    }
+    if (isCredential(data)) {
+      const record = credentialRecord(data);
+      if (!record) throw new Error('This credential carries no market-trust record (credentialSubject.dispatchRecord)');
+      return { record, html: null, credential: data };
+    }
+    return { record: data, html: null, credential: null };
+  }
+  const doc = new DOMParser().parseFromString(src, 'text/html');
+  const embedded = doc.getElementById(CERTIFICATE_RECORD_ID);
+  if (!embedded) throw new Error('This HTML has no embedded record (certificates issued before verification support cannot be checked from the HTML; use the record JSON)');
+  try {
+    return { record: JSON.parse(embedded.textContent), html: String(text), credential: null };
+  } catch (e) {
+    throw new Error(`Embedded record is invalid: ${e.message}`);
+  }
+}
+
+function missingFields(record) {
+  const required = {
+    record_id: record.record_id,
+    'merchant.merchant_name': record.merchant && record.merchant.merchant_name,
+    'merchant.key_id': record.merchant && record.merchant.key_id,
+    'dispatch.goods_name': record.dispatch && record.dispatch.goods_name,
+    'dispatch.goods_quantity': record.dispatch && record.dispatch.goods_quantity,
+    'dispatch.dispatch_place': record.dispatch && record.dispatch.dispatch_place,
+    'declaration.declared_at': record.declaration && record.declaration.declared_at,
+    'signing.statement_hash': record.signing && record.signing.statement_hash,
+    'signing.merchant_signature': record.signing && record.signing.merchant_signature,
+    'signing.merchant_public_key': record.signing && record.signing.merchant_public_key,
+    'signing.node_signature': record.signing && record.signing.node_signature,
+    'signing.node_public_key': record.signing && record.signing.node_public_key
+  };
+  if (record.schema_version === RECORD_SCHEMA) {
+    const goods = (record.dispatch && record.dispatch.goods) || {};
+    const quantity = (record.dispatch && record.dispatch.quantity) || {};
+    // Uncatalogued goods carry a name but no code or HS code.
+    if (!goods.uncatalogued) {
+      Object.assign(required, {
+        'dispatch.goods.code': goods.code,
+        'dispatch.goods.hs_code': goods.hs_code
+      });
+    }
+    Object.assign(required, {
+      'dispatch.goods.name_cn': goods.name_cn,
+      'dispatch.goods.name_en': goods.name_en,
+      'dispatch.quantity.value': quantity.value,
+      'dispatch.quantity.unit': quantity.unit,
+      'dispatch.quantity.unit_cn': quantity.unit_cn
+    });
+  }
+  return Object.keys(required).filter(k => required[k] === undefined || required[k] === null || required[k] === '');
+}
+
+function keyCheck(id, label, list, keyId, publicKey) {
+  if (!list) return { id, label, status: 'fail', detail: 'Published key list could not be loaded, so the key cannot be confirmed / 无法读取公钥名单，无法确认公钥' };
+  const entry = list.find(k => k.key_id === keyId);
+  if (!entry) return { id, label, status: 'fail', detail: `${keyId} is not published in keys.json; anyone can make a key and sign with it / 公钥名单中没有 ${keyId}，签名无法归属` };
+  if (entry.public_key !== publicKey) return { id, label, status: 'fail', detail: `The record's key differs from the published key for ${keyId} / 与已发布公钥不一致` };
+  if (entry.status === 'revoked') return { id, label, status: 'fail', detail: `${keyId} is revoked / 该密钥已撤销` };
+  return { id, label, status: 'pass', detail: `${keyId} matches the published key / 与已发布公钥一致` };
+}
+
+function valueAt(record, path) {
+  return path.split('.').reduce((o, k) => (o && typeof o === 'object' ? o[k] : undefined), record);
+}
+
+// Fields whose visible text on the certificate (elements marked data-field)
+// differs from the embedded record. null when the page has no markers.
+function changedCertificateFields(html, record) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const marked = doc.querySelectorAll('[data-field]');
+  if (!marked.length) return null;
+  const changed = [];
+  for (const el of marked) {
+    const path = el.getAttribute('data-field');
+    const expected = String(valueAt(record, path) ?? '');
+    if (el.textContent !== expected) changed.push(`${path}: page shows "${el.textContent}", record has "${expected}"`);
+  }
+  return changed;
+}
+
+// Returns [{ id, label, status: 'pass' | 'fail' | 'warn', detail }].
+// `keys` is the parsed keys.json, or null when it is unavailable.
+async function verifyRecord(record, html, keys) {
+  const checks = [];
+  const missing = missingFields(record || {});
+  if (missing.length) {
+    checks.push({ id: 'structure', label: 'Record structure / 记录结构', status: 'fail', detail: `Missing: ${missing.join(', ')}` });
+    return checks;
+  }
+  checks.push({ id: 'structure', label: 'Record structure / 记录结构', status: 'pass', detail: record.record_id });
+
+  const signing = record.signing;
+  const recomputed = await computeStatementHash(record);
+  checks.push(recomputed === signing.statement_hash
+    ? { id: 'statement_hash', label: 'Statement hash / 声明哈希', status: 'pass', detail: recomputed }
+    : { id: 'statement_hash', label: 'Statement hash / 声明哈希', status: 'fail', detail: `Recomputed ${recomputed}; the record says ${signing.statement_hash}. ${CANONICAL_SCHEMAS.includes(record.schema_version)
+      ? 'A field covered by the hash (everything except signatures and node key) was changed after signing.'
+      : 'A signed field (merchant, key, node, goods, quantity, place, note or time) was changed after signing.'} / 签名后的字段被修改。` });
+
+  // Structured records: the goods and quantity labels follow from the
+  // structured fields too.
+  const d = record.dispatch;
+  const textsMatch = record.declaration.statement_text_en === buildStatementEN(d)
+    && record.declaration.statement_text_cn === buildStatementCN(d)
+    && (record.schema_version !== RECORD_SCHEMA || (d.goods_name === goodsLabel(d.goods) && d.goods_quantity === quantityLabel(d.quantity)));
+  checks.push({ id: 'statement_text', label: 'Statement text / 申报文字', status: textsMatch ? 'pass' : 'fail', detail: textsMatch ? 'Matches the declared goods and quantity / 与申报商品、数量一致' : 'The statement text does not match the declared goods and quantity / 申报文字与商品、数量不符' });
+
+  const merchantOk = await verifyText(signing.merchant_public_key, signing.merchant_signature, merchantSigningInput(signing.statement_hash));
+  checks.push({ id: 'merchant_signature', label: 'Merchant signature / 商户签名', status: merchantOk ? 'pass' : 'fail', detail: merchantOk ? `Valid Ed25519 signature by ${record.merchant.key_id}` : 'Does not verify against the merchant public key / 商户签名无效' });
+
+  const nodeOk = await verifyText(signing.node_public_key, signing.node_signature, nodeSigningInput(signing.statement_hash, signing.merchant_signature));
+  checks.push({ id: 'node_signature', label: 'Node countersignature / 节点副签', status: nodeOk ? 'pass' : 'fail', detail: nodeOk ? `Valid Ed25519 countersignature by ${signing.node_key_id || signing.node_id}` : 'Does not verify against the node public key / 节点签名无效' });
+  checks.push(isStandInSigning(signing)
+    ? { id: 'node_signer', label: 'Node signer / 副签方', status: 'fail', detail: 'Countersigned with the in-browser stand-in key on the merchant\'s own device, not by the node: the node never saw this record / 由商户本机的替代密钥副签，并非节点签发' }
+    : { id: 'node_signer', label: 'Node signer / 副签方', status: 'pass', detail: `Node signing service ${signing.node_signer || signing.node_id}` });
+
+  checks.push(keyCheck('merchant_key', 'Merchant key published / 商户公钥已发布', keys && keys.merchants, record.merchant.key_id, signing.merchant_public_key));
+  checks.push(keyCheck('node_key', 'Node key published / 节点公钥已发布', keys && keys.nodes, signing.node_key_id, signing.node_public_key));
+
+  if (html !== null && html !== undefined) {
+    const changed = changedCertificateFields(html, record);
+    if (changed === null) {
+      checks.push({ id: 'certificate', label: 'Certificate page / 证明页面', status: 'warn', detail: 'This certificate layout does not mark its fields; only the embedded record was checked / 旧版证明页面，仅核验内嵌记录' });
+    } else {
+      checks.push(changed.length
+        ? { id: 'certificate', label: 'Certificate page / 证明页面', status: 'fail', detail: `The visible page differs from its embedded record: ${changed.join(' | ')}` }
+        : { id: 'certificate', label: 'Certificate page / 证明页面', status: 'pass', detail: 'Visible page matches the embedded record / 页面内容与内嵌记录一致' });
+    }
+  }
+  return checks;
+}
+
+// Fields of a QR payload (a verify URL with #mt1=…, or the fragment alone).
+function parseQrPayload(text) {
+  const src = String(text || '');
+  const at = src.indexOf('mt1=');
+  if (at < 0 || (at > 0 && src[at - 1] !== '#')) throw new Error('这不是市场信任记录的二维码 / Not a market-trust QR code');
+  const [id, data] = src.slice(at + 'mt1='.length).split('.');
+  let bytes;
+  try {
+    bytes = base64UrlToBytes(data || '');
+  } catch (e) {
+    bytes = new Uint8Array(0);
+  }
+  if (!id || bytes.length !== 224) throw new Error('二维码内容不完整或已损坏 / The QR code is damaged or incomplete');
+  const ed = (from, to) => 'ed25519:' + bytesToBase64Url(bytes.slice(from, to));
+  return {
+    record_id: decodeURIComponent(id),
+    statement_hash: 'sha256:' + Array.from(bytes.slice(0, 32), b => b.toString(16).padStart(2, '0')).join(''),
+    merchant_signature: ed(32, 96),
+    node_signature: ed(96, 160),
+    merchant_public_key: ed(160, 192),
+    node_public_key: ed(192, 224)
+  };
+}
+
+function qrKeyCheck(id, label, list, publicKey) {
+  if (!list) return { id, label, status: 'fail', detail: 'Published key list could not be loaded, so the key cannot be confirmed / 无法读取公钥名单，无法确认公钥' };
+  const entry = list.find(k => k.public_key === publicKey);
+  if (!entry) return { id, label, status: 'fail', detail: 'This key is not published in keys.json; anyone can make a key and sign with it / 公钥名单中没有该密钥，签名无法归属' };
+  if (entry.status === 'revoked') return { id, label, status: 'fail', detail: `${entry.key_id} is revoked / 该密钥已撤销` };
+  return { id, label, status: 'pass', detail: `Published as ${entry.key_id} / 已发布` };
+}
+
+// Checks for a scanned QR payload, in the verifyRecord result format.
+// `record` is the loaded record to match it against, or null.
+async function verifyQrPayload(payload, record, keys) {
+  const checks = [];
+  const merchantOk = await verifyText(payload.merchant_public_key, payload.merchant_signature, merchantSigningInput(payload.statement_hash));
+  checks.push({ id: 'qr_merchant_signature', label: 'QR merchant signature / 二维码商户签名', status: merchantOk ? 'pass' : 'fail', detail: merchantOk ? `Valid over ${payload.statement_hash}` : 'Does not verify / 签名无效' });
+  const nodeOk = await verifyText(payload.node_public_key, payload.node_signature, nodeSigningInput(payload.statement_hash, payload.merchant_signature));
+  checks.push({ id: 'qr_node_signature', label: 'QR node countersignature / 二维码节点副签', status: nodeOk ? 'pass' : 'fail', detail: nodeOk ? 'Valid countersignature of the merchant signature' : 'Does not verify / 副签无效' });
+  checks.push(qrKeyCheck('qr_merchant_key', 'QR merchant key published / 商户公钥已发布', keys && keys.merchants, payload.merchant_public_key));
+  checks.push(qrKeyCheck('qr_node_key', 'QR node key published / 节点公钥已发布', keys && keys.nodes, payload.node_public_key));
+
+  if (!record) {
+    // The signatures cover the statement hash, not the record ID the QR
+    // code names, so the ID is shown here as a claim rather than as the
+    // result heading.
+    checks.push({ id: 'qr_record', label: 'Record / 记录', status: 'warn', detail: `The QR code names record ${payload.record_id}, unverified: its signatures do not cover the record ID. Load the record JSON or certificate HTML above to check it and what was declared. / 二维码所称记录编号 ${payload.record_id} 未经核验；载入记录后可核对记录编号与申报内容` });
+    return checks;
+  }
+  const s = record.signing || {};
+  const differ = ['record_id', 'statement_hash', 'merchant_signature', 'node_signature', 'merchant_public_key', 'node_public_key']
+    .filter(k => payload[k] !== (k === 'record_id' ? record.record_id : s[k]));
+  checks.push(differ.length
+    ? { id: 'qr_record', label: 'QR matches record / 二维码与记录一致', status: 'fail', detail: `The QR code belongs to another record or the record was changed: ${differ.join(', ')} differ / 二维码与记录不符` }
+    : { id: 'qr_record', label: 'QR matches record / 二维码与记录一致', status: 'pass', detail: record.record_id });
+  return checks;
+}
+
+async function runQrVerification(payload) {
+  const input = document.getElementById('verifyInput');
+  let parsed = null;
+  if (input.value.trim()) {
+    try {
+      parsed = extractRecord(input.value);
+    } catch (e) {
+      parsed = null;
+    }
+  }
+  const keys = await loadPublishedKeys();
+  let checks = await verifyQrPayload(payload, parsed && parsed.record, keys);
+  if (parsed) checks = [...checks, ...await verifyRecord(parsed.record, parsed.html, keys)];
+  document.getElementById('verifyResult').innerHTML = renderChecks(parsed && parsed.record, checks);
+  return checks;
+}
+
+// Downscaled ImageData from an image file or video frame.
+function imageDataFrom(source, width, height) {
+  const scale = Math.min(1, 1000 / Math.max(width, height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+async function handleScannedText(text) {
+  const status = document.getElementById('scanStatus');
+  let payload;
+  try {
+    payload = parseQrPayload(text);
+  } catch (err) {
+    status.textContent = err.message;
+    document.getElementById('verifyResult').innerHTML = '';
+    return false;
+  }
+  status.textContent = '已读取二维码 / QR code read';
+  await runQrVerification(payload);
+  document.getElementById('verifyResult').scrollIntoView({ behavior: 'smooth', block: 'start' });
+  return true;
+}
+
+function setupScan() {
+  const cameraBtn = document.getElementById('scanCameraBtn');
+  if (!cameraBtn) return;
+  const imageFile = document.getElementById('scanImageFile');
+  const video = document.getElementById('scanVideo');
+  const status = document.getElementById('scanStatus');
+  let stream = null;
+
+  const stopCamera = () => {
+    if (stream) stream.getTracks().forEach(t => t.stop());
+    stream = null;
+    video.hidden = true;
+    cameraBtn.textContent = 'Camera / 摄像头';
+  };
+
+  const scanFrame = async () => {
+    if (!stream) return;
+    if (video.readyState >= 2 && video.videoWidth) {
+      const text = decodeQrImage(imageDataFrom(video, video.videoWidth, video.videoHeight));
+      if (text !== null) {
+        stopCamera();
+        await handleScannedText(text);
+        return;
+      }
+    }
+    setTimeout(scanFrame, 250);
+  };
+
+  cameraBtn.addEventListener('click', async () => {
+    if (stream) return stopCamera();
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      status.textContent = '此浏览器无法使用摄像头，请上传二维码照片。 / No camera access in this browser; upload a photo instead.';
+      return;
+    }
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+    } catch (err) {
+      status.textContent = `无法打开摄像头 / Camera unavailable: ${err.message}`;
+      return;
+    }
+    video.srcObject = stream;
+    video.hidden = false;
+    await video.play();
+    cameraBtn.textContent = 'Stop / 停止';
+    status.textContent = '将二维码对准摄像头… / Point the camera at the QR code…';
+    scanFrame();
+  });
+
+  imageFile.addEventListener('change', async () => {
+    const file = imageFile.files && imageFile.files[0];
+    imageFile.value = '';
+    if (!file) return;
+    let text = null;
+    try {
+      const bitmap = await createImageBitmap(file);
+      text = decodeQrImage(imageDataFrom(bitmap, bitmap.width, bitmap.height));
+    } catch (err) {
+      status.textContent = `无法读取图片 / Cannot read the image: ${err.message}`;
+      return;
+    }
+    if (text === null) {
+      status.textContent = '图片中未找到二维码，请拍摄得更近、更清晰。 / No QR code found; try a closer, sharper photo.';
+      return;
+    }
+    handleScannedText(text);
+  });
+
+  // Opened from a scanned QR code: the payload is in the URL fragment.
+  if (location.hash.startsWith('#mt1=')) handleScannedText(location.hash);
+}
+
+async function loadPublishedKeys() {
+  try {
+    const res = await fetch(KEYS_URL, { cache: 'no-store' });
+    return res.ok ? await res.json() : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function renderChecks(record, checks) {
+  const failed = checks.filter(c => c.status === 'fail').length;
+  const warned = checks.filter(c => c.status === 'warn').length;
+  const mark = { pass: '✓', fail: '✗', warn: '!' };
+  let html = `<div class="verify-summary verify-${failed ? 'fail' : 'pass'}">`;
+  html += failed
+    ? `核验未通过 / Verification failed — ${failed} check(s) failed`
+    : `核验通过 / Verified${warned ? ` — ${warned} warning(s)` : ''}`;
+  html += `</div>`;
+  if (record && record.record_id) html += `<p class="muted">Record / 记录：<strong>${escapeHtml(record.record_id)}</strong></p>`;
+  html += `<ul class="check-list">`;
+  for (const c of checks) {
+    html += `<li class="check-${c.status}"><span class="check-mark">${mark[c.status]}</span><strong>${escapeHtml(c.label)}</strong><div class="mono-inline">${escapeHtml(c.detail)}</div></li>`;
+  }
+  return html + `</ul>`;
+}
+
+async function runVerification(text) {
+  const out = document.getElementById('verifyResult');
+  let parsed;
+  try {
+    parsed = extractRecord(text);
+  } catch (err) {
+    out.innerHTML = `<div class="verify-summary verify-fail">无法读取 / Cannot read input</div><p class="muted">${escapeHtml(err.message)}</p>`;
+    return null;
+  }
+  let checks = await verifyRecord(parsed.record, parsed.html, await loadPublishedKeys());
+  if (parsed.credential) checks = [...await verifyCredential(parsed.credential, await loadDidDocument()), ...checks];
+  out.innerHTML = renderChecks(parsed.record, checks);
+  return checks;
+}
+
+function setupVerifyPage() {
+  const verifyBtn = document.getElementById('verifyBtn');
+  if (!verifyBtn) return;
+  const input = document.getElementById('verifyInput');
+  const fileInput = document.getElementById('verifyFile');
+
+  verifyBtn.addEventListener('click', () => runVerification(input.value));
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files && fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+    input.value = await file.text();
+    runVerification(input.value);
+  });
+}
+
+window.addEventListener('DOMContentLoaded', () => {
+  setupVerifyPage();
+  setupScan();
+});
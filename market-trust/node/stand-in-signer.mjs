@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+// Stand-in market node signing service for development and off-grid stalls.
+//
+//   node market-trust/node/stand-in-signer.mjs --node-id market-node-qd-01 [--key node-key.json] [--port 8787]
+//
+// Holds one Ed25519 node key (created on first run, same file format as a
+// merchant key exported from the issue page) and countersigns on
+//   POST /sign  { node_id, statement_hash, merchant_signature }
+//   -> { node_id, key_id, public_key, signature }
+// where signature = Ed25519 over "<statement_hash>\n<merchant_signature>", and
+//   POST /sign-credential  { node_id, data }  (data: base64url, 64 bytes)
+//   -> { node_id, key_id, public_key, signature }
+// for Verifiable Credential proofs (eddsa-jcs-2022 signs two SHA-256 hashes).
+// GET /key returns the public key; the node operator running the service
+// adds that entry to market-trust/keys.json. Listens on 127.0.0.1 only;
+// enter http://127.0.0.1:8787/sign as the node signing service on the issue
+// page.
+
+import { createServer } from "node:http";
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { webcrypto as crypto } from "node:crypto";
+import { parseArgs } from "node:util";
+
+const { values: args } = parseArgs({
+  options: {
+    "node-id": { type: "string", default: "market-node-qd-01" },
+    key: { type: "string", default: "node-key.json" },
+    port: { type: "string", default: "8787" }
+  }
+});
+
+const b64url = (bytes) => Buffer.from(bytes).toString("base64url");
+
+async function loadOrCreateKey(path, nodeId) {
+  if (existsSync(path)) return JSON.parse(readFileSync(path, "utf8"));
+  const pair = await crypto.subtle.generateKey({ name: "Ed25519" }, true, ["sign", "verify"]);
+  const jwk = await crypto.subtle.exportKey("jwk", pair.privateKey);
+  const entry = {
+    key_id: `${nodeId}-k01`,
+    owner_id: nodeId,
+    algorithm: "Ed25519",
+    public_key: "ed25519:" + jwk.x,
+    private_jwk: { kty: "OKP", crv: "Ed25519", d: jwk.d, x: jwk.x },
+    created_at: new Date().toISOString()
+  };
+  writeFileSync(path, JSON.stringify(entry, null, 2) + "\n", { mode: 0o600 });
+  console.error(`created node key ${entry.key_id} in ${path}`);
+  return entry;
+}
+
+const nodeId = args["node-id"];
+const entry = await loadOrCreateKey(args.key, nodeId);
+const privateKey = await crypto.subtle.importKey("jwk", entry.private_jwk, { name: "Ed25519" }, false, ["sign"]);
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type"
+  });
+  res.end(JSON.stringify(body));
+}
+
+const server = createServer((req, res) => {
+  if (req.method === "OPTIONS") return send(res, 204, {});
+  if (req.method === "GET" && req.url === "/key") {
+    return send(res, 200, { node_id: nodeId, key_id: entry.key_id, public_key: entry.public_key });
+  }
+  if (req.method !== "POST" || (req.url !== "/sign" && req.url !== "/sign-credential")) return send(res, 404, { error: "not found" });
+
+  let body = "";
+  req.on("data", (chunk) => {
+    body += chunk;
+    if (body.length > 16384) req.destroy();
+  });
+  req.on("end", async () => {
+    try {
+      await handleSign(req.url, body, res);
+    } catch (err) {
+      console.error(`${req.url}: ${err && err.stack ? err.stack : err}`);
+      if (!res.headersSent) send(res, 500, { error: "signing failed" });
+    }
+  });
+});
+
+async function handleSign(url, body, res) {
+  let msg;
+  try { msg = JSON.parse(body); } catch { return send(res, 400, { error: "body must be JSON" }); }
+  if (!msg || typeof msg !== "object" || Array.isArray(msg)) return send(res, 400, { error: "body must be a JSON object" });
+  if (msg.node_id && msg.node_id !== nodeId) return send(res, 409, { error: `this service signs for ${nodeId}` });
+  if (url === "/sign-credential") {
+    // Exactly two hashes, so this can never produce a /sign signature.
+    const data = Buffer.from(String(msg.data || ""), "base64url");
+    if (data.length !== 64) return send(res, 400, { error: "data must be 64 bytes (base64url)" });
+    const sig = await crypto.subtle.sign({ name: "Ed25519" }, privateKey, data);
+    return send(res, 200, { node_id: nodeId, key_id: entry.key_id, public_key: entry.public_key, signature: "ed25519:" + b64url(new Uint8Array(sig)) });
+  }
+  const hash = String(msg.statement_hash || "");
+  const merchantSig = String(msg.merchant_signature || "");
+  if (!/^sha256:[0-9a-f]{64}$/.test(hash) || !merchantSig.startsWith("ed25519:")) {
+    return send(res, 400, { error: "statement_hash and merchant_signature are required" });
+  }
+  const sig = await crypto.subtle.sign({ name: "Ed25519" }, privateKey, new TextEncoder().encode(`${hash}\n${merchantSig}`));
+  send(res, 200, { node_id: nodeId, key_id: entry.key_id, public_key: entry.public_key, signature: "ed25519:" + b64url(new Uint8Array(sig)) });
+}
+
+server.listen(Number(args.port), "127.0.0.1", () => {
+  console.error(`node ${nodeId} (${entry.key_id}) signing on http://127.0.0.1:${args.port}/sign`);
+});
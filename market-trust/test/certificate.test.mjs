@@ -0,0 +1,201 @@
+// Hostile merchant input through issuance and certificate generation.
+//
+// Loads the issue page scripts into one context, as the page does, with the
+// ledger replaced by an in-memory one and a Map for localStorage.
+// Run from the repository root:
+//   node --test market-trust/test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+const ASSETS = new URL('../assets/', import.meta.url);
+const SCRIPTS = ['signing.js', 'canonical.js', 'qr.js', 'goods.js', 'app.js'];
+
+function loadIssueScripts() {
+  const storage = new Map();
+  const ledger = [];
+  const context = vm.createContext({
+    crypto: globalThis.crypto,
+    TextEncoder,
+    TextDecoder,
+    atob,
+    btoa,
+    console,
+    addEventListener: () => {},
+    localStorage: {
+      getItem: (key) => storage.has(key) ? storage.get(key) : null,
+      setItem: (key, value) => storage.set(key, String(value))
+    },
+    nextLedgerSlot: async (nodeId) => {
+      const own = ledger.filter(r => r.signing.node_id === nodeId);
+      return { device_id: 'TESTDEV1', seq: own.length + 1, prev_hash: own.length ? own[own.length - 1].signing.statement_hash : '' };
+    },
+    appendLedgerEntry: async (record) => { ledger.push(record); }
+  });
+  context.window = context;
+  for (const name of SCRIPTS) {
+    vm.runInContext(readFileSync(new URL(name, ASSETS), 'utf8'), context, { filename: name });
+  }
+  return context;
+}
+
+const mt = loadIssueScripts();
+const FIELD_RULES = vm.runInContext('FIELD_RULES', mt);
+const CERTIFICATE_CSP = vm.runInContext('CERTIFICATE_CSP', mt);
+const EMBED_OPEN = `<script type="application/json" id="${vm.runInContext('CERTIFICATE_RECORD_ID', mt)}">`;
+
+await mt.generateMerchantKey('merchant-qd-a17-k01', 'merchant-qd-a17');
+
+const BENIGN = {
+  merchantName: '青岛鲜果行 Qingdao Fresh Fruit',
+  merchantId: 'merchant-qd-a17',
+  keyId: 'merchant-qd-a17-k01',
+  nodeId: 'market-node-qd-01',
+  goods: 'watermelon',
+  goodsQty: '10',
+  goodsUnit: 'crate',
+  dispatchPlace: '青岛市城阳区果品批发市场 A17',
+  note: '',
+  nodeEndpoint: ''
+};
+
+const HOSTILE = [
+  '<script>alert(1)</script>',
+  '</script><script>alert(1)</script>',
+  '<img src=x onerror=alert(1)>',
+  'x" onmouseover="alert(1)',
+  "x' autofocus onfocus='alert(1)",
+  '"><svg onload=alert(1)>',
+  '<!--',
+  '\u202egnp.exe',
+  'bell\u0007'
+];
+
+// Text the browser would parse as markup: the certificate without its
+// embedded record. Fails if the record's script element ends early.
+function markupOf(html) {
+  const start = html.indexOf(EMBED_OPEN);
+  assert.ok(start > 0, 'certificate embeds its record');
+  const end = html.indexOf('</script>', start);
+  const json = html.slice(start + EMBED_OPEN.length, end);
+  return { markup: html.slice(0, start) + html.slice(end + '</script>'.length), json };
+}
+
+// Tag and attribute names in `markup`; throws on a "<" or ">" outside a
+// well-formed tag, i.e. anything an attacker could have opened.
+function tagsOf(markup) {
+  const tags = new Set();
+  const attrs = new Set();
+  const TAG = /<!DOCTYPE html>|<\/([a-zA-Z][\w-]*)>|<([a-zA-Z][\w:-]*)((?:\s+[\w:-]+(?:="[^"<>]*")?)*)\s*\/?>/g;
+  const rest = markup.replace(/<style>[\s\S]*?<\/style>/, '<style></style>').replace(TAG, (m, close, open, attrText) => {
+    if (open) {
+      tags.add(open.toLowerCase());
+      for (const [, name] of attrText.matchAll(/\s+([\w:-]+)(?:="[^"]*")?/g)) attrs.add(name.toLowerCase());
+    }
+    return '';
+  });
+  assert.ok(!/[<>]/.test(rest), `stray markup: ${rest.match(/.{0,40}[<>].{0,40}/s)?.[0]}`);
+  return { tags, attrs };
+}
+
+function assertSubset(actual, allowed, what) {
+  const extra = [...actual].filter(x => !allowed.has(x));
+  assert.deepEqual(extra, [], `unexpected ${what}`);
+}
+
+const benignRecord = await mt.issueRecord(BENIGN);
+const benignShape = tagsOf(markupOf(mt.generateCertificateHtml(benignRecord)).markup);
+
+// Every rendered string field of a record, as a path.
+function stringPaths(value, prefix = []) {
+  if (typeof value === 'string') return [prefix];
+  if (!value || typeof value !== 'object') return [];
+  return Object.entries(value).flatMap(([k, v]) => stringPaths(v, [...prefix, k]));
+}
+
+// Records built in the script context have its Object prototype; compare
+// them as JSON.
+const plain = (record) => JSON.parse(JSON.stringify(record));
+
+function withValue(record, path, value) {
+  const copy = plain(record);
+  let node = copy;
+  for (const key of path.slice(0, -1)) node = node[key];
+  node[path[path.length - 1]] = value;
+  return copy;
+}
+
+test('issueRecord rejects markup and control characters in every field', async () => {
+  for (const field of [...Object.keys(FIELD_RULES), 'goodsQty', 'goodsUnit']) {
+    for (const text of HOSTILE) {
+      await assert.rejects(mt.issueRecord({ ...BENIGN, [field]: text }), mt.Error, `${field} = ${JSON.stringify(text)}`);
+    }
+  }
+});
+
+test('issueRecord rejects over-length fields', async () => {
+  for (const [field, rule] of Object.entries(FIELD_RULES)) {
+    const filler = rule.id ? 'a' : '青';
+    await assert.rejects(mt.issueRecord({ ...BENIGN, [field]: filler.repeat(rule.max + 1) }), /不能超过/, field);
+  }
+  await assert.rejects(mt.issueRecord({ ...BENIGN, goodsQty: '1'.repeat(12) }), /Quantity/);
+});
+
+test('goods outside the catalogue are issued as uncatalogued', async () => {
+  const record = plain(await mt.issueRecord({ ...BENIGN, goods: '山竹 Mangosteen', goodsQty: '3', goodsUnit: 'piece' }));
+  assert.deepEqual(record.dispatch.goods, { code: null, hs_code: null, name_cn: '山竹 Mangosteen', name_en: '山竹 Mangosteen', name_en_plural: '山竹 Mangosteen', uncatalogued: true });
+  assert.equal(record.dispatch.goods_name, '山竹 Mangosteen');
+  assert.equal(record.dispatch.quantity.unit_cn, '个');
+  assert.match(record.declaration.statement_text_en, /3 pieces of 山竹 Mangosteen/);
+  const { markup } = markupOf(mt.generateCertificateHtml(record));
+  assert.ok(markup.includes('Not in the goods catalogue'));
+  assert.ok(!markup.includes('HS <span'));
+});
+
+test('quotes and ampersands that pass validation stay text in the certificate', async () => {
+  const name = `Tom's "Fresh" Fruit & Veg #1`;
+  const record = await mt.issueRecord({ ...BENIGN, merchantName: name, dispatchPlace: `Stall "A17" & 'B2'`, note: `"x" & 'y'` });
+  const html = mt.generateCertificateHtml(record);
+  const { markup, json } = markupOf(html);
+  const shape = tagsOf(markup);
+  assertSubset(shape.tags, benignShape.tags, 'tags');
+  assertSubset(shape.attrs, benignShape.attrs, 'attributes');
+  assert.ok(markup.includes('Tom&#39;s &quot;Fresh&quot; Fruit &amp; Veg #1'));
+  assert.deepEqual(JSON.parse(json), plain(record));
+});
+
+test('certificate markup is inert whatever string is in any field', () => {
+  const paths = stringPaths(benignRecord);
+  assert.ok(paths.length > 20);
+  for (const path of paths) {
+    for (const text of HOSTILE) {
+      const record = withValue(benignRecord, path, text);
+      const { markup, json } = markupOf(mt.generateCertificateHtml(record));
+      const label = `${path.join('.')} = ${JSON.stringify(text)}`;
+      const shape = tagsOf(markup);
+      assertSubset(shape.tags, benignShape.tags, `tags for ${label}`);
+      assertSubset(shape.attrs, benignShape.attrs, `attributes for ${label}`);
+      assert.ok(!shape.tags.has('script'), label);
+      assert.deepEqual(JSON.parse(json), record, label);
+    }
+  }
+});
+
+test('embedded record JSON cannot close its script element', () => {
+  const record = withValue(benignRecord, ['dispatch', 'note'], '</script><script>alert(1)</script><!-- </SCRIPT >');
+  const html = mt.generateCertificateHtml(record);
+  const { json } = markupOf(html);
+  assert.ok(!/<\/script/i.test(json));
+  assert.ok(!json.includes('<!--'));
+  assert.deepEqual(JSON.parse(json), record);
+  assert.equal(html.match(/<script\b/gi).length, 1);
+});
+
+test('certificate policy allows no script', () => {
+  const html = mt.generateCertificateHtml(benignRecord);
+  assert.ok(html.includes(`<meta http-equiv="Content-Security-Policy" content="${CERTIFICATE_CSP}" />`));
+  assert.match(CERTIFICATE_CSP, /default-src 'none'/);
+  assert.doesNotMatch(CERTIFICATE_CSP, /script-src/);
+});
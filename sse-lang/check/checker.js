@@ -1,525 +1,177 @@
-async function loadRules() {
-  const res = await fetch("/sse-lang/check/rules.json", { cache: "no-store" });
-  if (!res.ok) throw new Error("Failed to load rules.json");
+import { evaluate, derivedDeclarations } from "./engine.mjs";
+import { counterfactualsForText, TARGET_VERDICTS } from "./counterfactual.mjs";
+import { buildTraceRecord, verifyTraceRecord } from "./trace.mjs";
+import { validateRuleset } from "./validate.mjs";
+import { setupEditor } from "./editor.js";
+import { setupWorkspace } from "./workspace.js";
+import { setupImport } from "./import.js";
+import { setupOffline } from "./offline.js";
+import { REGISTRY_PATH, findRuleset, rulesetUrl, diffEvaluations } from "./rulesets.mjs";
+import { decodePermalink, encodePermalink, embedSnippets } from "./permalink.mjs";
+
+const registryUrl = new URL(REGISTRY_PATH, location.href).href;
+const loadedRulesets = new Map();
+
+async function loadRegistry() {
+  const res = await fetch(registryUrl, { cache: "no-store" });
+  if (!res.ok) throw new Error("Failed to load rulesets/index.json");
   return await res.json();
 }
 
-function normalizeKey(s) {
-  return (s || "").trim();
+async function loadRules(registry, version) {
+  const entry = findRuleset(registry, version);
+  if (!entry) throw new Error(`Unknown ruleset version: ${version}`);
+  if (loadedRulesets.has(entry.version)) return loadedRulesets.get(entry.version);
+  const res = await fetch(rulesetUrl(entry, registryUrl), { cache: "no-store" });
+  if (!res.ok) throw new Error(`Failed to load ruleset v${entry.version}`);
+  const ruleset = await res.json();
+  loadedRulesets.set(entry.version, ruleset);
+  return ruleset;
 }
 
-function parseKeyValueLines(text, ruleset) {
-  const map = new Map();
-  const lines = (text || "").split(/\r?\n/).map(l => l.trim()).filter(Boolean);
-
-  // Build reverse alias lookup
-  const aliasToCanonical = new Map();
-  const aliases = ruleset.aliases || {};
-  for (const [canon, alist] of Object.entries(aliases)) {
-    aliasToCanonical.set(canon.toLowerCase(), canon);
-    for (const a of (alist || [])) aliasToCanonical.set(String(a).toLowerCase(), canon);
-  }
-
-  for (const line of lines) {
-    // Accept "Key: value" or "Key = value"
-    let m = line.match(/^([^:=]+)\s*[:=]\s*(.+)$/);
-    if (!m) continue;
-    let key = normalizeKey(m[1]);
-    let val = normalizeKey(m[2]);
-
-    const canon = aliasToCanonical.get(key.toLowerCase()) || key;
-    // strip backticks
-    val = val.replace(/`/g, "");
-
-    // number?
-    if (/^-?\d+(\.\d+)?$/.test(val)) {
-      val = val.includes(".") ? Number.parseFloat(val) : Number.parseInt(val, 10);
-    } else {
-      val = val.toLowerCase();
-    }
-    map.set(canon, val);
-  }
-  return map;
-}
-
-
-
-//   assign := ident (":"|"=") value ";"
-// The parser returns a Map<canonicalField, normalizedValue>.
-
-function isLikelySSELang(text) {
-  const t = (text || "").trim();
-  if (!t) return false;
-  // Heuristics: semicolons, CHECK/EVAL, hash-symbols, enum dots
-  if (t.includes(";")) return true;
-  if (/\b(CHECK|EVAL)\b/i.test(t)) return true;
-  if (/#\w+/.test(t)) return true;
-  if (/[A-Za-z_]\w*\.[A-Za-z_]\w*/.test(t)) return true;
-  return false;
-}
-
-function tokenizeSSE(text) {
-  const src = text || "";
-  let i = 0, line = 1, col = 1;
-
-  const tokens = [];
-  const push = (type, value=null, loc=null) => tokens.push({ type, value, loc });
-
-  const locNow = () => ({ line, col, index: i });
-
-  const err = (msg) => {
-    const context = src.slice(Math.max(0, i - 20), Math.min(src.length, i + 20));
-    const caretPos = Math.min(20, i);
-    throw new Error(`SSE-Lang parse error: ${msg} at ${line}:${col}\n...${context}\n${" ".repeat(3+caretPos)}^`);
-  };
-
-  const isAlpha = (c) => /[A-Za-z_]/.test(c);
-  const isAlnum = (c) => /[A-Za-z0-9_\-]/.test(c);
-  const isDigit = (c) => /[0-9]/.test(c);
-
-  while (i < src.length) {
-    const c = src[i];
-
-    // whitespace
-    if (c === " " || c === "\t" || c === "\r") { i++; col++; continue; }
-    if (c === "\n") { i++; line++; col = 1; continue; }
-
-    // comments: //... or #!... (not to confuse with #symbol; we use #symbol only if followed by ident and not "#!")
-    if (c === "/" && src[i+1] === "/") {
-      i += 2; col += 2;
-      while (i < src.length && src[i] !== "\n") { i++; col++; }
-      continue;
-    }
-
-    // punctuation
-    if (c === ":") { push("COLON", ":", locNow()); i++; col++; continue; }
-    if (c === "=") { push("EQUAL", "=", locNow()); i++; col++; continue; }
-    if (c === ";") { push("SEMI", ";", locNow()); i++; col++; continue; }
-    if (c === ".") { push("DOT", ".", locNow()); i++; col++; continue; }
-
-    // string
-    if (c === '"') {
-      const start = locNow();
-      i++; col++;
-      let s = "";
-      while (i < src.length && src[i] !== '"') {
-        if (src[i] === "\n") err("Unterminated string literal");
-        // minimal escaping for \" and \\ 
-        if (src[i] === "\\" && i+1 < src.length) {
-          const n = src[i+1];
-          if (n === '"' || n === "\\") { s += n; i += 2; col += 2; continue; }
-        }
-        s += src[i]; i++; col++;
-      }
-      if (src[i] !== '"') err("Unterminated string literal");
-      i++; col++;
-      push("STRING", s, start);
-      continue;
-    }
-
-    // symbol: #ident  (reserve "#!" for potential future directives; treat as error now)
-    if (c === "#") {
-      const start = locNow();
-      if (src[i+1] === "!") err("Directive syntax '#!' not supported in v0.1.1 input");
-      i++; col++;
-      if (!isAlnum(src[i])) err("Expected symbol after '#'");
-      let name = "";
-      while (i < src.length && isAlnum(src[i])) { name += src[i]; i++; col++; }
-      push("SYMBOL", name, start);
-      continue;
-    }
-
-    // number: -?\d+(\.\d+)?
-    if (c === "-" || isDigit(c)) {
-      const start = locNow();
-      let j = i;
-      if (src[j] === "-") j++;
-      if (!isDigit(src[j])) {
-        // it's just '-' alone, not allowed
-        err("Unexpected '-'");
-      }
-      while (j < src.length && isDigit(src[j])) j++;
-      if (src[j] === "." && isDigit(src[j+1] || "")) {
-        j++;
-        while (j < src.length && isDigit(src[j])) j++;
-      }
-      const raw = src.slice(i, j);
-      i = j; col += (j - start.index);
-      push("NUMBER", raw, start);
-      continue;
-    }
-
-    // identifier / keywords
-    if (isAlpha(c)) {
-      const start = locNow();
-      let name = "";
-      while (i < src.length && isAlnum(src[i])) { name += src[i]; i++; col++; }
-      const upper = name.toUpperCase();
-      if (upper === "CHECK") push("KW_CHECK", upper, start);
-      else if (upper === "EVAL") push("KW_EVAL", upper, start);
-      else push("IDENT", name, start);
-      continue;
-    }
-
-    err(`Unexpected character '${c}'`);
-  }
-
-  push("EOF", null, locNow());
-  return tokens;
-}
-
-function parseSSELangProgram(text, ruleset) {
-  const toks = tokenizeSSE(text);
-  let k = 0;
-
-  const peek = () => toks[k];
-  const next = () => toks[k++];
-  const expect = (type) => {
-    const t = next();
-    if (t.type !== type) {
-      throw new Error(`SSE-Lang parse error: expected ${type} but got ${t.type} at ${t.loc?.line}:${t.loc?.col}`);
-    }
-    return t;
-  };
-
-  // alias mapping
-  const aliasToCanonical = new Map();
-  const aliases = ruleset.aliases || {};
-  for (const [canon, alist] of Object.entries(aliases)) {
-    aliasToCanonical.set(canon.toLowerCase(), canon);
-    for (const a of (alist || [])) aliasToCanonical.set(String(a).toLowerCase(), canon);
-  }
-  const canonKey = (key) => aliasToCanonical.get(String(key).toLowerCase()) || key;
-
-  const map = new Map();
-  let seenQuery = false;
-
-  const parseEnumPath = (firstIdent) => {
-    const parts = [firstIdent];
-    while (peek().type === "DOT") {
-      next(); // DOT
-      const id = expect("IDENT").value;
-      parts.push(id);
-    }
-    return parts;
-  };
-
-  const parseValue = () => {
-    const t = peek();
-    if (t.type === "NUMBER") {
-      next();
-      const raw = t.value;
-      const v = raw.includes(".") ? Number.parseFloat(raw) : Number.parseInt(raw, 10);
-      if (Number.isNaN(v)) throw new Error(`Invalid number: ${raw}`);
-      return v;
-    }
-    if (t.type === "STRING") { next(); return String(t.value); }
-    if (t.type === "SYMBOL") { next(); return String(t.value).toLowerCase(); } // #3D -> "3d"
-    if (t.type === "IDENT") {
-      const first = next().value;
-      const parts = parseEnumPath(first);
-      // enum normalization: take last segment by default (reliability.partial -> "partial")
-      return String(parts[parts.length - 1]).toLowerCase();
-    }
-    throw new Error(`SSE-Lang parse error: expected value at ${t.loc?.line}:${t.loc?.col}`);
-  };
-
-  const parseAssign = () => {
-    const keyTok = expect("IDENT");
-    // Allow dotted keys like Rating.Stability
-    let keyStr = keyTok.value;
-    while (peek().type === "DOT") {
-      next(); // consume DOT
-      const seg = expect("IDENT");
-      keyStr += "." + seg.value;
-    }
-    const opTok = next();
-    if (opTok.type !== "COLON" && opTok.type !== "EQUAL") {
-      throw new Error(`SSE-Lang parse error: expected ':' or '=' at ${opTok.loc?.line}:${opTok.loc?.col}`);
-    }
-    const val = parseValue();
-    expect("SEMI");
-    const key = canonKey(keyStr);
-    // Also normalize strings/symbols to lower-case to match v0.1 comparer
-    const normVal = (typeof val === "string") ? val.toLowerCase().replace(/`/g, "") : val;
-    map.set(key, normVal);
-  };
-
-  const parseQuery = () => {
-    const t = next();
-    if (t.type !== "KW_CHECK" && t.type !== "KW_EVAL") {
-      throw new Error(`SSE-Lang parse error: expected CHECK/EVAL at ${t.loc?.line}:${t.loc?.col}`);
-    }
-    expect("SEMI");
-    seenQuery = true;
-  };
-
-  while (peek().type !== "EOF") {
-    const t = peek();
-    if (t.type === "IDENT") parseAssign();
-    else if (t.type === "KW_CHECK" || t.type === "KW_EVAL") parseQuery();
-    else {
-      throw new Error(`SSE-Lang parse error: unexpected token ${t.type} at ${t.loc?.line}:${t.loc?.col}`);
-    }
-  }
-
-  // For v0.1 demo we don't require CHECK; but if present, we treat as explicit.
-  return { map, seenQuery };
+function escapeHtml(s) {
+  return String(s)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
 }
 
 
-// - Derives ModerateOrWorseCount from all Rating.* fields using an ordinal scale.
-
-const RATING_SCALE = ["excellent","good","fair","moderate","poor","major","critical"];
+const BRANCH_MARK = { true: "✓", false: "✗", unknown: "?" };
 
-function ratingRank(level) {
-  const x = String(level || "").toLowerCase().trim();
-  return RATING_SCALE.indexOf(x);
+function renderBranchHtml(node) {
+  let line = `${BRANCH_MARK[node.status]} <code>${escapeHtml(node.label)}</code>`;
+  if (node.lhs !== undefined) line += ` <span style="opacity:0.75">(input: ${escapeHtml(String(node.lhs))})</span>`;
+  else if (node.reason) line += ` <span style="opacity:0.75">(${escapeHtml(node.reason)})</span>`;
+  const kids = (node.branches || []).map(b => `<li>${renderBranchHtml(b)}</li>`).join("");
+  return kids ? `${line}<ul>${kids}</ul>` : line;
 }
 
-function deriveInput(map, ruleset) {
-  const derivations = [];
-  const counted = [];
-  let totalRatings = 0;
-
-  for (const [k, v] of map.entries()) {
-    const key = String(k);
-    if (!key.toLowerCase().startsWith("rating.")) continue;
-    totalRatings += 1;
-
-    const level = String(v).toLowerCase().trim();
-    const r = ratingRank(level);
-    if (r === -1) {
-      derivations.push({
-        name: "RatingParseWarning",
-        value: `Ignored Rating field '${key}' with unrecognized level '${level}'`
-      });
-      continue;
-    }
-
-    // Count moderate-or-worse: level >= moderate
-    if (r >= ratingRank("moderate")) {
-      counted.push({ field: key, level });
-    }
-  }
-
-  // Derive ModerateOrWorseCount only if any Rating.* provided
-  if (totalRatings > 0) {
-    const count = counted.length;
-    // Canonicalize derived key via aliases if possible (match existing rules fields)
-    const aliasToCanonical = new Map();
-    const aliases = ruleset.aliases || {};
-    for (const [canon, alist] of Object.entries(aliases)) {
-      aliasToCanonical.set(String(canon).toLowerCase(), canon);
-      for (const a of (alist || [])) aliasToCanonical.set(String(a).toLowerCase(), canon);
-    }
-
-    const derivedKey = aliasToCanonical.get("moderateorworsecount") ||
-                       aliasToCanonical.get("count of attributes rated moderate or worse") ||
-                       "ModerateOrWorseCount";
-
-    map.set(derivedKey, count);
+const EXPLAIN_STATUS = {
+  matched: { label: "matched", color: "#0b6b0b" },
+  failed: { label: "failed", color: "#555" },
+  missing: { label: "missing input", color: "#8a5300" },
+  unparsed: { label: "unparsed", color: "#b00020" }
+};
 
-    derivations.push({
-      name: "ModerateOrWorseCount",
-      value: count,
-      from: counted
-    });
-
-    // Optional: AnyCriticalFlag
-    const anyCritical = counted.some(x => x.level === "critical");
-    derivations.push({
-      name: "AnyCriticalFlag",
-      value: anyCritical
-    });
-  }
-
-  return { map, derivations };
-}
-
-function parseSSELangOrLegacy(text, ruleset) {
-  if (isLikelySSELang(text)) {
-    const { map } = parseSSELangProgram(text, ruleset);
-    return map;
-  }
-  // fallback: legacy key-value lines
-  return parseKeyValueLines(text, ruleset);
+function formatValue(v) {
+  return Array.isArray(v) ? `[${v.join(", ")}]` : String(v);
 }
 
-function ordinalIndex(ruleset, field, value) {
-  const scale = (ruleset.ordinal_scales || {})[field];
-  if (!scale) return null;
-  const v = String(value).toLowerCase();
-  const idx = scale.map(x => String(x).toLowerCase()).indexOf(v);
-  return idx >= 0 ? idx : null;
+function explainConditionHtml(c) {
+  const rhs = c.rhs !== undefined ? `<code>${escapeHtml(formatValue(c.rhs))}</code>` : "—";
+  const lhs = c.lhs !== undefined ? `<code>${escapeHtml(formatValue(c.lhs))}</code>` : "<i>missing</i>";
+  if (!c.field) return `${BRANCH_MARK[c.status]} <code>${escapeHtml(c.label)}</code> <span style="opacity:0.75">(${escapeHtml(c.reason || "unparsed")})</span>`;
+  return `${BRANCH_MARK[c.status]} <code>${escapeHtml(c.label)}</code> <span style="opacity:0.75">— input (LHS) ${lhs}, rule value (RHS) ${rhs}</span>`;
 }
 
-function compareValue(ruleset, field, op, lhs, rhs) {
-  // Handle ordinals if defined
-  const li = ordinalIndex(ruleset, field, lhs);
-  const ri = ordinalIndex(ruleset, field, rhs);
-  if (li !== null && ri !== null) {
-    switch (op) {
-      case ">=": return li >= ri;
-      case "<=": return li <= ri;
-      case ">":  return li > ri;
-      case "<":  return li < ri;
-      case "=":  return li === ri;
-      case "!=": return li !== ri;
-      default: return false;
-    }
-  }
-
-  // Numbers
-  if (typeof lhs === "number" && typeof rhs === "number") {
-    switch (op) {
-      case ">=": return lhs >= rhs;
-      case "<=": return lhs <= rhs;
-      case ">":  return lhs > rhs;
-      case "<":  return lhs < rhs;
-      case "=":  return lhs === rhs;
-      case "!=": return lhs !== rhs;
-      default: return false;
-    }
-  }
-
-  // Strings
-  const ls = String(lhs).toLowerCase();
-  const rs = String(rhs).toLowerCase();
-  switch (op) {
-    case "=":  return ls === rs;
-    case "!=": return ls !== rs;
-    default: return false;
-  }
-}
-
-function ruleMatches(ruleset, rule, inputMap) {
-  for (const c of (rule.if || [])) {
-    if (c.raw && (!c.field || !c.op)) {
-      // Not machine-parsed condition: cannot evaluate => treat as not matched
-      return { matched: false, reason: "Unparsed condition" };
-    }
-    const field = c.field;
-    const op = c.op;
-    const rhs = c.value;
-
-    if (!inputMap.has(field)) return { matched: false, reason: `Missing field: ${field}` };
-
-    const lhs = inputMap.get(field);
-
-    if (!compareValue(ruleset, field, op, lhs, rhs)) {
-      return { matched: false, reason: `Condition failed: ${field} ${op} ${rhs}` };
-    }
-  }
-  return { matched: true };
-}
-
-function decide(ruleset, inputMap) {
-  const triggered = [];
-  const triggeredHard = [];
-  const triggeredSoft = [];
-
-  for (const rule of (ruleset.rules || [])) {
-    const m = ruleMatches(ruleset, rule, inputMap);
-    if (m.matched) {
-      triggered.push(rule);
-      const level = String(rule.level || ruleset.defaults?.level || "hard").toLowerCase();
-      if (level === "soft") triggeredSoft.push(rule);
-      else triggeredHard.push(rule);
+// Explain view: every rule with its status, the deciding conditions (input vs
+// rule value) and the inputs that would be needed to decide it.
+function renderExplainHtml(result) {
+  const rules = new Map((result.ruleset.rules || []).map(r => [r.id, r]));
+  // Derived fields are missing when none of their inputs were given: name those instead.
+  const aliases = result.ruleset.aliases || {};
+  const derivedFrom = (field) => {
+    const d = derivedDeclarations(result.ruleset).find(x => x.name === field || (aliases[field] || []).includes(x.name));
+    if (!d) return "";
+    return ` (derived from ${Array.isArray(d.fields) ? d.fields.map(escapeHtml).join(", ") : `${escapeHtml(d.prefix)}* inputs`})`;
+  };
+  const counts = {};
+  let rows = "";
+  for (const e of result.evaluations) {
+    const rule = rules.get(e.id) || {};
+    const st = EXPLAIN_STATUS[e.status] || EXPLAIN_STATUS.unparsed;
+    counts[e.status] = (counts[e.status] || 0) + 1;
+    let why = e.conditions.map(c => `<div>${explainConditionHtml(c)}</div>`).join("");
+    if (e.missing.length) {
+      why += `<div style="margin-top:4px"><b>Needs:</b> ${e.missing.map(f => `<code>${escapeHtml(f)}</code>${derivedFrom(f)}`).join(", ")}</div>`;
     }
+    rows += `<tr data-status="${escapeHtml(e.status)}">
+      <td><b>${escapeHtml(e.id)}</b><div class="muted">${escapeHtml(rule.name || "")}</div></td>
+      <td>${escapeHtml(String(rule.level || result.ruleset.defaults?.level || "hard"))}</td>
+      <td style="color:${st.color}; font-weight:700">${escapeHtml(st.label)}</td>
+      <td>${why}<details><summary style="cursor:pointer" class="muted">Branches</summary>${renderBranchHtml(e.branch)}</details></td>
+    </tr>`;
   }
-
-  // Hard priority: any hard infeasible => NO
-  const hardInfeasible = triggeredHard.find(r => (r.then?.judgement || "").toLowerCase() === "infeasible");
-  if (hardInfeasible) return { ruleset, verdict: "NO", judgement: "Infeasible", rule: hardInfeasible, triggered, triggeredHard, triggeredSoft };
-
-  // If any hard non-infeasible judgement exists, return that (first)
-  const hardOther = triggeredHard.find(r => (r.then?.judgement || "").toLowerCase() !== "infeasible");
-  if (hardOther) return { ruleset, verdict: "YES*", judgement: hardOther.then.judgement, rule: hardOther, triggered, triggeredHard, triggeredSoft };
-
-  // Soft/advisory: does not change feasibility verdict, but reports flags
-  if (triggeredSoft.length) {
-    // pick first advisory as primary for display
-    const primary = triggeredSoft[0];
-    return {
-      ruleset,
-      verdict: "YES (ADVISORY)",
-      judgement: primary.then?.judgement || "Advisory flags present",
-      rule: primary,
-      triggered,
-      triggeredHard,
-      triggeredSoft
-    };
-  }
-
-  // Default
-  return { ruleset, verdict: "YES", judgement: "No hard infeasibility triggered", rule: null, triggered, triggeredHard, triggeredSoft };
+  const summary = Object.keys(EXPLAIN_STATUS).filter(k => counts[k]).map(k => `${counts[k]} ${EXPLAIN_STATUS[k].label}`).join(" · ");
+  return `<details id="explain" style="margin-top:10px"><summary style="cursor:pointer; font-weight:700">Explain: all ${result.evaluations.length} rules (${escapeHtml(summary)})</summary>
+    <table class="difftable"><tr><th>Rule</th><th>Level</th><th>Status</th><th>Why</th></tr>${rows}</table>
+  </details>`;
 }
 
-function stableStringify(obj) {
-  // Deterministic JSON stringify for trace
-  const seen = new WeakSet();
-  const recur = (x) => {
-    if (x && typeof x === "object") {
-      if (seen.has(x)) return null;
-      seen.add(x);
-      if (Array.isArray(x)) return x.map(recur);
-      const keys = Object.keys(x).sort();
-      const out = {};
-      for (const k of keys) out[k] = recur(x[k]);
-      return out;
-    }
-    return x;
-  };
-  return JSON.stringify(recur(obj));
-}
+// Ruleset lint findings stay visible in the errors panel across checks.
+let rulesetLintHtml = "";
 
-function simpleHash(str) {
-  // lightweight non-crypto hash for trace id (presentation only)
-  let h = 2166136261;
-  for (let i = 0; i < str.length; i++) {
-    h ^= str.charCodeAt(i);
-    h = Math.imul(h, 16777619);
+function setRulesetLint(ruleset) {
+  const findings = validateRuleset(ruleset);
+  if (!findings.length) {
+    rulesetLintHtml = "";
+    return;
   }
-  return (h >>> 0).toString(16).padStart(8, "0");
-}
-
-function escapeHtml(s) {
-  return String(s)
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&#039;");
+  const errors = findings.filter(f => f.severity === "error").length;
+  const items = findings.map(f => `<li><b>${escapeHtml(f.severity)}</b> ${f.rule ? `<code>${escapeHtml(f.rule)}</code> ` : ""}${escapeHtml(f.message)} <span style="opacity:0.6">[${escapeHtml(f.code)}]</span></li>`).join("");
+  rulesetLintHtml = `<details class="errbox" style="margin-top:8px"${errors ? " open" : ""}>
+    <summary class="errtitle" style="cursor:pointer">Ruleset v${escapeHtml(ruleset.version)}: ${errors} error(s), ${findings.length - errors} warning(s)</summary>
+    <ul class="errhint">${items}</ul>
+  </details>`;
 }
 
-
 function clearErrors() {
   const e = document.getElementById("errors");
-  if (e) e.innerHTML = "";
-}
-
-function parseLineColFromMessage(msg) {
-  const m = /at\s+(\d+):(\d+)/i.exec(msg || "");
-  if (!m) return null;
-  return { line: parseInt(m[1], 10), col: parseInt(m[2], 10) };
+  if (e) e.innerHTML = rulesetLintHtml;
 }
 
-function getLineSnippet(text, line, col) {
+function getLineSnippet(text, line, col, width = 1) {
   const lines = String(text || "").split(/\r?\n/);
   const idx = Math.max(1, Math.min(line, lines.length)) - 1;
   const s = lines[idx] || "";
   const c = Math.max(1, Math.min(col, s.length + 1));
-  const pointer = " ".repeat(c - 1) + "^";
+  const w = Math.max(1, Math.min(width, s.length + 1 - c + 1));
+  const pointer = " ".repeat(c - 1) + "^".repeat(w);
   return { lineText: s, pointer };
 }
 
-function hintForParseError(msg) {
-  const m = String(msg || "").toLowerCase();
-  if (m.includes("expected semi")) return "Hint: Each statement must end with ';' (including the last assignment before CHECK;).";
-  if (m.includes("expected ':' or '='")) return "Hint: Assignments must be 'Key: Value;' or 'Key = Value;'. If using dotted keys like Rating.Stability, ensure the ':' appears after the full key.";
-  if (m.includes("expected identifier after '#'") || m.includes("expected symbol after '#'")) return "Hint: Use symbols like '#3D' or quote strings like \"3D\".";
-  return "Hint: Check punctuation (':' '=' ';') and ensure each statement is on its own line.";
+const PARSE_HINTS = {
+  "missing-semicolon": "Each statement must end with ';' (including the last assignment before CHECK;).",
+  "expected-assign": "Assignments must be 'Key: Value;' or 'Key = Value;'. With dotted keys like Rating.Stability, the ':' goes after the full key.",
+  "expected-key": "Dotted keys need a name after each '.', e.g. Rating.Stability.",
+  "expected-value": "Values are numbers, quoted strings, symbols like #3D or names like reliability.partial.",
+  "expected-symbol": "Use symbols like '#3D' or quote strings like \"3D\".",
+  "unterminated-string": "Strings must close with '\"' on the same line.",
+  "unexpected-token": "Each statement starts with a field name, or is CHECK; / EVAL;.",
+  "unknown-field": "Field names come from the aliases in rules.json; unknown fields are ignored by every rule.",
+  "duplicate-key": "Only the last value of a field is used."
+};
+
+function hintForParseError(d) {
+  return PARSE_HINTS[d.code] || "Check punctuation (':' '=' ';') and ensure each statement is on its own line.";
+}
+
+function diagnosticItemHtml(d, inputText) {
+  const sn = getLineSnippet(inputText, d.line, d.column, d.span.end - d.span.start);
+  const fix = d.fix ? `<div class="errhint">Fix: ${escapeHtml(d.fix.title)}</div>` : "";
+  return `<li style="margin-bottom:8px">
+      <div><b>${escapeHtml(d.severity)}</b> ${escapeHtml(d.message)} <span style="opacity:0.6">[${escapeHtml(d.code)}]</span></div>
+      <div class="errloc">Location: line ${d.line}, column ${d.column}</div>
+      <div class="errcode"><code>${escapeHtml(sn.lineText)}</code><br/><code class="caret">${escapeHtml(sn.pointer)}</code></div>
+      ${fix}<div class="errhint">Hint: ${escapeHtml(hintForParseError(d))}</div>
+    </li>`;
+}
+
+function diagnosticsHtml(title, diagnostics, inputText) {
+  return `<div class="errbox">
+      <div class="errtitle">${escapeHtml(title)}</div>
+      <ul style="margin:6px 0 0 0; padding-left:18px">${diagnostics.map(d => diagnosticItemHtml(d, inputText)).join("")}</ul>
+    </div>`;
+}
+
+// Parser warnings (unknown fields, duplicate keys) after a successful check.
+function renderInputWarnings(diagnostics, inputText) {
+  const errorsEl = document.getElementById("errors");
+  if (!errorsEl || !diagnostics || !diagnostics.length) return;
+  errorsEl.innerHTML = diagnosticsHtml(`${diagnostics.length} input warning(s)`, diagnostics, inputText) + rulesetLintHtml;
 }
 
 function renderParseError(err, inputText) {
@@ -534,29 +186,33 @@ function renderParseError(err, inputText) {
   }
   if (detailsEl) detailsEl.innerHTML = "";
   if (trigEl) trigEl.innerHTML = "";
+  if (!errorsEl) return;
 
-  const msg = (err && err.message) ? err.message : String(err || "Unknown error");
-  const lc = parseLineColFromMessage(msg);
-  let snippetHtml = "";
-  if (lc) {
-    const sn = getLineSnippet(inputText, lc.line, lc.col);
-    snippetHtml = `<div class="errloc">Location: line ${lc.line}, column ${lc.col}</div>
-      <div class="errcode"><code>${escapeHtml(sn.lineText)}</code><br/><code class="caret">${escapeHtml(sn.pointer)}</code></div>`;
+  if (err && Array.isArray(err.diagnostics)) {
+    const errors = err.diagnostics.filter(d => d.severity === "error").length;
+    const warnings = err.diagnostics.length - errors;
+    errorsEl.innerHTML = diagnosticsHtml(`Syntax errors: ${errors}${warnings ? `, warnings: ${warnings}` : ""}`, err.diagnostics, inputText) + rulesetLintHtml;
+    return;
   }
-
-  const hint = hintForParseError(msg);
-  if (errorsEl) {
-    errorsEl.innerHTML = `<div class="errbox">
-      <div class="errtitle">Syntax error</div>
+  const msg = (err && err.message) ? err.message : String(err || "Unknown error");
+  errorsEl.innerHTML = `<div class="errbox">
+      <div class="errtitle">Error</div>
       <div>${escapeHtml(msg)}</div>
-      ${snippetHtml}
-      <div class="errhint">${escapeHtml(hint)}</div>
-    </div>`;
-  }
+    </div>${rulesetLintHtml}`;
 }
 
 
-function renderResult(result) {
+function downloadJson(filename, obj) {
+  const blob = new Blob([JSON.stringify(obj, null, 2) + "\n"], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function renderResult(result, trace) {
   clearErrors();
   const verdictEl = document.getElementById("verdict");
   const detailEl = document.getElementById("details");
@@ -565,25 +221,10 @@ function renderResult(result) {
   verdictEl.textContent = result.verdict;
   verdictEl.dataset.state = result.verdict.startsWith("NO") ? "no" : "yes";
 
-  // Build a lightweight, citable trace identifier
-  const now = new Date().toISOString();
-  const tracePayload = {
-    when: now,
-    ruleset: { spec: result.ruleset?.spec, version: result.ruleset?.version, source: result.ruleset?.source },
-    verdict: result.verdict,
-    judgement: result.judgement,
-    primary_rule: result.rule ? { id: result.rule.id, cit: result.rule.cit || "", level: result.rule.level || "" } : null,
-    triggered: result.triggered.map(r => r.id),
-    derivations: Array.isArray(result.derivations) ? result.derivations.map(d => ({
-      name: d.name,
-      value: d.value,
-      from: Array.isArray(d.from) ? d.from.map(x => ({ field: x.field, level: x.level })) : undefined
-    })) : []
-  };
-  const traceId = `SSE-${simpleHash(stableStringify(tracePayload))}`;
-
+  // Citable trace identifier: SHA-256 over the canonical trace content (see trace.mjs)
   let html = `<div><b>Judgement:</b> ${escapeHtml(result.judgement)}</div>`;
-  html += `<div style="margin-top:10px"><b>Trace ID:</b> <code>${escapeHtml(traceId)}</code></div>`;
+  html += `<div style="margin-top:10px"><b>Trace ID:</b> <code style="word-break:break-all">${escapeHtml(trace.trace_id)}</code></div>`;
+  html += `<div style="margin-top:6px"><button type="button" id="downloadTraceBtn">Download trace record</button></div>`;
   // Advisory summary
   if (Array.isArray(result.triggeredSoft) && result.triggeredSoft.length) {
     html += `<div style="margin-top:10px"><b>Advisory flags:</b> ${result.triggeredSoft.length} soft rule(s) triggered.</div>`;
@@ -592,7 +233,7 @@ function renderResult(result) {
   if (Array.isArray(result.derivations) && result.derivations.length) {
     let dhtml = "";
     for (const d of result.derivations) {
-      if (d.name === "ModerateOrWorseCount" && Array.isArray(d.from)) {
+      if (Array.isArray(d.from)) {
         const items = d.from.map(x => `<li><code>${escapeHtml(x.field)}</code> = ${escapeHtml(x.level)}</li>`).join("");
         dhtml += `<div style="margin-top:8px"><b>${escapeHtml(d.name)}</b> = <code>${escapeHtml(String(d.value))}</code> (from ${d.from.length} field(s))</div>`;
         dhtml += `<ul>${items}</ul>`;
@@ -600,7 +241,10 @@ function renderResult(result) {
         dhtml += `<div style="margin-top:8px"><b>${escapeHtml(d.name)}</b>: ${escapeHtml(String(d.value))}</div>`;
       }
     }
-    html += `<details style="margin-top:10px"><summary style="cursor:pointer; font-weight:700">Derivations (v0.2 demo)</summary>${dhtml}</details>`;
+    html += `<details style="margin-top:10px"><summary style="cursor:pointer; font-weight:700">Derivations</summary>${dhtml}</details>`;
+  }
+  if (Array.isArray(result.evaluations) && result.evaluations.length) {
+    html += renderExplainHtml(result);
   }
   if (result.rule) {
     html += `<div style="margin-top:6px"><b>Primary Rule:</b> ${escapeHtml(result.rule.id)} — ${escapeHtml(result.rule.name)}</div>`;
@@ -615,6 +259,9 @@ function renderResult(result) {
     html += `<div style="margin-top:6px; opacity:0.85">Tip: add more fields to trigger specific rules.</div>`;
   }
   detailEl.innerHTML = html;
+  document.getElementById("downloadTraceBtn").addEventListener("click", () => {
+    downloadJson(`${trace.trace_id}.json`, trace);
+  });
 
   listEl.innerHTML = "";
   const hardSet = new Set((result.triggeredHard || []).map(x => x.id));
@@ -626,8 +273,163 @@ function renderResult(result) {
   }
 }
 
+function renderVerification(report) {
+  const el = document.getElementById("verifyResult");
+  let html = `<div style="font-weight:800; color:${report.ok ? "#0b6b0b" : "#b00020"}">${report.ok ? "Trace record verified" : "Trace record does NOT verify"}</div><ul>`;
+  for (const c of report.checks) {
+    html += `<li>${c.ok ? "✓" : "✗"} <b>${escapeHtml(c.name)}</b><br/><code style="word-break:break-all">${escapeHtml(c.detail || "")}</code></li>`;
+  }
+  el.innerHTML = html + "</ul>";
+}
+
+function renderCounterfactuals(cf) {
+  const el = document.getElementById("whatif");
+  if (!el) return;
+  if (!cf) { el.innerHTML = ""; return; }
+  const fmt = (v) => `<code>${escapeHtml(formatValue(v))}</code>`;
+  let html = `<div><b>What would change the verdict?</b> <span class="muted">(${escapeHtml(cf.from)} → ${cf.targets.map(escapeHtml).join(" or ")}, up to ${cf.max_changes} change(s))</span></div>`;
+  if (!cf.solutions.length) {
+    html += cf.capped
+      ? `<div class="muted" style="margin-top:6px">No answer among the first ${cf.evaluated} candidate inputs; the search stopped there.</div>`
+      : `<div class="muted" style="margin-top:6px">No combination of up to ${cf.max_changes} changes or added fields reaches ${cf.targets.map(escapeHtml).join(" or ")}.</div>`;
+  } else {
+    html += `<ol style="margin:6px 0 0 0; padding-left:20px">` + cf.solutions.map(s =>
+      `<li>${s.changes.map(c => c.added ? `add missing <code>${escapeHtml(c.field)}</code>: ${fmt(c.to)}` : `<code>${escapeHtml(c.field)}</code>: ${fmt(c.from)} → ${fmt(c.to)}`).join(" <b>and</b> ")} ⇒ <b>${escapeHtml(s.verdict)}</b> <span class="muted">(${escapeHtml(s.judgement)})</span></li>`
+    ).join("") + `</ol>`;
+    if (!cf.exhaustive) html += `<div class="muted">Showing the ${cf.solutions.length} smallest changes; more exist.</div>`;
+  }
+  el.innerHTML = html;
+}
+
+function renderDiff(diff) {
+  const el = document.getElementById("diff");
+  if (!el) return;
+  if (!diff) { el.innerHTML = ""; return; }
+  const l = diff.left.result;
+  const r = diff.right.result;
+  const ids = (list) => list.length ? list.map(escapeHtml).join(", ") : "—";
+  const mark = (changed) => changed ? ` style="background:#fff3cd"` : "";
+  let html = `<div class="muted"><b>Compare</b> v${escapeHtml(diff.left.version)} → v${escapeHtml(diff.right.version)}: ${diff.changed ? "<b>result changes</b>" : "no change"}</div>`;
+  html += `<table class="difftable"><tr><th></th><th>v${escapeHtml(diff.left.version)}</th><th>v${escapeHtml(diff.right.version)}</th></tr>`;
+  html += `<tr${mark(diff.verdictChanged)}><td>Verdict</td><td>${escapeHtml(l.verdict)}</td><td>${escapeHtml(r.verdict)}</td></tr>`;
+  html += `<tr${mark(diff.judgementChanged)}><td>Judgement</td><td>${escapeHtml(l.judgement)}</td><td>${escapeHtml(r.judgement)}</td></tr>`;
+  html += `<tr${mark(diff.triggered.added.length || diff.triggered.removed.length)}><td>Triggered</td><td>${ids(l.triggered.map(x => x.id))}</td><td>${ids(r.triggered.map(x => x.id))}</td></tr>`;
+  for (const d of diff.derivations) {
+    html += `<tr${mark(true)}><td>${escapeHtml(d.name)}</td><td>${escapeHtml(String(d.left ?? "—"))}</td><td>${escapeHtml(String(d.right ?? "—"))}</td></tr>`;
+  }
+  html += `</table>`;
+  if (diff.triggered.added.length) html += `<div style="margin-top:6px">Newly triggered under v${escapeHtml(diff.right.version)}: <b>${ids(diff.triggered.added)}</b></div>`;
+  if (diff.triggered.removed.length) html += `<div style="margin-top:6px">No longer triggered under v${escapeHtml(diff.right.version)}: <b>${ids(diff.triggered.removed)}</b></div>`;
+  el.innerHTML = html;
+}
+
+function setupRulesetSelectors(registry, pinned) {
+  const sel = document.getElementById("rulesetSelect");
+  const cmp = document.getElementById("compareSelect");
+  const opts = (registry.rulesets || []).map(r => `<option value="${escapeHtml(r.version)}">v${escapeHtml(r.version)} — ${escapeHtml(r.title || "")}</option>`).join("");
+  sel.innerHTML = opts;
+  sel.value = pinned;
+  cmp.innerHTML = `<option value="">— none —</option>` + opts;
+
+  sel.addEventListener("change", () => {
+    // Pin the choice in the URL so the page can be shared / reloaded as-is.
+    const url = new URL(location.href);
+    url.searchParams.set("ruleset", sel.value);
+    history.replaceState(null, "", url);
+  });
+}
+
+function setupVerify(registry, currentRuleset) {
+  const btn = document.getElementById("verifyBtn");
+  if (!btn) return;
+  btn.addEventListener("click", async () => {
+    const text = document.getElementById("verifyInput").value;
+    let record;
+    try {
+      record = JSON.parse(text);
+    } catch (err) {
+      renderVerification({ ok: false, checks: [{ name: "JSON", ok: false, detail: err.message }] });
+      return;
+    }
+    // Re-run under the version the record names when the registry still has it.
+    const version = record && record.content && record.content.ruleset && record.content.ruleset.version;
+    let ruleset = currentRuleset();
+    if (findRuleset(registry, version)) {
+      try { ruleset = await loadRules(registry, version); } catch (_) {}
+    }
+    renderVerification(await verifyTraceRecord(record, ruleset));
+  });
+}
+
+// Share panel: the permalink for the last checked input and embed snippets.
+function renderShare(text, version) {
+  const el = document.getElementById("share");
+  if (!el) return;
+  if (text === null) { el.innerHTML = ""; return; }
+  const url = new URL(location.href);
+  url.hash = encodePermalink({ text, ruleset: version });
+  const { iframe, component } = embedSnippets(location.origin, { text, ruleset: version });
+  el.innerHTML = `<details style="margin-top:10px"><summary style="cursor:pointer; font-weight:700">Share / embed</summary>
+    <div style="margin-top:8px; display:flex; gap:8px; align-items:center; flex-wrap:wrap">
+      <button type="button" id="copyLinkBtn">Copy permalink</button>
+      <span class="muted">Opening the link re-runs this input under v${escapeHtml(version)}.</span>
+    </div>
+    <div class="muted" style="margin-top:8px">Embed as iframe:</div>
+    <textarea readonly style="min-height:60px">${escapeHtml(iframe)}</textarea>
+    <div class="muted" style="margin-top:8px">Or as a web component:</div>
+    <textarea readonly style="min-height:60px">${escapeHtml(component)}</textarea>
+  </details>`;
+  document.getElementById("copyLinkBtn").addEventListener("click", async (ev) => {
+    try {
+      await navigator.clipboard.writeText(url.href);
+      ev.target.textContent = "Link copied";
+    } catch (_) {
+      prompt("Copy this link:", url.href);
+    }
+  });
+}
+
 async function main() {
-  const ruleset = await loadRules();
+  setupOffline();
+  const registry = await loadRegistry();
+  // A permalink fragment (#ruleset=…&program=…) wins over ?ruleset=.
+  let shared = null;
+  let sharedError = null;
+  try { shared = decodePermalink(location.hash); } catch (err) { sharedError = err; }
+  const requested = (shared && shared.ruleset) || new URLSearchParams(location.search).get("ruleset");
+  const pinnedEntry = findRuleset(registry, requested) || findRuleset(registry, registry.default);
+  let ruleset = await loadRules(registry, pinnedEntry.version);
+  setupRulesetSelectors(registry, pinnedEntry.version);
+  setRulesetLint(ruleset);
+  clearErrors();
+  const editor = setupEditor(() => ruleset);
+  const rulesetSelect = document.getElementById("rulesetSelect");
+  const workspace = setupWorkspace({
+    getRuleset: () => loadRules(registry, rulesetSelect.value),
+    getVersion: () => rulesetSelect.value,
+    setVersion: async (version) => {
+      const entry = findRuleset(registry, version);
+      if (!entry) return;
+      rulesetSelect.value = entry.version;
+      rulesetSelect.dispatchEvent(new Event("change"));
+      await loadRules(registry, entry.version);
+    }
+  });
+  const importer = setupImport({
+    getRuleset: () => loadRules(registry, rulesetSelect.value),
+    workspace
+  });
+  rulesetSelect.addEventListener("change", async (ev) => {
+    ruleset = await loadRules(registry, ev.target.value);
+    setRulesetLint(ruleset);
+    clearErrors();
+    if (editor) editor.refresh();
+    if (workspace) workspace.refresh();
+    if (importer) importer.refresh();
+  });
+  if (requested && !findRuleset(registry, requested)) {
+    document.getElementById("errors").insertAdjacentHTML("afterbegin", `<div class="errbox"><div class="errtitle">Unknown ruleset</div><div>ruleset=${escapeHtml(requested)} is not in the registry; using v${escapeHtml(pinnedEntry.version)}.</div></div>`);
+  }
 
   // Load example (once)
   const example = `IonPathDimensionality: #3D;
@@ -640,28 +442,50 @@ Rating.Synthesis: rating.major;
 
 CHECK;`;
   const inputEl = document.getElementById("input");
-  if (inputEl && !String(inputEl.value || "").trim()) {
+  if (shared) {
+    inputEl.value = shared.text;
+  } else if (inputEl && !String(inputEl.value || "").trim()) {
     inputEl.value = example;
   }
+  if (sharedError) {
+    document.getElementById("errors").insertAdjacentHTML("afterbegin", `<div class="errbox"><div class="errtitle">Broken link</div><div>${escapeHtml(sharedError.message)}</div></div>`);
+  }
+  if (editor) editor.refresh();
+
+  setupVerify(registry, () => ruleset);
 
   const btn = document.getElementById("checkBtn");
-  btn.addEventListener("click", () => {
+  btn.addEventListener("click", async () => {
     clearErrors();
+    renderDiff(null);
+    renderCounterfactuals(null);
+    renderShare(null);
     const input = document.getElementById("input").value;
 
     try {
-      let map = parseSSELangOrLegacy(input, ruleset);
-      const derived = deriveInput(map, ruleset);
-      map = derived.map;
-
-      const result = decide(ruleset, map);
-      result.derivations = derived.derivations;
-
-      renderResult(result);
+      ruleset = await loadRules(registry, document.getElementById("rulesetSelect").value);
+      const result = evaluate(ruleset, input);
+      if (!TARGET_VERDICTS.includes(result.verdict)) result.counterfactuals = counterfactualsForText(ruleset, input);
+      renderResult(result, await buildTraceRecord(ruleset, input, result));
+      renderInputWarnings(result.diagnostics, input);
+      renderCounterfactuals(result.counterfactuals);
+      // Keep the address bar a permalink to what is shown.
+      const url = new URL(location.href);
+      url.hash = encodePermalink({ text: input, ruleset: ruleset.version });
+      history.replaceState(null, "", url);
+      renderShare(input, ruleset.version);
+
+      const compareVersion = document.getElementById("compareSelect").value;
+      if (compareVersion) {
+        const other = await loadRules(registry, compareVersion);
+        renderDiff(diffEvaluations(ruleset, other, input));
+      }
     } catch (err) {
       renderParseError(err, input);
     }
   });
+  // Opening a permalink re-runs the shared evaluation.
+  if (shared) btn.click();
 }
 
 main().catch(err => {
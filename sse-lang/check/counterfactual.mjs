@@ -0,0 +1,166 @@
+// What-if analysis: the smallest sets of input changes that would move a
+// verdict to YES or YES (ADVISORY).
+//
+// Fields present in the input are changed, and fields the rules refer to
+// but the input lacks are added ({ field, to, added: true }); fields are never
+// removed (that would just make rules "unknown", which is not an answer).
+// Candidate values come from the ruleset: the field's ordinal scale, or the
+// values its rules compare against (numbers also +/- 1). Inputs of derived
+// fields (e.g. Rating.*) are changed too and re-derived, so
+// ModerateOrWorseCount follows them; derived fields themselves are not.
+//
+// The search tries every single change, then every pair, and so on up to
+// `maxChanges`, stopping at the first size that has solutions; those are
+// minimal by construction. Within one set of fields the cheapest assignment
+// is kept (cost = steps on the ordinal scale, numeric distance, or 1 for a
+// plain or added value). It runs synchronously (the check page calls it on
+// the UI thread), so it gives up after `maxEvaluations` verdicts and reports
+// `capped`; the cap is a count, not a time, so re-runs agree.
+
+import { conditionKind, decide, deriveInput, derivedDeclarations, derivedFields, ordinalScale, parseInput, resolveCondition } from "./engine.mjs";
+
+export const TARGET_VERDICTS = ["YES", "YES (ADVISORY)"];
+
+export const MAX_EVALUATIONS = 5000;
+
+function atomsOf(node, out = []) {
+  const kind = conditionKind(node);
+  if (kind === "atomic") out.push(node);
+  else if (kind === "not") atomsOf(node.not, out);
+  else for (const c of (Array.isArray(node) ? node : node[kind])) atomsOf(c, out);
+  return out;
+}
+
+// field -> values its rules compare against (lower-case strings or numbers)
+function ruleValues(ruleset) {
+  const out = new Map();
+  for (const rule of (ruleset.rules || [])) {
+    for (const atom of atomsOf(rule.if || [])) {
+      const c = resolveCondition(atom);
+      if (!c) continue;
+      if (!out.has(c.field)) out.set(c.field, new Set());
+      for (const v of (Array.isArray(c.value) ? c.value : [c.value])) {
+        out.get(c.field).add(typeof v === "number" ? v : String(v).toLowerCase());
+      }
+    }
+  }
+  return out;
+}
+
+function candidatesFor(ruleset, field, current, fromRules) {
+  const scale = ordinalScale(ruleset, field);
+  if (scale && scale.includes(String(current).toLowerCase())) {
+    const at = scale.indexOf(String(current).toLowerCase());
+    return scale.map((v, i) => ({ value: v, cost: Math.abs(i - at) })).filter(c => c.cost > 0);
+  }
+  const values = [...(fromRules.get(field) || [])];
+  if (typeof current === "number") {
+    const nums = new Set();
+    for (const v of values) if (typeof v === "number") for (const n of [v - 1, v, v + 1]) if (n >= 0) nums.add(n);
+    nums.delete(current);
+    return [...nums].map(n => ({ value: n, cost: Math.abs(n - current) }));
+  }
+  return values.filter(v => typeof v !== "number" && v !== current).map(v => ({ value: v, cost: 1 }));
+}
+
+// Values for a field the input lacks: any step of its scale, or any value
+// its rules use, at cost 1.
+function candidatesForMissing(ruleset, field, fromRules) {
+  const scale = ordinalScale(ruleset, field);
+  if (scale) return scale.map(v => ({ value: v, cost: 1 }));
+  const nums = new Set();
+  const out = [];
+  for (const v of (fromRules.get(field) || [])) {
+    if (typeof v !== "number") out.push({ value: v, cost: 1 });
+    else for (const n of [v - 1, v, v + 1]) if (n >= 0) nums.add(n);
+  }
+  return [...[...nums].map(n => ({ value: n, cost: 1 })), ...out];
+}
+
+function* combinations(items, k, start = 0, prefix = []) {
+  if (prefix.length === k) { yield prefix; return; }
+  for (let i = start; i < items.length; i++) yield* combinations(items, k, i + 1, [...prefix, items[i]]);
+}
+
+// Cheapest assignment of values to `fields` that reaches a target verdict.
+function bestAssignment(ruleset, base, fields, targets, counter) {
+  let best = null;
+  const walk = (i, changes, cost) => {
+    if (best && cost >= best.cost) return;
+    if (counter.capped) return;
+    if (i === fields.length) {
+      if (counter.evaluated >= counter.max) { counter.capped = true; return; }
+      const map = new Map(base);
+      for (const ch of changes) map.set(ch.field, ch.to);
+      counter.evaluated++;
+      const r = decide(ruleset, deriveInput(map, ruleset).map);
+      if (targets.includes(r.verdict)) best = { changes, cost, verdict: r.verdict, judgement: r.judgement };
+      return;
+    }
+    const f = fields[i];
+    for (const c of f.candidates) {
+      const change = f.missing ? { field: f.field, to: c.value, added: true } : { field: f.field, from: f.current, to: c.value };
+      walk(i + 1, [...changes, change], cost + c.cost);
+    }
+  };
+  walk(0, [], 0);
+  return best;
+}
+
+// `base` is the parsed input map before derivation (see parseInput).
+// Returns { from, targets, max_changes, solutions: [{ changes, cost, verdict, judgement }], evaluated,
+// exhaustive, capped }; `capped` means the search stopped at `maxEvaluations` and larger or later
+// change sets were not tried.
+export function findCounterfactuals(ruleset, base, options = {}) {
+  const maxChanges = options.maxChanges ?? 3;
+  const limit = options.limit ?? 5;
+  const targets = options.targets || TARGET_VERDICTS;
+  const from = decide(ruleset, deriveInput(new Map(base), ruleset).map).verdict;
+  const counter = { evaluated: 0, max: options.maxEvaluations ?? MAX_EVALUATIONS, capped: false };
+  const report = { from, targets, max_changes: maxChanges, solutions: [], evaluated: 0, exhaustive: true, capped: false };
+  if (targets.includes(from)) return report;
+
+  const fromRules = ruleValues(ruleset);
+  const decls = derivedDeclarations(ruleset);
+  const feedsDerived = (field) => decls.some(d => Array.isArray(d.fields)
+    ? d.fields.includes(field)
+    : !!d.prefix && field.toLowerCase().startsWith(String(d.prefix).toLowerCase()));
+  const fields = [];
+  for (const [field, current] of base.entries()) {
+    if (!fromRules.has(field) && !feedsDerived(field)) continue;
+    const candidates = candidatesFor(ruleset, field, current, fromRules);
+    if (candidates.length) fields.push({ field, current, candidates });
+  }
+  const derived = new Set(derivedFields(ruleset));
+  for (const field of fromRules.keys()) {
+    if (base.has(field) || derived.has(field)) continue;
+    const candidates = candidatesForMissing(ruleset, field, fromRules);
+    if (candidates.length) fields.push({ field, missing: true, candidates });
+  }
+  fields.sort((a, b) => a.field.localeCompare(b.field));
+
+  for (let k = 1; k <= Math.min(maxChanges, fields.length); k++) {
+    const found = [];
+    for (const combo of combinations(fields, k)) {
+      const best = bestAssignment(ruleset, base, combo, targets, counter);
+      if (best) found.push(best);
+      if (counter.capped) break;
+    }
+    if (found.length) {
+      found.sort((a, b) => a.cost - b.cost);
+      report.solutions = found.slice(0, limit);
+      report.exhaustive = found.length <= limit;
+      break;
+    }
+    if (counter.capped) break;
+  }
+  report.evaluated = counter.evaluated;
+  report.capped = counter.capped;
+  if (report.capped) report.exhaustive = false;
+  return report;
+}
+
+// Convenience over program text; syntax errors throw as in evaluate().
+export function counterfactualsForText(ruleset, text, options) {
+  return findCounterfactuals(ruleset, parseInput(text, ruleset).map, options);
+}
@@ -0,0 +1,235 @@
+// Editor mode for the check page textarea: live diagnostics (squiggles and a
+// list), completion popup and hover docs, driven by language.mjs.
+//
+// The textarea sits on top of a mirror <pre> with identical metrics. The
+// mirror renders the same text transparently, split into spans per token and
+// diagnostic, so underlines show through and hover / caret positions can be
+// resolved with elementsFromPoint and getBoundingClientRect.
+
+import { isLikelySSELang } from "./engine.mjs";
+import { buildLanguageIndex, diagnose, completionsAt, hoverAt } from "./language.mjs";
+
+function esc(s) {
+  return String(s)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+// Splits text into segments at token, diagnostic and caret boundaries.
+function renderMirror(text, tokens, diags, caret) {
+  const cuts = new Set([0, text.length]);
+  for (const t of tokens) { cuts.add(t.loc.index); cuts.add(t.end); }
+  for (const d of diags) { cuts.add(d.span.start); cuts.add(Math.min(d.span.end, text.length)); }
+  if (caret !== null) cuts.add(caret);
+  const points = [...cuts].filter(x => x >= 0 && x <= text.length).sort((a, b) => a - b);
+
+  let html = "";
+  let ti = 0;
+  for (let p = 0; p < points.length - 1; p++) {
+    const a = points[p], b = points[p + 1];
+    if (caret === a) html += `<span data-caret="1"></span>`;
+    while (ti < tokens.length && tokens[ti].end <= a) ti++;
+    const tok = tokens[ti] && tokens[ti].loc.index <= a && a < tokens[ti].end ? tokens[ti] : null;
+    const d = diags.filter(x => x.span.start <= a && a < x.span.end);
+    const cls = d.some(x => x.severity === "error") ? "diag-error" : (d.length ? "diag-warning" : "");
+    const attrs = (tok ? ` data-at="${a}"` : "") + (cls ? ` class="${cls}"` : "");
+    html += attrs ? `<span${attrs}>${esc(text.slice(a, b))}</span>` : esc(text.slice(a, b));
+  }
+  if (caret === text.length) html += `<span data-caret="1"></span>`;
+  // A trailing newline needs content after it to keep heights in sync.
+  return html + " ";
+}
+
+export function setupEditor(getRuleset) {
+  const input = document.getElementById("input");
+  const mirror = document.getElementById("inputMirror");
+  const list = document.getElementById("diagnostics");
+  const popup = document.getElementById("completions");
+  const hover = document.getElementById("hoverDoc");
+  const toggle = document.getElementById("editorMode");
+  if (!input || !mirror) return;
+
+  let index = null;
+  let indexFor = null;
+  const langIndex = () => {
+    const rs = getRuleset();
+    if (rs !== indexFor) { index = buildLanguageIndex(rs); indexFor = rs; }
+    return index;
+  };
+  const enabled = () => !toggle || toggle.checked;
+
+  let diags = [];
+  let completion = null; // { from, to, items, selected }
+  let timer = null;
+
+  function refresh(caret = null) {
+    if (!enabled()) {
+      mirror.innerHTML = "";
+      list.innerHTML = "";
+      return;
+    }
+    const text = input.value;
+    // Legacy "Key: Value" input is not parsed as SSE-Lang (parseInput makes
+    // the same call), so SSE-Lang diagnostics would not apply to it.
+    const legacy = text.trim() !== "" && !isLikelySSELang(text);
+    diags = legacy ? [] : diagnose(text, langIndex());
+    // Identifier spans become hover targets in the mirror.
+    const tokens = [];
+    const re = /[A-Za-z_][A-Za-z0-9_\-]*/g;
+    let m;
+    while ((m = re.exec(text))) tokens.push({ loc: { index: m.index }, end: m.index + m[0].length });
+    mirror.innerHTML = renderMirror(text, tokens, diags, caret);
+    mirror.scrollTop = input.scrollTop;
+
+    if (legacy) {
+      list.innerHTML = `<div class="muted">Read as Key: Value lines, not SSE-Lang; no live checks.</div>`;
+      return;
+    }
+    if (!diags.length) {
+      list.innerHTML = `<div class="muted">No problems detected.</div>`;
+      return;
+    }
+    list.innerHTML = diags.map((d, i) =>
+      `<div class="diag-item diag-item-${d.severity}" data-i="${i}">${d.severity === "error" ? "✗" : "⚠"} <b>${d.line}:${d.column}</b> ${esc(d.message)}` +
+      (d.fix ? ` <button type="button" class="diag-fix" data-fix="${i}">${esc(d.fix.title)}</button>` : "") + `</div>`
+    ).join("");
+  }
+
+  function scheduleRefresh() {
+    clearTimeout(timer);
+    timer = setTimeout(() => refresh(), 150);
+  }
+
+  function caretRect() {
+    refresh(input.selectionStart);
+    const marker = mirror.querySelector("[data-caret]");
+    return marker ? marker.getBoundingClientRect() : input.getBoundingClientRect();
+  }
+
+  function closeCompletion() {
+    completion = null;
+    popup.hidden = true;
+    popup.innerHTML = "";
+  }
+
+  function renderCompletion() {
+    popup.innerHTML = completion.items.map((it, i) =>
+      `<li data-i="${i}" class="${i === completion.selected ? "active" : ""}"><code>${esc(it.label)}</code> <span class="muted">${esc(it.detail || "")}</span></li>`
+    ).join("");
+    const active = popup.querySelector("li.active");
+    if (active && active.scrollIntoView) active.scrollIntoView({ block: "nearest" });
+  }
+
+  function openCompletion(force) {
+    const res = completionsAt(input.value, input.selectionStart, langIndex());
+    if (!res.items.length || (!force && res.from === res.to && !/[:=]\s*$/.test(input.value.slice(0, res.to)))) {
+      closeCompletion();
+      return;
+    }
+    completion = { ...res, items: res.items.slice(0, 50), selected: 0 };
+    const r = caretRect();
+    const host = popup.offsetParent ? popup.offsetParent.getBoundingClientRect() : { left: 0, top: 0 };
+    popup.style.left = `${Math.max(0, r.left - host.left)}px`;
+    popup.style.top = `${r.bottom - host.top + 4}px`;
+    popup.hidden = false;
+    renderCompletion();
+  }
+
+  function acceptCompletion(i) {
+    const it = completion.items[i];
+    const { from, to } = completion;
+    input.setRangeText(it.insert, from, to, "end");
+    closeCompletion();
+    input.focus();
+    input.dispatchEvent(new Event("input"));
+  }
+
+  input.addEventListener("input", (ev) => {
+    scheduleRefresh();
+    if (!enabled()) return;
+    const before = input.value.slice(0, input.selectionStart);
+    if (ev.inputType && ev.inputType.startsWith("delete")) { closeCompletion(); return; }
+    if (/[A-Za-z0-9_#.\-]$/.test(before) || /[:=]\s?$/.test(before)) openCompletion(false);
+    else closeCompletion();
+  });
+
+  input.addEventListener("keydown", (ev) => {
+    if (!enabled()) return;
+    if ((ev.ctrlKey || ev.metaKey) && ev.key === " ") {
+      ev.preventDefault();
+      openCompletion(true);
+      return;
+    }
+    if (!completion) return;
+    if (ev.key === "ArrowDown" || ev.key === "ArrowUp") {
+      ev.preventDefault();
+      const n = completion.items.length;
+      completion.selected = (completion.selected + (ev.key === "ArrowDown" ? 1 : n - 1)) % n;
+      renderCompletion();
+    } else if (ev.key === "Enter" || ev.key === "Tab") {
+      ev.preventDefault();
+      acceptCompletion(completion.selected);
+    } else if (ev.key === "Escape") {
+      ev.preventDefault();
+      closeCompletion();
+    }
+  });
+
+  input.addEventListener("blur", () => setTimeout(closeCompletion, 150));
+  input.addEventListener("scroll", () => { mirror.scrollTop = input.scrollTop; });
+
+  popup.addEventListener("mousedown", (ev) => {
+    const li = ev.target.closest("li[data-i]");
+    if (!li || !completion) return;
+    ev.preventDefault();
+    acceptCompletion(Number(li.dataset.i));
+  });
+
+  list.addEventListener("click", (ev) => {
+    const fixBtn = ev.target.closest("[data-fix]");
+    if (fixBtn) {
+      // Apply the suggested edit, then re-run diagnostics on the new text.
+      const { span, text } = diags[Number(fixBtn.dataset.fix)].fix;
+      input.focus();
+      input.setRangeText(text, span.start, span.end, "end");
+      input.dispatchEvent(new Event("input"));
+      return;
+    }
+    const item = ev.target.closest("[data-i]");
+    if (!item) return;
+    const d = diags[Number(item.dataset.i)];
+    input.focus();
+    input.setSelectionRange(d.span.start, d.span.end);
+  });
+
+  input.addEventListener("mousemove", (ev) => {
+    if (!enabled() || !document.elementsFromPoint) return;
+    const seg = document.elementsFromPoint(ev.clientX, ev.clientY).find(el => el.dataset && el.dataset.at !== undefined && mirror.contains(el));
+    const info = seg ? hoverAt(input.value, Number(seg.dataset.at), langIndex()) : null;
+    if (!info) { hover.hidden = true; return; }
+    let html = `<div><b>${esc(info.canonical)}</b>${info.key !== info.canonical ? ` <span class="muted">(written as ${esc(info.key)})</span>` : ""}</div>`;
+    if (!info.known) html += `<div class="muted">Not a field of this ruleset.</div>`;
+    if (info.aliases.length) html += `<div class="muted">Aliases: ${info.aliases.map(esc).join(", ")}</div>`;
+    if (info.scale) html += `<div class="muted">Scale: ${info.scale.map(esc).join(" < ")}</div>`;
+    html += info.rules.length
+      ? `<ul>${info.rules.map(r => `<li><b>${esc(r.id)}</b> ${esc(r.name)} — <code>${esc(r.condition)}</code></li>`).join("")}</ul>`
+      : `<div class="muted">No rule references this field.</div>`;
+    hover.innerHTML = html;
+    const host = hover.offsetParent ? hover.offsetParent.getBoundingClientRect() : { left: 0, top: 0 };
+    hover.style.left = `${ev.clientX - host.left + 12}px`;
+    hover.style.top = `${ev.clientY - host.top + 16}px`;
+    hover.hidden = false;
+  });
+  input.addEventListener("mouseleave", () => { hover.hidden = true; });
+
+  if (toggle) {
+    toggle.addEventListener("change", () => {
+      closeCompletion();
+      hover.hidden = true;
+      refresh();
+    });
+  }
+  return { refresh };
+}
@@ -0,0 +1,124 @@
+// <sse-check-result> — read-only SSE-Lang result card for other pages.
+//
+//   <script type="module" src="https://goldisle.org/sse-lang/check/embed.js"></script>
+//   <sse-check-result ruleset="0.2" program="IonPathDimensionality: #3D; CHECK;"></sse-check-result>
+//
+// Attributes: `program` (SSE-Lang text) and `ruleset` (registry version,
+// default: the registry default), or `permalink` (a check-page link or its
+// #fragment). The input is evaluated live in the reader's browser; the card
+// shows the verdict, primary rule, trace ID and how to cite it.
+
+import { evaluate } from "./engine.mjs";
+import { buildTraceRecord } from "./trace.mjs";
+import { findRuleset, rulesetUrl } from "./rulesets.mjs";
+import { decodePermalink, permalinkUrl } from "./permalink.mjs";
+
+const registryUrl = new URL("./rulesets/index.json", import.meta.url).href;
+const SITE = new URL("/", import.meta.url).href;
+const CITATION = "Evan Bei. SSE-Lang v0.2: A Structured Rule Language for Feasibility Judgement (Public Demonstrator). 2026. https://goldisle.org/sse-lang/";
+
+let registryPromise = null;
+const rulesetPromises = new Map();
+
+function loadRegistry() {
+  if (!registryPromise) {
+    registryPromise = fetch(registryUrl).then(res => {
+      if (!res.ok) throw new Error("Failed to load rulesets/index.json");
+      return res.json();
+    });
+  }
+  return registryPromise;
+}
+
+async function loadRules(version) {
+  const registry = await loadRegistry();
+  const entry = findRuleset(registry, version);
+  if (!entry) throw new Error(`Unknown ruleset version: ${version}`);
+  if (!rulesetPromises.has(entry.version)) {
+    rulesetPromises.set(entry.version, fetch(rulesetUrl(entry, registryUrl)).then(res => {
+      if (!res.ok) throw new Error(`Failed to load ruleset v${entry.version}`);
+      return res.json();
+    }));
+  }
+  return rulesetPromises.get(entry.version);
+}
+
+function esc(s) {
+  return String(s)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+const STYLE = `
+  :host { display: block; max-width: 420px; font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif; color: #111; }
+  .card { border: 1px solid #ddd; border-radius: 12px; padding: 14px; background: #fff; }
+  .head { display: flex; justify-content: space-between; font-size: 12px; opacity: 0.75; }
+  .verdict { font-size: 28px; font-weight: 800; margin: 6px 0 2px; }
+  .verdict[data-state="yes"] { color: #0b6b0b; }
+  .verdict[data-state="advisory"] { color: #8a5300; }
+  .verdict[data-state="no"] { color: #b00020; }
+  .row { font-size: 13px; margin-top: 4px; }
+  code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 12px; word-break: break-all; }
+  .cite { font-size: 11px; opacity: 0.7; margin-top: 8px; }
+  a { color: inherit; }
+`;
+
+class SSECheckResult extends HTMLElement {
+  static get observedAttributes() { return ["program", "ruleset", "permalink"]; }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" });
+    this._run = 0;
+  }
+
+  connectedCallback() { this.render(); }
+  attributeChangedCallback() { if (this.isConnected) this.render(); }
+
+  input() {
+    const link = this.getAttribute("permalink");
+    if (link) {
+      const state = decodePermalink(link.includes("#") ? link.slice(link.indexOf("#")) : link);
+      if (!state) throw new Error("The permalink has no program");
+      return state;
+    }
+    return { text: this.getAttribute("program") || "", ruleset: this.getAttribute("ruleset") || null };
+  }
+
+  show(html) {
+    this.shadowRoot.innerHTML = `<style>${STYLE}</style><div class="card">${html}</div>`;
+  }
+
+  async render() {
+    const run = ++this._run;
+    this.show(`<div class="row">Evaluating…</div>`);
+    try {
+      const state = this.input();
+      const registry = await loadRegistry();
+      const version = findRuleset(registry, state.ruleset)?.version || state.ruleset || registry.default;
+      const ruleset = await loadRules(version);
+      const result = evaluate(ruleset, state.text);
+      const trace = await buildTraceRecord(ruleset, state.text, result);
+      if (run !== this._run) return;
+      const stateAttr = result.verdict.startsWith("NO") ? "no" : (result.verdict === "YES" ? "yes" : "advisory");
+      const link = permalinkUrl(SITE, { text: state.text, ruleset: ruleset.version });
+      let html = `<div class="head"><span>SSE-Lang check</span><span>ruleset v${esc(ruleset.version)}</span></div>`;
+      html += `<div class="verdict" data-state="${stateAttr}">${esc(result.verdict)}</div>`;
+      html += `<div class="row">${esc(result.judgement)}</div>`;
+      if (result.rule) {
+        html += `<div class="row"><b>${esc(result.rule.id)}</b> ${esc(result.rule.name || "")}${result.rule.cit ? ` — <i>${esc(result.rule.cit)}</i>` : ""}</div>`;
+      }
+      html += `<div class="row">Trace ID: <code>${esc(trace.trace_id)}</code></div>`;
+      html += `<div class="row"><a href="${esc(link)}" target="_blank" rel="noopener">Open in the checker</a></div>`;
+      html += `<div class="cite">Cite: ${esc(CITATION)} Trace ${esc(trace.trace_id)}.</div>`;
+      this.show(html);
+    } catch (err) {
+      if (run !== this._run) return;
+      this.show(`<div class="head"><span>SSE-Lang check</span></div><div class="row" style="color:#b00020">${esc(err && err.message ? err.message.split("\n")[0] : String(err))}</div>`);
+    }
+  }
+}
+
+if (!customElements.get("sse-check-result")) customElements.define("sse-check-result", SSECheckResult);
@@ -0,0 +1,931 @@
+// SSE-Lang engine: parse -> derive -> decide, with no DOM or network access.
+// Usable as an ES module from the check page, a Node CLI, or tests:
+//   import { evaluate } from "/sse-lang/check/engine.mjs";
+//   const result = evaluate(ruleset, "IonPathDimensionality: #3D; CHECK;");
+
+function normalizeKey(s) {
+  return (s || "").trim();
+}
+
+export function parseKeyValueLines(text, ruleset) {
+  const map = new Map();
+  const lines = (text || "").split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+
+  // Build reverse alias lookup
+  const aliasToCanonical = new Map();
+  const aliases = ruleset.aliases || {};
+  for (const [canon, alist] of Object.entries(aliases)) {
+    aliasToCanonical.set(canon.toLowerCase(), canon);
+    for (const a of (alist || [])) aliasToCanonical.set(String(a).toLowerCase(), canon);
+  }
+
+  for (const line of lines) {
+    // Accept "Key: value" or "Key = value"
+    let m = line.match(/^([^:=]+)\s*[:=]\s*(.+)$/);
+    if (!m) continue;
+    let key = normalizeKey(m[1]);
+    let val = normalizeKey(m[2]);
+
+    const canon = aliasToCanonical.get(key.toLowerCase()) || key;
+    // strip backticks
+    val = val.replace(/`/g, "");
+
+    // number?
+    if (/^-?\d+(\.\d+)?$/.test(val)) {
+      val = val.includes(".") ? Number.parseFloat(val) : Number.parseInt(val, 10);
+    } else {
+      val = val.toLowerCase();
+    }
+    map.set(canon, val);
+  }
+  return map;
+}
+
+export function isLikelySSELang(text) {
+  const t = (text || "").trim();
+  if (!t) return false;
+  // Heuristics: semicolons, CHECK/EVAL, hash-symbols, enum dots
+  if (t.includes(";")) return true;
+  if (/\b(CHECK|EVAL)\b/i.test(t)) return true;
+  if (/#\w+/.test(t)) return true;
+  if (/[A-Za-z_]\w*\.[A-Za-z_]\w*/.test(t)) return true;
+  return false;
+}
+
+// Scans SSE-Lang source into tokens without throwing. Lexical problems are
+// collected in `errors` ({ code, message, line, col, index, end }) and the scanner
+// skips past the offending text, so editors can keep highlighting the rest.
+// Every token carries loc { line, col, index } and the source index `end`.
+export function scanSSE(text) {
+  const src = text || "";
+  let i = 0, line = 1, col = 1;
+
+  const tokens = [];
+  const errors = [];
+  const push = (type, value=null, loc=null) => tokens.push({ type, value, loc, end: i });
+
+  const locNow = () => ({ line, col, index: i });
+
+  const err = (code, msg, start) => {
+    const at = start || locNow();
+    errors.push({ code, message: msg, line: at.line, col: at.col, index: at.index, end: Math.max(i, at.index + 1) });
+  };
+
+  const isAlpha = (c) => /[A-Za-z_]/.test(c);
+  const isAlnum = (c) => /[A-Za-z0-9_\-]/.test(c);
+  const isDigit = (c) => /[0-9]/.test(c);
+
+  while (i < src.length) {
+    const c = src[i];
+
+    // whitespace
+    if (c === " " || c === "\t" || c === "\r") { i++; col++; continue; }
+    if (c === "\n") { i++; line++; col = 1; continue; }
+
+    // comments: //... or #!... (not to confuse with #symbol; we use #symbol only if followed by ident and not "#!")
+    if (c === "/" && src[i+1] === "/") {
+      i += 2; col += 2;
+      while (i < src.length && src[i] !== "\n") { i++; col++; }
+      continue;
+    }
+
+    // punctuation
+    if (c === ":") { i++; col++; push("COLON", ":", { line, col: col - 1, index: i - 1 }); continue; }
+    if (c === "=") { i++; col++; push("EQUAL", "=", { line, col: col - 1, index: i - 1 }); continue; }
+    if (c === ";") { i++; col++; push("SEMI", ";", { line, col: col - 1, index: i - 1 }); continue; }
+    if (c === ".") { i++; col++; push("DOT", ".", { line, col: col - 1, index: i - 1 }); continue; }
+
+    // string
+    if (c === '"') {
+      const start = locNow();
+      i++; col++;
+      let s = "";
+      while (i < src.length && src[i] !== '"' && src[i] !== "\n") {
+        // minimal escaping for \" and \\ 
+        if (src[i] === "\\" && i+1 < src.length) {
+          const n = src[i+1];
+          if (n === '"' || n === "\\") { s += n; i += 2; col += 2; continue; }
+        }
+        s += src[i]; i++; col++;
+      }
+      if (src[i] !== '"') {
+        // recover: treat the rest of the line as the string body
+        err("unterminated-string", "Unterminated string literal", start);
+        push("STRING", s, start);
+        continue;
+      }
+      i++; col++;
+      push("STRING", s, start);
+      continue;
+    }
+
+    // symbol: #ident  (reserve "#!" for potential future directives; treat as error now)
+    if (c === "#") {
+      const start = locNow();
+      if (src[i+1] === "!") {
+        i += 2; col += 2;
+        err("directive-unsupported", "Directive syntax '#!' not supported in v0.1.1 input", start);
+        continue;
+      }
+      i++; col++;
+      if (!isAlnum(src[i] || "")) {
+        err("expected-symbol", "Expected symbol after '#'", start);
+        continue;
+      }
+      let name = "";
+      while (i < src.length && isAlnum(src[i])) { name += src[i]; i++; col++; }
+      push("SYMBOL", name, start);
+      continue;
+    }
+
+    // number: -?\d+(\.\d+)?
+    if (c === "-" || isDigit(c)) {
+      const start = locNow();
+      let j = i;
+      if (src[j] === "-") j++;
+      if (!isDigit(src[j] || "")) {
+        // it's just '-' alone, not allowed
+        i++; col++;
+        err("unexpected-minus", "Unexpected '-'", start);
+        continue;
+      }
+      while (j < src.length && isDigit(src[j])) j++;
+      if (src[j] === "." && isDigit(src[j+1] || "")) {
+        j++;
+        while (j < src.length && isDigit(src[j])) j++;
+      }
+      const raw = src.slice(i, j);
+      i = j; col += (j - start.index);
+      push("NUMBER", raw, start);
+      continue;
+    }
+
+    // identifier / keywords
+    if (isAlpha(c)) {
+      const start = locNow();
+      let name = "";
+      while (i < src.length && isAlnum(src[i])) { name += src[i]; i++; col++; }
+      const upper = name.toUpperCase();
+      if (upper === "CHECK") push("KW_CHECK", upper, start);
+      else if (upper === "EVAL") push("KW_EVAL", upper, start);
+      else push("IDENT", name, start);
+      continue;
+    }
+
+    const start = locNow();
+    i++; col++;
+    err("unexpected-char", `Unexpected character '${c}'`, start);
+  }
+
+  push("EOF", null, locNow());
+  return { tokens, errors };
+}
+
+export function tokenizeSSE(text) {
+  const src = text || "";
+  const { tokens, errors } = scanSSE(src);
+  if (errors.length) {
+    const e = errors[0];
+    const context = src.slice(Math.max(0, e.index - 20), Math.min(src.length, e.index + 20));
+    const caretPos = Math.min(20, e.index);
+    throw new Error(`SSE-Lang parse error: ${e.message} at ${e.line}:${e.col}\n...${context}\n${" ".repeat(3+caretPos)}^`);
+  }
+  return tokens;
+}
+
+// Diagnostics are plain objects:
+//   { severity: "error" | "warning", code, message, line, column,
+//     span: { start, end },            // source indices, end exclusive
+//     fix?: { title, span, text } }     // replace span with text
+function makeDiagnostic(severity, code, message, loc, end, fix) {
+  return {
+    severity,
+    code,
+    message,
+    line: loc.line,
+    column: loc.col,
+    span: { start: loc.index, end: Math.max(end ?? loc.index + 1, loc.index + 1) },
+    ...(fix ? { fix } : {})
+  };
+}
+
+function lexicalDiagnostic(e, src) {
+  let fix;
+  if (e.code === "unterminated-string") fix = { title: "Close the string", span: { start: e.end, end: e.end }, text: '"' };
+  else if (e.code === "unexpected-char" || e.code === "unexpected-minus") fix = { title: `Remove '${src.slice(e.index, e.end)}'`, span: { start: e.index, end: e.end }, text: "" };
+  else if (e.code === "expected-symbol") fix = { title: "Quote the value instead", span: { start: e.index, end: e.end }, text: '""' };
+  return makeDiagnostic("error", e.code, e.message, { line: e.line, col: e.col, index: e.index }, e.end, fix);
+}
+
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// Error-recovering parser for statements of the form
+//   assign := ident (":"|"=") value ";"
+// Never throws: returns the assignments it could read plus every diagnostic
+// found. After an error it resynchronizes at the next
+// ';', or at the start of a later line that begins a new `key:` assignment
+// when the ';' was left out.
+//   { map: Map<canonicalField, normalizedValue>, seenQuery, diagnostics,
+//     assignments: [{ key, field, value, kind, line, keySpan, valueSpan }] }
+// `assignments` lists every accepted statement in source order, duplicates
+// included; `kind` is the value's token type (NUMBER, STRING, SYMBOL, IDENT).
+export function parseSSELangProgram(text, ruleset) {
+  const src = text || "";
+  const { tokens: toks, errors } = scanSSE(src);
+  const diagnostics = errors.map(e => lexicalDiagnostic(e, src));
+  let k = 0;
+
+  const peek = () => toks[k];
+  const next = () => toks[k++];
+  const report = (...args) => diagnostics.push(makeDiagnostic(...args));
+  // A lexical error between two tokens already explains why the parser is
+  // confused there; don't report the same spot twice.
+  const lexErrorBetween = (from, to) => errors.some(e => e.index >= from && e.index < to);
+  const tokText = (t) => t.type === "EOF" ? "end of input" : `'${src.slice(t.loc.index, t.end)}'`;
+
+  // alias mapping
+  const aliasToCanonical = new Map();
+  const aliases = ruleset.aliases || {};
+  for (const [canon, alist] of Object.entries(aliases)) {
+    aliasToCanonical.set(canon.toLowerCase(), canon);
+    for (const a of (alist || [])) aliasToCanonical.set(String(a).toLowerCase(), canon);
+  }
+  const canonKey = (key) => aliasToCanonical.get(String(key).toLowerCase()) || key;
+  const knownKey = (key) => aliasToCanonical.has(String(key).toLowerCase()) || /^rating\.[A-Za-z_]/i.test(key);
+  const suggestKey = (key) => {
+    let best = null;
+    for (const list of Object.values(aliases)) {
+      for (const a of (list || [])) {
+        if (!/^[A-Za-z_][A-Za-z0-9_\-]*$/.test(a)) continue;
+        const dist = editDistance(String(key).toLowerCase(), a.toLowerCase());
+        if (dist <= 3 && (!best || dist < best.dist)) best = { alias: a, dist };
+      }
+    }
+    return best && best.alias;
+  };
+
+  const map = new Map();
+  const assignments = [];
+  let seenQuery = false;
+
+  // True when toks[i] is the first token on its line and starts a statement:
+  // check / eval, or a `key:` / `key =` assignment (dotted keys included).
+  const startsStatementLine = (i) => {
+    const t = toks[i];
+    if (i === 0 || t.loc.line <= toks[i - 1].loc.line) return false;
+    if (t.type === "KW_CHECK" || t.type === "KW_EVAL") return true;
+    if (t.type !== "IDENT") return false;
+    let j = i + 1;
+    while (toks[j].type === "DOT" && toks[j + 1].type === "IDENT") j += 2;
+    return toks[j].type === "COLON" || toks[j].type === "EQUAL";
+  };
+  // Skip the rest of a broken statement, through the next ';', or up to a
+  // later line that starts a new assignment when the ';' is missing too.
+  const syncToSemi = () => {
+    while (peek().type !== "EOF" && peek().type !== "SEMI") {
+      next();
+      if (startsStatementLine(k)) return;
+    }
+    if (peek().type === "SEMI") next();
+  };
+  // True when `t` starts a new statement on a later line than `prev`.
+  const startsNextLine = (t, prev) =>
+    t.type === "EOF" || (t.loc.line > prev.loc.line && ["IDENT", "KW_CHECK", "KW_EVAL"].includes(t.type));
+
+  const parseValue = () => {
+    const t = peek();
+    if (t.type === "NUMBER") {
+      next();
+      const raw = t.value;
+      return { value: raw.includes(".") ? Number.parseFloat(raw) : Number.parseInt(raw, 10), start: t, last: t };
+    }
+    if (t.type === "STRING") { next(); return { value: String(t.value), start: t, last: t }; }
+    if (t.type === "SYMBOL") { next(); return { value: String(t.value).toLowerCase(), start: t, last: t }; } // #3D -> "3d"
+    if (t.type === "IDENT") {
+      next();
+      let last = t;
+      const parts = [t.value];
+      while (peek().type === "DOT") {
+        const dot = next();
+        if (peek().type !== "IDENT") {
+          report("error", "expected-value", `Expected a name after '.' but got ${tokText(peek())}`, peek().loc, peek().end);
+          return { value: null, start: t, last: dot };
+        }
+        last = next();
+        parts.push(last.value);
+      }
+      // enum normalization: take last segment by default (reliability.partial -> "partial")
+      return { value: String(parts[parts.length - 1]).toLowerCase(), start: t, last };
+    }
+    return null;
+  };
+
+  const parseAssign = () => {
+    const keyTok = next();
+    // Allow dotted keys like Rating.Stability
+    let keyStr = keyTok.value;
+    let keyEnd = keyTok;
+    while (peek().type === "DOT") {
+      next(); // consume DOT
+      if (peek().type !== "IDENT") {
+        report("error", "expected-key", `Expected a name after '${keyStr}.' but got ${tokText(peek())}`, peek().loc, peek().end);
+        syncToSemi();
+        return;
+      }
+      keyEnd = next();
+      keyStr += "." + keyEnd.value;
+    }
+    const keySpan = { start: keyTok.loc.index, end: keyEnd.end };
+
+    const opTok = peek();
+    if (opTok.type !== "COLON" && opTok.type !== "EQUAL") {
+      if (!lexErrorBetween(keyEnd.end, opTok.end)) report("error", "expected-assign", `Expected ':' or '=' after '${keyStr}' but got ${tokText(opTok)}`, opTok.type === "EOF" ? keyEnd.loc : opTok.loc, opTok.type === "EOF" ? keyEnd.end : opTok.end,
+        { title: "Insert ':'", span: { start: keyEnd.end, end: keyEnd.end }, text: ":" });
+      if (!startsNextLine(opTok, keyTok)) syncToSemi();
+      return;
+    }
+    next();
+
+    const val = parseValue();
+    if (!val) {
+      const t = peek();
+      if (!lexErrorBetween(opTok.end, t.end)) report("error", "expected-value", `Expected a value for '${keyStr}' but got ${tokText(t)}`, t.type === "EOF" ? opTok.loc : t.loc, t.type === "EOF" ? opTok.end : t.end,
+        t.type === "SEMI" ? { title: "Insert a value", span: { start: opTok.end, end: t.loc.index }, text: " value" } : undefined);
+      if (!startsNextLine(t, opTok)) syncToSemi();
+      return;
+    }
+    if (val.value === null) { syncToSemi(); return; }
+
+    const end = peek();
+    if (end.type === "SEMI") {
+      next();
+    } else {
+      if (!lexErrorBetween(val.start.loc.index, end.end)) report("error", "missing-semicolon", `Expected ';' after the value of '${keyStr}' but got ${tokText(end)}`, val.last.loc, val.last.end,
+        { title: "Insert ';'", span: { start: val.last.end, end: val.last.end }, text: ";" });
+      if (!startsNextLine(end, val.last)) { syncToSemi(); return; }
+    }
+
+    const key = canonKey(keyStr);
+    // Also normalize strings/symbols to lower-case to match v0.1 comparer
+    const normVal = (typeof val.value === "string") ? val.value.toLowerCase().replace(/`/g, "") : val.value;
+
+    if (!knownKey(keyStr)) {
+      const guess = suggestKey(keyStr);
+      report("warning", "unknown-field", `Unknown field '${keyStr}': no rule or alias in this ruleset uses it`, keyTok.loc, keyEnd.end,
+        guess ? { title: `Did you mean '${guess}'?`, span: keySpan, text: guess } : undefined);
+    }
+    if (map.has(key)) {
+      const prev = assignments.find(x => x.field === key);
+      report("warning", "duplicate-key", `Duplicate field '${key}' (first set on line ${prev.line}); this later value overrides it`, keyTok.loc, keyEnd.end,
+        { title: "Remove this duplicate assignment", span: { start: keyTok.loc.index, end: end.type === "SEMI" ? end.end : val.last.end }, text: "" });
+    }
+    map.set(key, normVal);
+    assignments.push({
+      key: keyStr,
+      field: key,
+      value: normVal,
+      kind: val.start.type,
+      line: keyTok.loc.line,
+      keySpan,
+      valueSpan: { start: val.start.loc.index, end: val.last.end }
+    });
+  };
+
+  const parseQuery = () => {
+    const t = next();
+    const end = peek();
+    if (end.type === "SEMI") next();
+    else {
+      report("error", "missing-semicolon", `Expected ';' after ${t.value} but got ${tokText(end)}`, t.loc, t.end,
+        { title: "Insert ';'", span: { start: t.end, end: t.end }, text: ";" });
+      if (!startsNextLine(end, t)) syncToSemi();
+    }
+    seenQuery = true;
+  };
+
+  while (peek().type !== "EOF") {
+    const t = peek();
+    if (t.type === "IDENT") parseAssign();
+    else if (t.type === "KW_CHECK" || t.type === "KW_EVAL") parseQuery();
+    else if (t.type === "SEMI") {
+      next();
+      report("warning", "empty-statement", "Empty statement (stray ';')", t.loc, t.end, { title: "Remove ';'", span: { start: t.loc.index, end: t.end }, text: "" });
+    } else {
+      report("error", "unexpected-token", `Expected a field name or CHECK but got ${tokText(t)}`, t.loc, t.end);
+      next();
+      syncToSemi();
+    }
+  }
+
+  diagnostics.sort((a, b) => a.span.start - b.span.start);
+  // For v0.1 demo we don't require CHECK; but if present, we treat as explicit.
+  return { map, seenQuery, diagnostics, assignments };
+}
+
+// Thrown by parseInput / evaluate when the program has syntax errors. The
+// message mirrors the first error; `diagnostics` carries all of them.
+export class SSELangSyntaxError extends Error {
+  constructor(diagnostics) {
+    const errs = diagnostics.filter(d => d.severity === "error");
+    const first = errs[0];
+    super(`SSE-Lang parse error: ${first.message} at ${first.line}:${first.column}` + (errs.length > 1 ? ` (+${errs.length - 1} more)` : ""));
+    this.name = "SSELangSyntaxError";
+    this.diagnostics = diagnostics;
+  }
+}
+
+// Derived fields (rules.json `derived`): each entry aggregates the input
+// fields under a key prefix (or an explicit `fields` list) against a
+// threshold on a named ordinal scale:
+//   { "name": "ModerateOrWorseCount", "aggregate": "count", "prefix": "Rating.",
+//     "scale": "Rating.*", "where": { "op": "<=", "value": "moderate" } }
+// Aggregates: count (how many match `where`), any / all (boolean), min / max
+// (lowest / highest level on the scale among the matching inputs; `where` is
+// optional there). The value is stored under the canonical field for `name`
+// (via aliases) and only when at least one input field is present.
+export const DERIVED_AGGREGATES = ["count", "any", "all", "min", "max"];
+
+// Used when a ruleset has no `derived` section (e.g. v0.1): the v0.2 demo
+// semantics from the Derived Semantics spec.
+export const DEFAULT_DERIVED = [
+  { name: "ModerateOrWorseCount", aggregate: "count", prefix: "Rating.", scale: "Rating.*", where: { op: "<=", value: "moderate" } },
+  { name: "AnyCriticalFlag", aggregate: "any", prefix: "Rating.", scale: "Rating.*", where: { op: "=", value: "critical" } }
+];
+
+export function derivedDeclarations(ruleset) {
+  return Array.isArray(ruleset.derived) ? ruleset.derived : DEFAULT_DERIVED;
+}
+
+function canonicalizer(ruleset) {
+  const aliasToCanonical = new Map();
+  for (const [canon, alist] of Object.entries(ruleset.aliases || {})) {
+    aliasToCanonical.set(String(canon).toLowerCase(), canon);
+    for (const a of (alist || [])) aliasToCanonical.set(String(a).toLowerCase(), canon);
+  }
+  return (key) => aliasToCanonical.get(String(key).toLowerCase()) || key;
+}
+
+// Canonical field names the declared derivations write into the input map.
+export function derivedFields(ruleset) {
+  const canon = canonicalizer(ruleset);
+  return derivedDeclarations(ruleset).map(d => canon(d.name));
+}
+
+function derivedScale(ruleset, decl) {
+  if (Array.isArray(decl.scale)) return decl.scale.map(x => String(x).toLowerCase());
+  const scale = (ruleset.ordinal_scales || {})[decl.scale];
+  return Array.isArray(scale) ? scale.map(x => String(x).toLowerCase()) : null;
+}
+
+function derivedInputMatches(decl, field, canon) {
+  if (Array.isArray(decl.fields)) return decl.fields.some(f => canon(f) === field);
+  return !!decl.prefix && field.toLowerCase().startsWith(String(decl.prefix).toLowerCase());
+}
+
+// Orders declarations so that a derived field is computed after every derived
+// field it reads. Returns { order, cycles } (cycles: names left unordered).
+export function orderDerived(ruleset) {
+  const canon = canonicalizer(ruleset);
+  const decls = derivedDeclarations(ruleset);
+  const outputs = decls.map(d => canon(d.name));
+  const deps = decls.map((d, i) => outputs.filter((f, j) => j !== i && derivedInputMatches(d, f, canon)).map(f => outputs.indexOf(f)));
+  const order = [];
+  const done = new Set();
+  let progress = true;
+  while (progress) {
+    progress = false;
+    decls.forEach((d, i) => {
+      if (done.has(i) || !deps[i].every(j => done.has(j))) return;
+      done.add(i);
+      order.push(d);
+      progress = true;
+    });
+  }
+  return { order, cycles: decls.filter((d, i) => !done.has(i)).map(d => d.name) };
+}
+
+function aggregate(decl, inputs, matches, scale) {
+  const levels = (list) => list.map(x => scale.indexOf(x.level));
+  switch (String(decl.aggregate).toLowerCase()) {
+    case "count": return { value: matches.length, from: matches };
+    case "any": return { value: matches.length > 0, from: matches };
+    case "all": return { value: matches.length === inputs.length, from: inputs };
+    case "min":
+    case "max": {
+      const pool = decl.where ? matches : inputs;
+      if (!pool.length) return null;
+      const pick = decl.aggregate === "min" ? Math.min(...levels(pool)) : Math.max(...levels(pool));
+      return { value: scale[pick], from: pool };
+    }
+    default: return null;
+  }
+}
+
+export function deriveInput(map, ruleset) {
+  const derivations = [];
+  const canon = canonicalizer(ruleset);
+  const { order, cycles } = orderDerived(ruleset);
+  const warned = new Set();
+
+  for (const name of cycles) {
+    derivations.push({ name: "DerivationWarning", value: `Skipped derived field '${name}': circular dependency` });
+  }
+
+  for (const decl of order) {
+    const scale = derivedScale(ruleset, decl);
+    const key = canon(decl.name);
+    if (!scale) {
+      derivations.push({ name: "DerivationWarning", value: `Skipped derived field '${decl.name}': unknown scale '${decl.scale}'` });
+      continue;
+    }
+
+    const inputs = [];
+    for (const [k, v] of map.entries()) {
+      const field = String(k);
+      if (field === key || !derivedInputMatches(decl, field, canon)) continue;
+      const level = String(v).toLowerCase().trim();
+      if (!scale.includes(level)) {
+        if (!warned.has(field)) {
+          warned.add(field);
+          derivations.push({
+            name: "RatingParseWarning",
+            value: `Ignored Rating field '${field}' with unrecognized level '${level}'`
+          });
+        }
+        continue;
+      }
+      inputs.push({ field, level });
+    }
+    // Derive only if any matching input was provided
+    if (!inputs.length) continue;
+
+    const where = decl.where;
+    const matches = where ? inputs.filter(x => compareValue({ ordinal_scales: { [x.field]: scale } }, x.field, where.op, x.level, where.value)) : inputs;
+    const out = aggregate(decl, inputs, matches, scale);
+    if (!out) continue;
+
+    map.set(key, out.value);
+    derivations.push({ name: decl.name, value: out.value, from: out.from });
+  }
+
+  return { map, derivations };
+}
+
+// Parses SSE-Lang (or legacy Key: Value lines) into { map, diagnostics }.
+// Throws SSELangSyntaxError when there are syntax errors; warnings are returned.
+export function parseInput(text, ruleset) {
+  if (isLikelySSELang(text)) {
+    const { map, diagnostics } = parseSSELangProgram(text, ruleset);
+    if (diagnostics.some(d => d.severity === "error")) throw new SSELangSyntaxError(diagnostics);
+    return { map, diagnostics };
+  }
+  // fallback: legacy key-value lines
+  return { map: parseKeyValueLines(text, ruleset), diagnostics: [] };
+}
+
+export function parseSSELangOrLegacy(text, ruleset) {
+  return parseInput(text, ruleset).map;
+}
+
+// Operators understood by compareValue. Ordering operators need numbers or an
+// ordinal scale; "in" / "not in" take a list, "between" an inclusive [lo, hi].
+export const SUPPORTED_OPS = ["=", "!=", ">=", "<=", ">", "<", "in", "not in", "between"];
+
+const OP_ALIASES = { "≥": ">=", "≤": "<=", "≠": "!=", "==": "=", "=>": ">=", "=<": "<=", "<>": "!=" };
+
+export function normalizeOp(op) {
+  const o = String(op || "").trim().toLowerCase().replace(/\s+/g, " ");
+  return OP_ALIASES[o] || o;
+}
+
+function parseRawValue(s) {
+  const v = String(s).trim().replace(/^["'`]|["'`]$/g, "");
+  if (/^-?\d+(\.\d+)?$/.test(v)) return v.includes(".") ? Number.parseFloat(v) : Number.parseInt(v, 10);
+  return v;
+}
+
+// Parses a rules.json `raw` condition string into { field, op, value }, or null.
+//   "Ion Path Dimensionality ≠ 3D"        -> { op: "!=", value: "3D" }
+//   "Ion Path Dimensionality in [1D, 2D]" -> { op: "in", value: ["1D", "2D"] }
+//   "Count of ... in 2..4"                -> { op: "between", value: [2, 4] }
+//   "2 ≤ Count of ... ≤ 4"                -> { op: "between", value: [2, 4] }
+export function parseRawCondition(raw) {
+  const text = String(raw || "").trim();
+  if (!text) return null;
+
+  let m = /^(.+?)\s*(≤|<=|<)\s*(.+?)\s*(≤|<=|<)\s*(.+)$/.exec(text);
+  if (m && /\d/.test(m[1]) && !/[A-Za-z]/.test(m[1])) {
+    if (m[2] !== m[4] || normalizeOp(m[2]) !== "<=") return null; // only inclusive ranges
+    return { field: m[3].trim(), op: "between", value: [parseRawValue(m[1]), parseRawValue(m[5])] };
+  }
+
+  m = /^(.+?)\s+(not\s+in|in)\s+(.+)$/i.exec(text);
+  if (m && !/[=<>≥≤≠]/.test(m[1])) {
+    const field = m[1].trim();
+    const op = normalizeOp(m[2]);
+    const rhs = m[3].trim();
+    const list = /^\[(.*)\]$/.exec(rhs);
+    if (list) return { field, op, value: list[1].split(",").map(x => x.trim()).filter(Boolean).map(parseRawValue) };
+    const range = /^(\S+)\s*\.\.\s*(\S+)$/.exec(rhs);
+    if (range && op === "in") return { field, op: "between", value: [parseRawValue(range[1]), parseRawValue(range[2])] };
+    return null;
+  }
+
+  m = /^(.+?)\s*(≥|≤|≠|>=|<=|!=|==|=|>|<)\s*(.+)$/.exec(text);
+  if (m) return { field: m[1].trim(), op: normalizeOp(m[2]), value: parseRawValue(m[3]) };
+  return null;
+}
+
+// Structured form of an atomic condition: explicit field/op win, otherwise the
+// `raw` text is parsed. Returns null when neither yields a usable condition.
+export function resolveCondition(c) {
+  if (c && c.field && c.op) return { field: c.field, op: normalizeOp(c.op), value: c.value };
+  if (c && c.raw) return parseRawCondition(c.raw);
+  return null;
+}
+
+// Ordinal scale for a field: an exact `ordinal_scales` key, or a prefix
+// pattern such as "Rating.*". Values are compared case-insensitively.
+export function ordinalScale(ruleset, field) {
+  const scales = ruleset.ordinal_scales || {};
+  let scale = scales[field];
+  if (!scale) {
+    const f = String(field).toLowerCase();
+    for (const [k, v] of Object.entries(scales)) {
+      if (k.endsWith(".*") && f.startsWith(k.slice(0, -1).toLowerCase())) { scale = v; break; }
+    }
+  }
+  return Array.isArray(scale) ? scale.map(x => String(x).toLowerCase()) : null;
+}
+
+function ordinalIndex(ruleset, field, value) {
+  const scale = ordinalScale(ruleset, field);
+  if (!scale) return null;
+  const idx = scale.indexOf(String(value).toLowerCase());
+  return idx >= 0 ? idx : null;
+}
+
+export function compareValue(ruleset, field, op, lhs, rhs) {
+  op = normalizeOp(op);
+
+  // Set membership and inclusive ranges reduce to the scalar operators
+  if (op === "in" || op === "not in") {
+    const hit = (Array.isArray(rhs) ? rhs : [rhs]).some(x => compareValue(ruleset, field, "=", lhs, x));
+    return op === "in" ? hit : !hit;
+  }
+  if (op === "between") {
+    if (!Array.isArray(rhs) || rhs.length !== 2) return false;
+    return compareValue(ruleset, field, ">=", lhs, rhs[0]) && compareValue(ruleset, field, "<=", lhs, rhs[1]);
+  }
+
+  // Handle ordinals if defined
+  const li = ordinalIndex(ruleset, field, lhs);
+  const ri = ordinalIndex(ruleset, field, rhs);
+  if (li !== null && ri !== null) {
+    switch (op) {
+      case ">=": return li >= ri;
+      case "<=": return li <= ri;
+      case ">":  return li > ri;
+      case "<":  return li < ri;
+      case "=":  return li === ri;
+      case "!=": return li !== ri;
+      default: return false;
+    }
+  }
+
+  // Numbers
+  if (typeof lhs === "number" && typeof rhs === "number") {
+    switch (op) {
+      case ">=": return lhs >= rhs;
+      case "<=": return lhs <= rhs;
+      case ">":  return lhs > rhs;
+      case "<":  return lhs < rhs;
+      case "=":  return lhs === rhs;
+      case "!=": return lhs !== rhs;
+      default: return false;
+    }
+  }
+
+  // Strings
+  const ls = String(lhs).toLowerCase();
+  const rs = String(rhs).toLowerCase();
+  switch (op) {
+    case "=":  return ls === rs;
+    case "!=": return ls !== rs;
+    default: return false;
+  }
+}
+
+// Condition trees (rules.json `if`):
+//   atomic := { field, op, value, raw?, type?: "atomic" }
+//   all    := { all: [node, ...] }   every child must hold
+//   any    := { any: [node, ...] }   at least one child must hold
+//   not    := { not: node }          child must not hold
+// A plain array at the top level is an implicit `all`.
+// Evaluation is three-valued: a missing field or unparsed condition yields
+// "unknown", which never counts as a match (and NOT unknown stays unknown).
+
+export function conditionKind(c) {
+  if (Array.isArray(c)) return "all";
+  if (c && Array.isArray(c.all)) return "all";
+  if (c && Array.isArray(c.any)) return "any";
+  if (c && c.not && typeof c.not === "object") return "not";
+  return "atomic";
+}
+
+export function describeCondition(c) {
+  const kind = conditionKind(c);
+  if (kind === "all") return "ALL";
+  if (kind === "any") return "ANY";
+  if (kind === "not") return "NOT";
+  const r = resolveCondition(c);
+  if (r && r.op === "between") return `${r.field} between ${r.value[0]} and ${r.value[1]}`;
+  if (r) return `${r.field} ${r.op} ${Array.isArray(r.value) ? `[${r.value.join(", ")}]` : r.value}`;
+  return c.raw || "(empty condition)";
+}
+
+export function evalCondition(ruleset, c, inputMap) {
+  const kind = conditionKind(c);
+
+  if (kind === "all" || kind === "any") {
+    const children = Array.isArray(c) ? c : c[kind];
+    const branches = children.map(x => evalCondition(ruleset, x, inputMap));
+    let status;
+    if (kind === "all") {
+      if (branches.some(b => b.status === "false")) status = "false";
+      else if (branches.some(b => b.status === "unknown")) status = "unknown";
+      else status = "true";
+    } else {
+      if (branches.some(b => b.status === "true")) status = "true";
+      else if (branches.some(b => b.status === "unknown")) status = "unknown";
+      else status = "false";
+    }
+    return { kind, label: describeCondition(c), status, branches };
+  }
+
+  if (kind === "not") {
+    const inner = evalCondition(ruleset, c.not, inputMap);
+    const status = inner.status === "unknown" ? "unknown" : (inner.status === "true" ? "false" : "true");
+    return { kind, label: describeCondition(c), status, branches: [inner] };
+  }
+
+  const label = describeCondition(c);
+  const resolved = resolveCondition(c);
+  if (!resolved) {
+    // Neither structured nor parseable from `raw`: cannot evaluate => unknown
+    return { kind, label, status: "unknown", reason: "Unparsed condition" };
+  }
+  const { field, op, value: rhs } = resolved;
+
+  if (!inputMap.has(field)) return { kind, label, status: "unknown", field, op, rhs, missing: field, reason: `Missing field: ${field}` };
+
+  const lhs = inputMap.get(field);
+  if (!compareValue(ruleset, field, op, lhs, rhs)) {
+    return { kind, label, status: "false", field, op, lhs, rhs, reason: `Condition failed: ${label}` };
+  }
+  return { kind, label, status: "true", field, op, lhs, rhs };
+}
+
+// First reason found along the branch that decided the outcome.
+function branchReason(node) {
+  if (node.reason) return node.reason;
+  for (const b of (node.branches || [])) {
+    if (node.kind === "not" || b.status === node.status) {
+      const r = branchReason(b);
+      if (r) return r;
+    }
+  }
+  return null;
+}
+
+// Atomic conditions along the branches that decided the outcome (the ones
+// branchReason would pick from, but all of them).
+function decidingAtoms(node, out = []) {
+  if (node.kind === "atomic") {
+    out.push(node);
+    return out;
+  }
+  for (const b of (node.branches || [])) {
+    if (node.kind === "not" || b.status === node.status) decidingAtoms(b, out);
+  }
+  return out;
+}
+
+// Explain-mode status of one rule evaluation:
+//   matched  - the condition tree held
+//   failed   - a condition was evaluated and decided against the rule
+//   missing  - could not be decided because inputs are absent (`missing` names them)
+//   unparsed - could not be decided because a condition cannot be read
+// `conditions` lists the deciding atomic conditions with field, op, lhs and rhs.
+export function explainBranch(branch) {
+  const atoms = decidingAtoms(branch);
+  const conditions = atoms.map(a => {
+    const c = { label: a.label, status: a.status };
+    for (const k of ["field", "op", "lhs", "rhs", "reason"]) if (a[k] !== undefined) c[k] = a[k];
+    return c;
+  });
+  if (branch.status === "true") return { status: "matched", conditions, missing: [] };
+  if (branch.status === "false") return { status: "failed", conditions, missing: [] };
+  const missing = [...new Set(atoms.filter(a => a.missing).map(a => a.missing))];
+  return { status: missing.length ? "missing" : "unparsed", conditions, missing };
+}
+
+export function ruleMatches(ruleset, rule, inputMap) {
+  const branch = evalCondition(ruleset, rule.if || [], inputMap);
+  if (branch.status === "true") return { matched: true, branch };
+  const reason = branchReason(branch) || (branch.kind === "not" ? "Negated condition held" : "Condition failed");
+  return { matched: false, reason, branch };
+}
+
+export function decide(ruleset, inputMap) {
+  const triggered = [];
+  const triggeredHard = [];
+  const triggeredSoft = [];
+  const evaluations = [];
+
+  for (const rule of (ruleset.rules || [])) {
+    const m = ruleMatches(ruleset, rule, inputMap);
+    evaluations.push({ id: rule.id, matched: m.matched, reason: m.reason || null, branch: m.branch, ...explainBranch(m.branch) });
+    if (m.matched) {
+      triggered.push(rule);
+      const level = String(rule.level || ruleset.defaults?.level || "hard").toLowerCase();
+      if (level === "soft") triggeredSoft.push(rule);
+      else triggeredHard.push(rule);
+    }
+  }
+
+  // Hard priority: any hard infeasible => NO
+  const hardInfeasible = triggeredHard.find(r => (r.then?.judgement || "").toLowerCase() === "infeasible");
+  if (hardInfeasible) return { ruleset, verdict: "NO", judgement: "Infeasible", rule: hardInfeasible, triggered, triggeredHard, triggeredSoft, evaluations };
+
+  // If any hard non-infeasible judgement exists, return that (first)
+  const hardOther = triggeredHard.find(r => (r.then?.judgement || "").toLowerCase() !== "infeasible");
+  if (hardOther) return { ruleset, verdict: "YES*", judgement: hardOther.then.judgement, rule: hardOther, triggered, triggeredHard, triggeredSoft, evaluations };
+
+  // Soft/advisory: does not change feasibility verdict, but reports flags
+  if (triggeredSoft.length) {
+    // pick first advisory as primary for display
+    const primary = triggeredSoft[0];
+    return {
+      ruleset,
+      verdict: "YES (ADVISORY)",
+      judgement: primary.then?.judgement || "Advisory flags present",
+      rule: primary,
+      triggered,
+      triggeredHard,
+      triggeredSoft,
+      evaluations
+    };
+  }
+
+  // Default
+  return { ruleset, verdict: "YES", judgement: "No hard infeasibility triggered", rule: null, triggered, triggeredHard, triggeredSoft, evaluations };
+}
+
+export function stableStringify(obj) {
+  // Deterministic JSON stringify for trace
+  const seen = new WeakSet();
+  const recur = (x) => {
+    if (x && typeof x === "object") {
+      if (seen.has(x)) return null;
+      seen.add(x);
+      if (Array.isArray(x)) return x.map(recur);
+      const keys = Object.keys(x).sort();
+      const out = {};
+      for (const k of keys) out[k] = recur(x[k]);
+      return out;
+    }
+    return x;
+  };
+  return JSON.stringify(recur(obj));
+}
+
+export function compactBranch(node) {
+  const out = { cond: node.label, status: node.status };
+  if (node.lhs !== undefined) out.lhs = node.lhs;
+  if (node.reason) out.reason = node.reason;
+  if (Array.isArray(node.branches)) out.branches = node.branches.map(compactBranch);
+  return out;
+}
+
+// Full pipeline over a ruleset object and input text. Returns a plain result
+// (no Map, no DOM); parser warnings are in `result.diagnostics`. Syntax errors
+// are thrown as SSELangSyntaxError.
+export function evaluate(ruleset, text) {
+  const parsed = parseInput(text, ruleset);
+  const { map, derivations } = deriveInput(parsed.map, ruleset);
+  const result = decide(ruleset, map);
+  result.derivations = derivations;
+  result.diagnostics = parsed.diagnostics;
+  result.input = Object.fromEntries(map);
+  return result;
+}
@@ -0,0 +1,141 @@
+// Import panel on the check page: read a CSV / JSON table, preview and adjust
+// the column -> field mapping, then add the rows to the workspace or export
+// the table with verdict columns. Parsing and mapping live in importer.mjs.
+
+import { parseTable, buildMapping, mappableFields, tableToCandidates, evaluateCandidates, exportCsv } from "./importer.mjs";
+
+function esc(s) {
+  return String(s)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+// getRuleset: async () => ruleset for the selected version
+// workspace: the object returned by setupWorkspace (needs addCandidates)
+export function setupImport({ getRuleset, workspace }) {
+  const root = document.getElementById("import");
+  if (!root) return null;
+  const fileEl = document.getElementById("importFile");
+  const textEl = document.getElementById("importText");
+  const mappingEl = document.getElementById("importMapping");
+  const issuesEl = document.getElementById("importIssues");
+  const addBtn = document.getElementById("importAdd");
+  const exportBtn = document.getElementById("importExport");
+
+  let table = null;
+  let mapping = null;
+  let sourceName = "candidates";
+
+  function showError(title, message) {
+    mappingEl.innerHTML = `<div class="errbox"><div class="errtitle">${esc(title)}</div><div>${esc(message)}</div></div>`;
+    issuesEl.innerHTML = "";
+    addBtn.disabled = exportBtn.disabled = true;
+  }
+
+  async function renderMapping() {
+    const ruleset = await getRuleset();
+    const fields = mappableFields(ruleset);
+    const options = (m) => {
+      let html = `<option value="ignore"${m.role === "ignore" ? " selected" : ""}>— not imported —</option>`;
+      html += `<option value="name"${m.role === "name" ? " selected" : ""}>Candidate name</option>`;
+      const list = m.field && !fields.includes(m.field) ? [m.field, ...fields] : fields;
+      html += list.map(f => `<option value="field:${esc(f)}"${m.role === "field" && m.field === f ? " selected" : ""}>${esc(f)}</option>`).join("");
+      return html;
+    };
+    const samples = (j) => [...new Set(table.rows.map(r => r[j].trim()).filter(Boolean))].slice(0, 3).join(", ");
+    let html = `<div class="muted">${table.rows.length} row(s), ${table.columns.length} column(s) · ${esc(table.format.toUpperCase())} · ruleset v${esc(ruleset.version)}</div>`;
+    html += `<table class="difftable"><tr><th>Column</th><th>Maps to</th><th>Sample values</th></tr>`;
+    mapping.forEach((m, j) => {
+      const style = m.role === "ignore" ? ` style="color:#8a5300"` : "";
+      html += `<tr><td${style}><b>${esc(m.column)}</b>${m.role === "ignore" && m.reason ? `<div class="muted">${esc(m.reason)}</div>` : ""}</td>`;
+      html += `<td><select data-col="${j}">${options(m)}</select></td><td class="muted">${esc(samples(j))}</td></tr>`;
+    });
+    mappingEl.innerHTML = html + `</table>`;
+    renderIssues(ruleset);
+  }
+
+  function renderIssues(ruleset) {
+    const { candidates, issues } = tableToCandidates(table, mapping, ruleset);
+    addBtn.disabled = exportBtn.disabled = !candidates.length;
+    if (!issues.length) {
+      issuesEl.innerHTML = `<div class="muted">All columns mapped; all values known.</div>`;
+      return;
+    }
+    issuesEl.innerHTML = `<div class="muted">${issues.length} issue(s). Unknown values are imported as written and usually leave rules undecided.</div>` +
+      `<ul class="diagnostics">${issues.map(i => `<li class="diag-item-warning">${esc(i.message)}</li>`).join("")}</ul>`;
+  }
+
+  async function load(text, name) {
+    try {
+      table = parseTable(text);
+    } catch (err) {
+      table = mapping = null;
+      showError("Cannot read the table", err.message);
+      return;
+    }
+    if (!table.rows.length) {
+      showError("Cannot read the table", "The table has a header but no rows");
+      table = null;
+      return;
+    }
+    sourceName = (name || "candidates").replace(/\.[^.]+$/, "");
+    mapping = buildMapping(table.columns, await getRuleset());
+    await renderMapping();
+  }
+
+  fileEl.addEventListener("change", async () => {
+    const file = fileEl.files && fileEl.files[0];
+    fileEl.value = "";
+    if (!file) return;
+    const text = await file.text();
+    textEl.value = text;
+    await load(text, file.name);
+  });
+
+  document.getElementById("importParse").addEventListener("click", () => load(textEl.value, "candidates"));
+
+  mappingEl.addEventListener("change", async (ev) => {
+    const sel = ev.target.closest("select[data-col]");
+    if (!sel) return;
+    const j = Number(sel.dataset.col);
+    const v = sel.value;
+    // Only one name column; picking a new one demotes the old.
+    if (v === "name") mapping.forEach(m => { if (m.role === "name") Object.assign(m, { role: "ignore", field: null, reason: "not imported" }); });
+    mapping[j] = v.startsWith("field:")
+      ? { column: mapping[j].column, role: "field", field: v.slice(6), reason: "" }
+      : { column: mapping[j].column, role: v, field: null, reason: v === "ignore" ? "not imported" : "" };
+    await renderMapping();
+  });
+
+  addBtn.addEventListener("click", async () => {
+    if (!table || !workspace) return;
+    const { candidates } = tableToCandidates(table, mapping, await getRuleset());
+    await workspace.addCandidates(candidates);
+    document.getElementById("workspace").scrollIntoView({ behavior: "smooth", block: "start" });
+  });
+
+  exportBtn.addEventListener("click", async () => {
+    if (!table) return;
+    const ruleset = await getRuleset();
+    const { candidates } = tableToCandidates(table, mapping, ruleset);
+    const csv = exportCsv(table, await evaluateCandidates(ruleset, candidates), ruleset.version);
+    const blob = new Blob([csv], { type: "text/csv" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${sourceName}-sse-v${ruleset.version}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+  });
+
+  // Re-map against the newly selected ruleset (fields and values may differ).
+  async function refresh() {
+    if (!table) return;
+    mapping = buildMapping(table.columns, await getRuleset());
+    await renderMapping();
+  }
+
+  return { refresh };
+}
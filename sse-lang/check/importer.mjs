@@ -0,0 +1,285 @@
+// Candidate import: CSV / JSON tables turned into one SSE-Lang program per row.
+//
+// Column names are matched against the ruleset's field names and aliases
+// ignoring case, spaces, "_", "-" and "." ("ion_path_dimensionality" and
+// "Ion Path Dimensionality" both map to the same field); "Rating.<Attr>" /
+// "rating_<attr>" columns map to rating inputs. One id / name column labels
+// the candidates. Cell values are written the way the editor would complete
+// them ("#3D", "reliability.partial", "rating.major"); values a field does not
+// know are kept but reported, like the editor's unknown-value warning.
+//
+// Accepted input: CSV (",", ";" or tab separated, RFC 4180 quoting, optional
+// header BOM), a JSON array of objects, { "rows": [...] } / { "candidates": [...] },
+// or JSON Lines.
+
+import { evaluate, ordinalScale } from "./engine.mjs";
+import { buildLanguageIndex, canonicalKey, valuesFor, valueSpelling } from "./language.mjs";
+import { buildTraceRecord } from "./trace.mjs";
+
+const NAME_COLUMNS = ["id", "name", "candidate", "candidatename", "candidateid", "material", "materialname", "sample", "label"];
+
+// Appended on export; ignored when an exported file is imported again.
+export const RESULT_COLUMNS = ["sse_ruleset", "sse_verdict", "sse_judgement", "sse_triggered_hard", "sse_triggered_soft", "sse_trace_id"];
+
+function norm(s) {
+  return String(s).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  let best = ",";
+  let bestCount = 0;
+  for (const d of [",", ";", "\t"]) {
+    let n = 0;
+    let quoted = false;
+    for (const c of firstLine) {
+      if (c === '"') quoted = !quoted;
+      else if (c === d && !quoted) n++;
+    }
+    if (n > bestCount) { best = d; bestCount = n; }
+  }
+  return best;
+}
+
+// RFC 4180 records; quoted cells may contain delimiters, quotes ("") and newlines.
+export function parseCsv(text, delimiter) {
+  const src = String(text).replace(/^﻿/, "");
+  const d = delimiter || detectDelimiter(src);
+  const records = [];
+  let record = [];
+  let cell = "";
+  let quoted = false;
+  let i = 0;
+  while (i < src.length) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { cell += '"'; i += 2; continue; }
+      if (c === '"') { quoted = false; i++; continue; }
+      cell += c;
+      i++;
+      continue;
+    }
+    if (c === '"' && cell === "") { quoted = true; i++; continue; }
+    if (c === d) { record.push(cell); cell = ""; i++; continue; }
+    if (c === "\r" || c === "\n") {
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = "";
+      i += c === "\r" && src[i + 1] === "\n" ? 2 : 1;
+      continue;
+    }
+    cell += c;
+    i++;
+  }
+  if (quoted) throw new Error("CSV ends inside a quoted cell (missing closing \")");
+  if (cell !== "" || record.length) {
+    record.push(cell);
+    records.push(record);
+  }
+  return records.filter(r => r.some(c => c.trim() !== ""));
+}
+
+function cellText(v) {
+  if (v === null || v === undefined) return "";
+  if (typeof v === "object") return JSON.stringify(v);
+  return String(v);
+}
+
+function tableFromObjects(objects) {
+  const columns = [];
+  for (const [i, o] of objects.entries()) {
+    if (!o || typeof o !== "object" || Array.isArray(o)) throw new Error(`Row #${i + 1} is not a JSON object`);
+    for (const k of Object.keys(o)) if (!columns.includes(k)) columns.push(k);
+  }
+  return { format: "json", columns, rows: objects.map(o => columns.map(c => cellText(o[c]))), issues: [] };
+}
+
+// Returns { format: "csv" | "json", columns, rows: string[][], issues }.
+// Throws Error when the text is neither valid CSV nor valid JSON.
+export function parseTable(text) {
+  const src = String(text || "").replace(/^﻿/, "").trim();
+  if (!src) throw new Error("Nothing to import");
+  if (src.startsWith("[") || src.startsWith("{")) {
+    let data;
+    try {
+      data = JSON.parse(src);
+    } catch (err) {
+      // JSON Lines: one object per line.
+      const lines = src.split(/\r?\n/).filter(l => l.trim());
+      try {
+        data = lines.map(l => JSON.parse(l));
+      } catch (_) {
+        throw new Error(`Invalid JSON: ${err.message}`);
+      }
+    }
+    if (!Array.isArray(data)) data = data.rows || data.candidates || [data];
+    if (!Array.isArray(data)) throw new Error("JSON must be an array of objects, or { \"rows\": [...] }");
+    return tableFromObjects(data);
+  }
+
+  const records = parseCsv(src);
+  const [header, ...body] = records;
+  const columns = header.map(h => h.trim());
+  const issues = [];
+  const rows = body.map((r, i) => {
+    if (r.length > columns.length) {
+      issues.push({ row: i + 1, column: null, code: "extra-cells", message: `Row ${i + 1} has ${r.length} cells; the header has ${columns.length}. Extra cells are ignored.` });
+    }
+    return columns.map((_, j) => r[j] ?? "");
+  });
+  return { format: "csv", columns, rows, issues };
+}
+
+// How a field's key is written: the first alias that is a plain identifier.
+function keySpelling(index, field) {
+  if (/^rating\./i.test(field)) return field;
+  const item = index.keyItems.find(k => k.canonical === field && !/\s/.test(k.insert));
+  return item ? item.insert : null;
+}
+
+// Fields a column can be mapped to (canonical names), for the override picker.
+export function mappableFields(ruleset) {
+  const index = buildLanguageIndex(ruleset);
+  return [...new Set(index.keyItems.map(k => k.canonical))].filter(f => keySpelling(index, f));
+}
+
+// One entry per column: { column, role: "name" | "field" | "ignore", field, reason }.
+// `field` is canonical (or "Rating.<Attr>"); `reason` explains "ignore".
+export function buildMapping(columns, ruleset) {
+  const index = buildLanguageIndex(ruleset);
+  const byNorm = new Map();
+  for (const k of index.keyItems) if (!byNorm.has(norm(k.label))) byNorm.set(norm(k.label), k.canonical);
+  for (const canon of Object.keys(ruleset.aliases || {})) if (!byNorm.has(norm(canon))) byNorm.set(norm(canon), canon);
+
+  let nameTaken = false;
+  const taken = new Set();
+  return columns.map(column => {
+    const n = norm(column);
+    if (RESULT_COLUMNS.includes(String(column).toLowerCase())) return { column, role: "ignore", field: null, reason: "result column from an earlier export" };
+    const rating = /^rating[\s._-]+([A-Za-z][A-Za-z0-9_\- ]*)$/i.exec(String(column).trim());
+    let field = rating ? `Rating.${rating[1].replace(/[\s\-]+/g, "_")}` : byNorm.get(n) || null;
+    if (field && !keySpelling(index, field)) field = null;
+    if (field) {
+      if (taken.has(field.toLowerCase())) return { column, role: "ignore", field: null, reason: `${field} is already mapped from another column` };
+      taken.add(field.toLowerCase());
+      return { column, role: "field", field, reason: "" };
+    }
+    if (!nameTaken && NAME_COLUMNS.includes(n)) {
+      nameTaken = true;
+      return { column, role: "name", field: null, reason: "" };
+    }
+    return { column, role: "ignore", field: null, reason: "no matching field or alias" };
+  });
+}
+
+// Value as SSE-Lang source, plus whether the field knows it.
+function spellValue(index, field, raw) {
+  const text = raw.replace(/[\r\n]+/g, " ").trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return { source: text, known: !valuesFor(index, field).length };
+  const known = valuesFor(index, field);
+  // Accept what the editor writes too: "#3D", "reliability.partial".
+  const bare = text.replace(/^#/, "");
+  const tail = bare.includes(".") ? bare.slice(bare.lastIndexOf(".") + 1) : bare;
+  const hit = known.find(v => v.toLowerCase() === bare.toLowerCase()) || known.find(v => v.toLowerCase() === tail.toLowerCase());
+  const ordinal = !!ordinalScale(index.ruleset, field);
+  if (hit) return { source: valueSpelling(field, hit, ordinal), known: true };
+  return { source: valueSpelling(field, bare, false), known: !known.length };
+}
+
+// Returns { candidates: [{ name, input, row }], issues: [{ row, column, code, message }] }.
+// Unmapped columns are reported once; unknown values once per cell.
+export function tableToCandidates(table, mapping, ruleset) {
+  const index = buildLanguageIndex(ruleset);
+  const issues = [...(table.issues || [])];
+  for (const m of mapping) {
+    if (m.role === "ignore") issues.push({ row: null, column: m.column, code: "unmapped-column", message: `Column "${m.column}" is not imported (${m.reason || "ignored"})` });
+  }
+  const nameCol = mapping.findIndex(m => m.role === "name");
+  const names = new Set();
+  const candidates = table.rows.map((cells, r) => {
+    const row = r + 1;
+    const label = nameCol >= 0 && cells[nameCol].trim() ? cells[nameCol].trim().replace(/\s+/g, " ") : `Row ${row}`;
+    let name = label;
+    for (let i = 2; names.has(name); i++) name = `${label} (${i})`;
+    names.add(name);
+    const lines = [`// ${name} (row ${row})`];
+    mapping.forEach((m, j) => {
+      if (m.role !== "field" || !String(cells[j]).trim()) return;
+      const field = canonicalKey(index, m.field);
+      const { source, known } = spellValue(index, field, String(cells[j]));
+      if (!known) {
+        const list = valuesFor(index, field).map(v => v.toLowerCase()).join(", ");
+        issues.push({ row, column: m.column, code: "unknown-value", message: `Row ${row}: '${cells[j].trim()}' is not a known value for ${field} (${list})` });
+      }
+      lines.push(`${keySpelling(index, field)}: ${source};`);
+    });
+    lines.push("CHECK;");
+    return { name, input: lines.join("\n") + "\n", row };
+  });
+  return { candidates, issues };
+}
+
+// One record of { field or alias: value } as an SSE-Lang program, keys and
+// values mapped as for an imported row (e.g. the legacy "fields" lines of
+// sse-check --jsonl). Returns { input, issues } with issues as in
+// tableToCandidates.
+export function fieldsToProgram(fields, ruleset) {
+  const columns = Object.keys(fields);
+  const table = { columns, rows: [columns.map(c => String(fields[c] ?? ""))] };
+  const { candidates, issues } = tableToCandidates(table, buildMapping(columns, ruleset), ruleset);
+  // Drop the "// Row 1 (row 1)" label line; the caller has its own ID.
+  return { input: candidates[0].input.replace(/^\/\/.*\n/, ""), issues };
+}
+
+// Evaluates imported candidates; one result per candidate (same order).
+//   { verdict, judgement, triggered_hard, triggered_soft, trace_id, error }
+export async function evaluateCandidates(ruleset, candidates) {
+  const out = [];
+  for (const c of candidates) {
+    try {
+      const result = evaluate(ruleset, c.input);
+      const trace = await buildTraceRecord(ruleset, c.input, result);
+      out.push({
+        verdict: result.verdict,
+        judgement: result.judgement,
+        triggered_hard: result.triggeredHard.map(r => r.id),
+        triggered_soft: result.triggeredSoft.map(r => r.id),
+        trace_id: trace.trace_id,
+        error: null
+      });
+    } catch (err) {
+      out.push({ verdict: "SYNTAX ERROR", judgement: "", triggered_hard: [], triggered_soft: [], trace_id: "", error: err && err.message ? err.message.split("\n")[0] : String(err) });
+    }
+  }
+  return out;
+}
+
+// One CSV cell. Text a spreadsheet would run as a formula (starting with
+// "=", "+", "-", "@", tab or CR) gets a leading "'"; plain numbers such as
+// "-1.5" are left alone. Shared with the sse-check CLI.
+export function csvCell(v) {
+  let s = String(v ?? "");
+  if (/^[=+\-@\t\r]/.test(s) && !/^[+-]?\d+(\.\d+)?$/.test(s)) s = "'" + s;
+  return /[",\r\n]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+}
+
+// The imported table with RESULT_COLUMNS appended (comma-separated, CRLF).
+// Result columns already present in the table are replaced.
+export function exportCsv(table, results, rulesetVersion) {
+  const keep = table.columns.map((c, j) => RESULT_COLUMNS.includes(String(c).toLowerCase()) ? -1 : j).filter(j => j >= 0);
+  const lines = [[...keep.map(j => table.columns[j]), ...RESULT_COLUMNS]];
+  table.rows.forEach((cells, i) => {
+    const r = results[i] || {};
+    lines.push([
+      ...keep.map(j => cells[j]),
+      rulesetVersion || "",
+      r.verdict || "",
+      r.error || r.judgement || "",
+      (r.triggered_hard || []).join(" "),
+      (r.triggered_soft || []).join(" "),
+      r.trace_id || ""
+    ]);
+  });
+  return lines.map(l => l.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,193 @@
+// SSE-Lang language service for the check page editor: completion, live
+// diagnostics and hover docs. Pure functions over (text, offset, ruleset);
+// everything it knows about fields and values comes from rules.json.
+
+import { scanSSE, parseSSELangProgram, conditionKind, describeCondition, ordinalScale, resolveCondition } from "./engine.mjs";
+
+const IDENT_RE = /^[A-Za-z_][A-Za-z0-9_\-]*$/;
+
+function atomsOf(node, out = []) {
+  const kind = conditionKind(node);
+  if (kind === "atomic") out.push(node);
+  else if (kind === "not") atomsOf(node.not, out);
+  else for (const c of (Array.isArray(node) ? node : node[kind])) atomsOf(c, out);
+  return out;
+}
+
+// Builds lookup tables once per ruleset: key spellings, known values and the
+// rules referencing each canonical field.
+export function buildLanguageIndex(ruleset) {
+  const keyToCanonical = new Map(); // lower-case spelling -> canonical
+  const keyItems = [];              // { label, insert, canonical }
+  const addKey = (spelling, canonical) => {
+    keyToCanonical.set(spelling.toLowerCase(), canonical);
+    if (IDENT_RE.test(spelling.replace(/\./g, "_"))) keyItems.push({ label: spelling, insert: spelling, canonical });
+  };
+  for (const [canon, alist] of Object.entries(ruleset.aliases || {})) {
+    addKey(canon, canon);
+    for (const a of (alist || [])) addKey(String(a), canon);
+  }
+
+  const values = new Map();     // canonical -> Set of values (original case)
+  const references = new Map(); // canonical -> [{ id, name, condition }]
+  const addValue = (field, v) => {
+    if (v === undefined || v === null || v === "") return;
+    if (!values.has(field)) values.set(field, new Set());
+    values.get(field).add(String(v));
+  };
+  for (const rule of (ruleset.rules || [])) {
+    for (const atom of atomsOf(rule.if || [])) {
+      const c = resolveCondition(atom);
+      if (!c) continue;
+      const field = keyToCanonical.get(String(c.field).toLowerCase()) || c.field;
+      for (const v of (Array.isArray(c.value) ? c.value : [c.value])) if (typeof v !== "number") addValue(field, v);
+      if (!references.has(field)) references.set(field, []);
+      references.get(field).push({ id: rule.id, name: rule.name || rule.then?.judgement || "", condition: describeCondition(atom) });
+      if (/^rating\./i.test(field) && !keyToCanonical.has(field.toLowerCase())) addKey(field, field);
+    }
+  }
+  return { ruleset, keyToCanonical, keyItems, values, references };
+}
+
+export function canonicalKey(index, key) {
+  const k = String(key || "");
+  return index.keyToCanonical.get(k.toLowerCase()) || k;
+}
+
+function knownKey(index, key) {
+  return index.keyToCanonical.has(String(key).toLowerCase()) || /^rating\.[A-Za-z_]/i.test(key);
+}
+
+export function valuesFor(index, canonical) {
+  // Scale order first; spellings used in rules (e.g. "3D") take precedence.
+  const out = new Map();
+  const f = canonical.toLowerCase();
+  for (const [k, scale] of Object.entries(index.ruleset.ordinal_scales || {})) {
+    const hit = k.endsWith(".*") ? f.startsWith(k.slice(0, -1).toLowerCase()) : k.toLowerCase() === f;
+    if (hit) for (const v of scale) out.set(String(v).toLowerCase(), String(v));
+  }
+  for (const v of (index.values.get(canonical) || [])) out.set(v.toLowerCase(), v);
+  return [...out.values()];
+}
+
+// How a value is written in SSE-Lang: "#3D" for symbols that start with a
+// digit, "reliability.partial" style for ordinal levels, plain identifiers
+// otherwise, quoted strings as a last resort.
+export function valueSpelling(canonical, v, ordinal) {
+  if (/^[0-9]/.test(v) && /^[A-Za-z0-9_\-]+$/.test(v)) return `#${v}`;
+  if (IDENT_RE.test(v)) {
+    if (!ordinal) return v;
+    const words = canonical.split(/[\s.]+/).filter(Boolean);
+    const prefix = /^rating\./i.test(canonical) ? "rating" : words[words.length - 1].toLowerCase();
+    return `${prefix}.${v.toLowerCase()}`;
+  }
+  return JSON.stringify(v);
+}
+
+// Reads a (possibly dotted) key starting at toks[k]; returns { key, next, tokens }.
+function readDotted(toks, k) {
+  const parts = [toks[k]];
+  let j = k + 1;
+  while (toks[j] && toks[j].type === "DOT" && toks[j + 1] && toks[j + 1].type === "IDENT") {
+    parts.push(toks[j], toks[j + 1]);
+    j += 2;
+  }
+  const key = parts.filter(t => t.type === "IDENT").map(t => t.value).join(".");
+  return { key, next: j, tokens: parts };
+}
+
+// Live diagnostics: everything the engine parser reports (all syntax errors,
+// unknown fields, duplicate keys) plus values that are not known for a field.
+// Same shape as the parser's: { severity, code, message, line, column, span, fix? }.
+export function diagnose(text, index) {
+  const { diagnostics, assignments } = parseSSELangProgram(text, index.ruleset);
+  const out = [...diagnostics];
+
+  for (const a of assignments) {
+    if (a.kind === "NUMBER" || a.kind === "STRING" || !knownKey(index, a.key)) continue;
+    const known = valuesFor(index, a.field);
+    if (!known.length || known.some(v => v.toLowerCase() === String(a.value))) continue;
+    const loc = lineCol(text, a.valueSpan.start);
+    out.push({
+      severity: "warning",
+      code: "unknown-value",
+      message: `'${a.value}' is not a known value for ${a.field} (${known.map(v => v.toLowerCase()).join(", ")})`,
+      line: loc.line,
+      column: loc.col,
+      span: a.valueSpan
+    });
+  }
+
+  return out.sort((a, b) => a.span.start - b.span.start);
+}
+
+function lineCol(text, offset) {
+  const before = String(text).slice(0, offset).split("\n");
+  return { line: before.length, col: before[before.length - 1].length + 1 };
+}
+
+// Completion at `offset`: returns { from, to, items: [{ label, insert, detail }] }.
+export function completionsAt(text, offset, index) {
+  const src = String(text || "");
+  let from = offset;
+  while (from > 0 && /[A-Za-z0-9_\-.#]/.test(src[from - 1])) from--;
+  const typed = src.slice(from, offset);
+
+  // Find where the current statement starts: after the last ';' before `from`.
+  const before = src.slice(0, from).replace(/\/\/[^\n]*/g, m => " ".repeat(m.length));
+  const stmt = before.slice(before.lastIndexOf(";") + 1);
+  const opMatch = /([A-Za-z_][A-Za-z0-9_\-.]*)\s*[:=]\s*$/.exec(stmt);
+
+  let items = [];
+  if (opMatch) {
+    const canonical = canonicalKey(index, opMatch[1]);
+    const ordinal = !!ordinalScale(index.ruleset, canonical);
+    items = valuesFor(index, canonical).map(v => ({
+      label: valueSpelling(canonical, v, ordinal),
+      insert: valueSpelling(canonical, v, ordinal) + ";",
+      detail: canonical
+    }));
+  } else if (!stmt.trim()) {
+    items = index.keyItems.map(k => ({
+      label: k.insert,
+      insert: `${k.insert}: `,
+      detail: k.canonical === k.insert ? "field" : `→ ${k.canonical}`
+    }));
+    items.push({ label: "Rating.", insert: "Rating.", detail: "rating field prefix" });
+    items.push({ label: "CHECK", insert: "CHECK;", detail: "query" });
+  }
+
+  const t = typed.toLowerCase();
+  const seen = new Set();
+  items = items.filter(it => {
+    if (seen.has(it.label)) return false;
+    seen.add(it.label);
+    return !t || it.label.toLowerCase().startsWith(t) || it.label.toLowerCase().replace(/^[#"]/, "").includes(t.replace(/^#/, ""));
+  });
+  return { from, to: offset, items };
+}
+
+// Hover docs for the key under `offset`: { from, to, canonical, rules }, or null.
+export function hoverAt(text, offset, index) {
+  const { tokens } = scanSSE(text);
+  const k = tokens.findIndex(t => t.type === "IDENT" && t.loc.index <= offset && offset < t.end);
+  if (k < 0) return null;
+  // Walk back over a dotted key (Rating.Stability) and make sure this is a key, not a value.
+  let s = k;
+  while (s >= 2 && tokens[s - 1].type === "DOT" && tokens[s - 2].type === "IDENT") s -= 2;
+  const prev = tokens[s - 1];
+  if (prev && prev.type !== "SEMI") return null;
+  const { key, next } = readDotted(tokens, s);
+  const canonical = canonicalKey(index, key);
+  const aliases = (index.ruleset.aliases || {})[canonical] || [];
+  return {
+    from: tokens[s].loc.index,
+    to: tokens[next - 1].end,
+    key,
+    canonical,
+    known: knownKey(index, key),
+    aliases,
+    scale: ordinalScale(index.ruleset, canonical),
+    rules: index.references.get(canonical) || []
+  };
+}
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+// lint-rules — standalone ruleset check for rule authors.
+//
+// Usage:
+//   node sse-lang/check/lint-rules.mjs [rules.json ...]
+//
+// With no arguments, every ruleset in rulesets/index.json is checked.
+// Exit code: 0 clean or warnings only · 1 errors found · 2 file could not be read.
+
+import { readFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { validateRuleset } from "./validate.mjs";
+
+function targets(argv) {
+  if (argv.length) return argv;
+  const registryPath = fileURLToPath(new URL("./rulesets/index.json", import.meta.url));
+  const registry = JSON.parse(readFileSync(registryPath, "utf8"));
+  return (registry.rulesets || []).map(r => join(dirname(registryPath), r.file));
+}
+
+let exitCode = 0;
+for (const file of targets(process.argv.slice(2))) {
+  let ruleset;
+  try {
+    ruleset = JSON.parse(readFileSync(file, "utf8"));
+  } catch (e) {
+    process.stderr.write(`${file}: cannot read (${e.message})\n`);
+    exitCode = 2;
+    continue;
+  }
+  const findings = validateRuleset(ruleset);
+  const errors = findings.filter(f => f.severity === "error").length;
+  process.stdout.write(`${file} (v${ruleset.version}): ${errors} error(s), ${findings.length - errors} warning(s)\n`);
+  for (const f of findings) {
+    process.stdout.write(`  ${f.severity.padEnd(7)} ${(f.rule || "-").padEnd(8)} ${f.code.padEnd(16)} ${f.message}\n`);
+  }
+  if (errors && exitCode === 0) exitCode = 1;
+}
+process.exitCode = exitCode;
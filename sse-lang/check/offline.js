@@ -0,0 +1,72 @@
+// Offline mode for the check page: registers /sse-lang/sw.js, shows which
+// ruleset files are cached and offers a reload when the service worker reports
+// that rules.json (or another ruleset file) changed on the server.
+
+const SW_URL = "/sse-lang/sw.js";
+const SW_SCOPE = "/sse-lang/";
+
+function esc(s) {
+  return String(s)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+function fileName(path) {
+  return path.replace(/^\/sse-lang\/check\//, "");
+}
+
+// { cache, rulesets: [{ url, version, cached_at }] } from the active worker, or null.
+function askStatus(worker) {
+  return new Promise(resolve => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => resolve(null), 3000);
+    channel.port1.onmessage = (ev) => { clearTimeout(timer); resolve(ev.data); };
+    worker.postMessage({ type: "status" }, [channel.port2]);
+  });
+}
+
+export function setupOffline() {
+  const el = document.getElementById("offline");
+  if (!el || !("serviceWorker" in navigator)) return;
+  const updates = new Map(); // path -> version
+
+  async function render() {
+    const reg = await navigator.serviceWorker.getRegistration(SW_SCOPE);
+    const status = reg && reg.active ? await askStatus(reg.active) : null;
+    let html = "";
+    if (!navigator.onLine) html += `<b>Offline</b> — using cached rules. `;
+    if (status && status.rulesets.length) {
+      const items = status.rulesets
+        .filter(r => r.version)
+        .map(r => `v${esc(r.version)} <span title="${esc(fileName(r.url))}">(${esc(r.cached_at ? r.cached_at.slice(0, 16).replace("T", " ") : "cached")})</span>`);
+      html += `Available offline · cached rulesets: ${items.join(", ") || "registry only"}`;
+    } else {
+      html += navigator.onLine ? "Preparing offline copy…" : "No offline copy yet — open this page once while online.";
+    }
+    if (updates.size) {
+      const list = [...updates].map(([path, v]) => v ? `v${esc(v)} (${esc(fileName(path))})` : esc(fileName(path))).join(", ");
+      html += `<div class="errbox" style="margin-top:6px; border-color:#ffe2b8; background:#fffaf0">` +
+        `A newer ruleset is available: ${list}. The page still uses the copy it loaded. ` +
+        `<button type="button" id="offlineReload" style="padding:2px 8px; font-size:12px">Reload</button></div>`;
+    }
+    el.innerHTML = html;
+  }
+
+  navigator.serviceWorker.addEventListener("message", (ev) => {
+    if (!ev.data || ev.data.type !== "rules-updated") return;
+    updates.set(ev.data.url, ev.data.version);
+    render();
+  });
+  el.addEventListener("click", (ev) => {
+    if (ev.target.closest("#offlineReload")) location.reload();
+  });
+  window.addEventListener("online", render);
+  window.addEventListener("offline", render);
+
+  navigator.serviceWorker.register(SW_URL, { scope: SW_SCOPE })
+    .then(() => navigator.serviceWorker.ready)
+    .then(render)
+    .catch(err => { el.textContent = `Offline mode unavailable: ${err.message}`; });
+}
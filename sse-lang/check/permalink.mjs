@@ -0,0 +1,55 @@
+// Permalinks: program text and ruleset version in the URL fragment, e.g.
+//   /sse-lang/check/#ruleset=0.2&program=SW9uUGF0aERpbWVuc2lvbmFsaXR5OiAjM0Q7IENIRUNLOw
+// `program` is the UTF-8 text, base64url-encoded without padding. The fragment
+// never reaches the server, so shared inputs stay out of access logs.
+
+export const CHECK_PAGE = "/sse-lang/check/";
+export const EMBED_PAGE = "/sse-lang/check/embed/";
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replaceAll("+", "-").replaceAll("/", "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(s) {
+  const bin = atob(s.replaceAll("-", "+").replaceAll("_", "/"));
+  return new TextDecoder("utf-8", { fatal: true }).decode(Uint8Array.from(bin, c => c.charCodeAt(0)));
+}
+
+export function encodePermalink({ text, ruleset }) {
+  const params = new URLSearchParams();
+  if (ruleset) params.set("ruleset", String(ruleset));
+  params.set("program", toBase64Url(String(text || "")));
+  return "#" + params.toString();
+}
+
+// Returns { text, ruleset } (ruleset may be null), or null when the fragment
+// carries no program. Throws Error when `program` is not valid base64url UTF-8.
+export function decodePermalink(hash) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  const program = params.get("program");
+  if (program === null) return null;
+  let text;
+  try {
+    text = fromBase64Url(program);
+  } catch (_) {
+    throw new Error("The link's program text is damaged (not valid base64url UTF-8)");
+  }
+  return { text, ruleset: params.get("ruleset") };
+}
+
+export function permalinkUrl(origin, state) {
+  return new URL(CHECK_PAGE + encodePermalink(state), origin).href;
+}
+
+// Copy-paste snippets for the read-only result card.
+export function embedSnippets(origin, state) {
+  const fragment = encodePermalink(state);
+  const iframe = `<iframe src="${new URL(EMBED_PAGE + fragment, origin).href}" width="420" height="230" style="border:0" title="SSE-Lang check result" loading="lazy"></iframe>`;
+  const attr = (v) => String(v || "").replaceAll("&", "&amp;").replaceAll("\"", "&quot;").replaceAll("<", "&lt;");
+  const component = `<script type="module" src="${new URL("/sse-lang/check/embed.js", origin).href}"></script>\n` +
+    `<sse-check-result ruleset="${attr(state.ruleset)}" program="${attr(state.text)}"></sse-check-result>`;
+  return { iframe, component };
+}
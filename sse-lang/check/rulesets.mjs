@@ -0,0 +1,58 @@
+// Ruleset registry helpers (rulesets/index.json) and cross-version diffs.
+// Loading is left to the caller (fetch on the page, fs in the CLI); entry
+// files are resolved relative to the registry file's own location.
+
+import { evaluate } from "./engine.mjs";
+
+export const REGISTRY_PATH = "/sse-lang/check/rulesets/index.json";
+
+export function findRuleset(registry, version) {
+  const list = (registry && registry.rulesets) || [];
+  const want = String(version || registry?.default || "").replace(/^v/i, "");
+  return list.find(r => String(r.version) === want) || null;
+}
+
+export function rulesetUrl(entry, registryUrl) {
+  return new URL(entry.file, registryUrl).href;
+}
+
+function idSetDiff(before, after) {
+  const a = new Set(before);
+  const b = new Set(after);
+  return {
+    added: after.filter(id => !a.has(id)),
+    removed: before.filter(id => !b.has(id))
+  };
+}
+
+// Evaluates the same input text under two rulesets and reports what changed.
+// `left` is the baseline (e.g. the pinned version), `right` the comparison.
+export function diffEvaluations(left, right, text) {
+  const a = evaluate(left, text);
+  const b = evaluate(right, text);
+  const ids = (rules) => rules.map(r => r.id);
+
+  const derivedA = new Map(a.derivations.map(d => [d.name, d.value]));
+  const derivedB = new Map(b.derivations.map(d => [d.name, d.value]));
+  const derivations = [];
+  for (const name of new Set([...derivedA.keys(), ...derivedB.keys()])) {
+    const va = derivedA.get(name);
+    const vb = derivedB.get(name);
+    if (va !== vb) derivations.push({ name, left: va, right: vb });
+  }
+
+  const triggered = idSetDiff(ids(a.triggered), ids(b.triggered));
+  const verdictChanged = a.verdict !== b.verdict;
+  const judgementChanged = a.judgement !== b.judgement;
+  return {
+    left: { version: left.version, result: a },
+    right: { version: right.version, result: b },
+    verdictChanged,
+    judgementChanged,
+    triggered,
+    hard: idSetDiff(ids(a.triggeredHard), ids(b.triggeredHard)),
+    soft: idSetDiff(ids(a.triggeredSoft), ids(b.triggeredSoft)),
+    derivations,
+    changed: verdictChanged || judgementChanged || triggered.added.length > 0 || triggered.removed.length > 0 || derivations.length > 0
+  };
+}
@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+// sse-check — batch SSE-Lang checker on top of engine.mjs.
+//
+// Usage:
+//   node sse-lang/check/sse-check.mjs [options] <file.sse> [more.sse ...]
+//   node sse-lang/check/sse-check.mjs [options] --jsonl inputs.jsonl   (use "-" for stdin)
+//
+// Options:
+//   --ruleset <ver>    registry version from rulesets/index.json (default: the registry default)
+//   --rules <path>     explicit rules.json path (overrides --ruleset)
+//   --format <fmt>     stdout format: table (default), json, csv
+//   --json <path>      also write a JSON report
+//   --csv <path>       also write a CSV report
+//   --traces <dir>     also write one canonical trace record per input (<trace_id>.json)
+//   --quiet            do not print parser diagnostics to stderr
+//   --explain          per-rule breakdown (matched / failed / missing / unparsed) for every input
+//   --whatif           for NO / YES* inputs, the smallest sets of input changes that reach
+//                      YES or YES (ADVISORY); also recorded in the trace
+//   --max-changes <n>  largest change set --whatif tries (default 3)
+//   --help
+//
+// JSONL lines are either { "id": "...", "input": "<SSE-Lang text>" } or
+// { "id": "...", "fields": { "Key": "value", ... } } (legacy key/value input;
+// keys are field names or aliases, mapped as the import page maps columns,
+// and checked as the SSE-Lang program that mapping writes).
+//
+// Exit code is the worst outcome across all inputs:
+//   0 YES · 1 YES (ADVISORY) · 2 YES* · 3 NO · 4 syntax error · 5 usage / IO error
+
+import { mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { basename, dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { evaluate } from "./engine.mjs";
+import { buildTraceRecord } from "./trace.mjs";
+import { counterfactualsForText, TARGET_VERDICTS } from "./counterfactual.mjs";
+import { findRuleset } from "./rulesets.mjs";
+import { csvCell, fieldsToProgram } from "./importer.mjs";
+
+const EXIT = { "YES": 0, "YES (ADVISORY)": 1, "YES*": 2, "NO": 3, "SYNTAX": 4, "USAGE": 5 };
+
+function fail(msg) {
+  process.stderr.write(`sse-check: ${msg}\n`);
+  process.exit(EXIT.USAGE);
+}
+
+function readInputs(positionals, jsonlPath, ruleset) {
+  const inputs = [];
+  for (const file of positionals) {
+    inputs.push({ id: basename(file).replace(/\.sse$/i, ""), text: readFileSync(file, "utf8") });
+  }
+  if (jsonlPath) {
+    const raw = readFileSync(jsonlPath === "-" ? 0 : jsonlPath, "utf8");
+    raw.split(/\r?\n/).forEach((line, n) => {
+      if (!line.trim()) return;
+      let obj;
+      try { obj = JSON.parse(line); } catch (e) { fail(`${jsonlPath}:${n + 1}: invalid JSON (${e.message})`); }
+      const id = String(obj.id ?? `line-${n + 1}`);
+      if (typeof obj.input === "string") inputs.push({ id, text: obj.input });
+      else if (obj.fields && typeof obj.fields === "object") {
+        const { input, issues } = fieldsToProgram(obj.fields, ruleset);
+        inputs.push({ id, text: input, warnings: issues.map(i => ({ code: i.code, message: i.message.replace(/^Row \d+: /, "") })) });
+      } else fail(`${jsonlPath}:${n + 1}: expected "input" string or "fields" object`);
+    });
+  }
+  return inputs;
+}
+
+function compactDiagnostic(d) {
+  return { severity: d.severity, code: d.code, line: d.line, column: d.column, message: d.message };
+}
+
+function explainRows(result) {
+  return result.evaluations.map(e => ({
+    id: e.id,
+    status: e.status,
+    conditions: e.conditions.map(c => ({ label: c.label, status: c.status, lhs: c.lhs ?? null, rhs: c.rhs ?? null })),
+    missing: e.missing
+  }));
+}
+
+function toExplainText(rows) {
+  const fmt = (v) => v === null ? "(missing)" : (Array.isArray(v) ? `[${v.join(", ")}]` : String(v));
+  let out = "";
+  for (const r of rows) {
+    if (!r.explain) continue;
+    out += `\n${r.id}: ${r.verdict}\n`;
+    for (const e of r.explain) {
+      const why = e.status === "missing"
+        ? `needs ${e.missing.join(", ")}`
+        : e.conditions.map(c => c.lhs === null && c.rhs === null ? c.label : `${c.label} (input ${fmt(c.lhs)})`).join("; ");
+      out += `  ${e.id.padEnd(8)} ${e.status.padEnd(8)} ${why}\n`;
+    }
+  }
+  return out;
+}
+
+function toWhatIfText(rows) {
+  let out = "";
+  for (const r of rows) {
+    if (!r.whatif) continue;
+    out += `\n${r.id}: ${r.verdict} — ${r.whatif.length ? "smallest changes to pass:" : r.whatif_capped ? "no passing change found before the search limit" : "no passing change found"}\n`;
+    for (const s of r.whatif) {
+      out += `  ${s.changes.map(c => c.added ? `add ${c.field}: ${c.to}` : `${c.field}: ${c.from} -> ${c.to}`).join(" + ")}  => ${s.verdict}\n`;
+    }
+  }
+  return out;
+}
+
+async function checkOne(ruleset, item, explain, whatif) {
+  let result;
+  try {
+    result = evaluate(ruleset, item.text);
+  } catch (err) {
+    return {
+      id: item.id,
+      verdict: "SYNTAX ERROR",
+      judgement: "",
+      triggered_hard: [],
+      triggered_soft: [],
+      derivations: [],
+      trace_id: "",
+      error: err && err.message ? err.message.split("\n")[0] : String(err),
+      diagnostics: (err && err.diagnostics || []).map(compactDiagnostic)
+    };
+  }
+  if (whatif && !TARGET_VERDICTS.includes(result.verdict)) {
+    result.counterfactuals = counterfactualsForText(ruleset, item.text, { maxChanges: whatif });
+  }
+  const trace = await buildTraceRecord(ruleset, item.text, result);
+  // Non-enumerable so reports stay compact; written separately with --traces.
+  return Object.defineProperty({
+    id: item.id,
+    verdict: result.verdict,
+    judgement: result.judgement,
+    triggered_hard: result.triggeredHard.map(r => r.id),
+    triggered_soft: result.triggeredSoft.map(r => r.id),
+    derivations: result.derivations.map(d => ({ name: d.name, value: d.value })),
+    trace_id: trace.trace_id,
+    error: null,
+    diagnostics: result.diagnostics.map(compactDiagnostic),
+    ...(explain ? { explain: explainRows(result) } : {}),
+    ...(result.counterfactuals ? { whatif: result.counterfactuals.solutions.map(s => ({ changes: s.changes, verdict: s.verdict })) } : {}),
+    ...(result.counterfactuals && result.counterfactuals.capped ? { whatif_capped: true } : {})
+  }, "trace", { value: trace });
+}
+
+function exitCodeFor(row) {
+  return row.error ? EXIT.SYNTAX : (EXIT[row.verdict] ?? EXIT.USAGE);
+}
+
+function toCsv(rows) {
+  const header = ["id", "verdict", "judgement", "triggered_hard", "triggered_soft", "derivations", "trace_id", "error"];
+  const lines = [header.join(",")];
+  for (const r of rows) {
+    lines.push([
+      r.id,
+      r.verdict,
+      r.judgement,
+      r.triggered_hard.join(" "),
+      r.triggered_soft.join(" "),
+      r.derivations.map(d => `${d.name}=${d.value}`).join(" "),
+      r.trace_id,
+      r.error || ""
+    ].map(csvCell).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+function toTable(rows) {
+  const header = ["ID", "VERDICT", "JUDGEMENT", "HARD", "SOFT", "TRACE"];
+  const body = rows.map(r => [
+    r.id,
+    r.verdict,
+    r.error || r.judgement,
+    r.triggered_hard.join(",") || "-",
+    r.triggered_soft.join(",") || "-",
+    r.trace_id || "-"
+  ]);
+  const widths = header.map((h, i) => Math.max(h.length, ...body.map(b => String(b[i]).length)));
+  const fmt = (cells) => cells.map((c, i) => String(c).padEnd(widths[i])).join("  ").trimEnd();
+  return [fmt(header), ...body.map(fmt)].join("\n") + "\n";
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        rules: { type: "string" },
+        ruleset: { type: "string" },
+        format: { type: "string", default: "table" },
+        jsonl: { type: "string" },
+        json: { type: "string" },
+        csv: { type: "string" },
+        traces: { type: "string" },
+        quiet: { type: "boolean", short: "q" },
+        explain: { type: "boolean" },
+        whatif: { type: "boolean" },
+        "max-changes": { type: "string", default: "3" },
+        help: { type: "boolean", short: "h" }
+      }
+    });
+  } catch (e) {
+    fail(e.message);
+  }
+  const { values, positionals } = args;
+
+  if (values.help) {
+    const src = readFileSync(fileURLToPath(import.meta.url), "utf8");
+    process.stdout.write(src.split("\n").slice(1).filter(l => l.startsWith("//")).map(l => l.replace(/^\/\/ ?/, "")).join("\n") + "\n");
+    return;
+  }
+  if (!["table", "json", "csv"].includes(values.format)) fail(`unknown --format '${values.format}'`);
+  const maxChanges = Number(values["max-changes"]);
+  if (!Number.isInteger(maxChanges) || maxChanges < 1) fail(`--max-changes expects a positive integer, got '${values["max-changes"]}'`);
+  const whatif = values.whatif ? maxChanges : 0;
+  if (!positionals.length && !values.jsonl) fail("no inputs (pass .sse files or --jsonl <file|->); see --help");
+
+  let rulesPath = values.rules;
+  if (!rulesPath) {
+    const registryPath = fileURLToPath(new URL("./rulesets/index.json", import.meta.url));
+    let registry;
+    try { registry = JSON.parse(readFileSync(registryPath, "utf8")); } catch (e) { fail(`cannot load registry ${registryPath}: ${e.message}`); }
+    const entry = findRuleset(registry, values.ruleset);
+    if (!entry) fail(`unknown ruleset version '${values.ruleset}'`);
+    rulesPath = join(dirname(registryPath), entry.file);
+  }
+  let ruleset;
+  try { ruleset = JSON.parse(readFileSync(rulesPath, "utf8")); } catch (e) { fail(`cannot load rules from ${rulesPath}: ${e.message}`); }
+
+  let inputs;
+  try { inputs = readInputs(positionals, values.jsonl, ruleset); } catch (e) { fail(e.message); }
+
+  const rows = [];
+  for (const item of inputs) rows.push(await checkOne(ruleset, item, values.explain, whatif));
+  const report = {
+    ruleset: { spec: ruleset.spec, version: ruleset.version, source: ruleset.source },
+    results: rows
+  };
+
+  if (values.json) writeFileSync(values.json, JSON.stringify(report, null, 2) + "\n");
+  if (values.csv) writeFileSync(values.csv, toCsv(rows));
+  if (values.traces) {
+    mkdirSync(values.traces, { recursive: true });
+    for (const r of rows) {
+      if (r.trace) writeFileSync(join(values.traces, `${r.trace_id}.json`), JSON.stringify(r.trace, null, 2) + "\n");
+    }
+  }
+
+  // Every syntax error and warning, compiler-style: <id>:<line>:<col>: severity: message [code]
+  // (fields that could not be mapped: <id>: warning: message [code]).
+  if (!values.quiet) {
+    for (const item of inputs) {
+      for (const w of item.warnings || []) process.stderr.write(`${item.id}: warning: ${w.message} [${w.code}]\n`);
+    }
+    for (const r of rows) {
+      for (const d of r.diagnostics) process.stderr.write(`${r.id}:${d.line}:${d.column}: ${d.severity}: ${d.message} [${d.code}]\n`);
+    }
+  }
+
+  if (values.format === "json") process.stdout.write(JSON.stringify(report, null, 2) + "\n");
+  else if (values.format === "csv") process.stdout.write(toCsv(rows));
+  else process.stdout.write(toTable(rows) + (values.explain ? toExplainText(rows) : "") + toWhatIfText(rows));
+
+  process.exitCode = rows.reduce((worst, r) => Math.max(worst, exitCodeFor(r)), EXIT.YES);
+}
+
+main().catch(err => {
+  process.stderr.write(`sse-check: ${err && err.stack ? err.stack : err}\n`);
+  process.exit(EXIT.USAGE);
+});
@@ -0,0 +1,143 @@
+// SSE-Lang trace records: a canonical, reproducible account of one evaluation.
+//
+// A record is { trace_id, created_at, content, counterfactuals? }. Only
+// `content` is hashed:
+//   trace_id = "SSE-" + sha256(stableStringify(content))
+// so the same input under the same ruleset always yields the same ID, and
+// `created_at` can differ between runs without affecting it. So can
+// `counterfactuals`, the outcome of a what-if search, which only some callers
+// run (the check page always does for NO and YES*, the CLI with --whatif).
+// Uses WebCrypto (`crypto.subtle`), available in browsers and Node 18+.
+
+import { evaluate, stableStringify, compactBranch } from "./engine.mjs";
+import { counterfactualsForText } from "./counterfactual.mjs";
+
+export const TRACE_FORMAT = "sse-lang-trace/1";
+
+export async function sha256Hex(text) {
+  const enc = new TextEncoder().encode(text);
+  const buf = await crypto.subtle.digest("SHA-256", enc);
+  return Array.from(new Uint8Array(buf)).map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+export async function rulesetHash(ruleset) {
+  return "sha256:" + await sha256Hex(stableStringify(ruleset));
+}
+
+// Only the outcome of a what-if search is recorded, not its bookkeeping.
+function compactCounterfactuals(cf) {
+  return {
+    targets: cf.targets,
+    max_changes: cf.max_changes,
+    solutions: cf.solutions.map(s => ({ changes: s.changes, verdict: s.verdict })),
+    ...(cf.capped ? { capped: true } : {})
+  };
+}
+
+export async function buildTraceContent(ruleset, inputText, result) {
+  const content = {
+    format: TRACE_FORMAT,
+    input_text: String(inputText || ""),
+    input: result.input,
+    ruleset: {
+      spec: ruleset.spec,
+      version: ruleset.version,
+      source: ruleset.source,
+      hash: await rulesetHash(ruleset)
+    },
+    derivations: (result.derivations || []).map(d => ({
+      name: d.name,
+      value: d.value,
+      from: Array.isArray(d.from) ? d.from.map(x => ({ field: x.field, level: x.level })) : undefined
+    })),
+    verdict: result.verdict,
+    judgement: result.judgement,
+    primary_rule: result.rule ? { id: result.rule.id, cit: result.rule.cit || "", level: result.rule.level || "" } : null,
+    triggered: result.triggered.map(r => r.id),
+    triggered_hard: result.triggeredHard.map(r => r.id),
+    triggered_soft: result.triggeredSoft.map(r => r.id),
+    rule_trace: (result.evaluations || []).map(e => ({ id: e.id, matched: e.matched, branch: compactBranch(e.branch) }))
+  };
+  return content;
+}
+
+export async function traceIdForContent(content) {
+  return "SSE-" + await sha256Hex(stableStringify(content));
+}
+
+export async function buildTraceRecord(ruleset, inputText, result) {
+  const content = await buildTraceContent(ruleset, inputText, result);
+  const record = {
+    trace_id: await traceIdForContent(content),
+    created_at: new Date().toISOString(),
+    content
+  };
+  // Present only when a what-if search was run (see counterfactual.mjs).
+  if (result.counterfactuals) record.counterfactuals = compactCounterfactuals(result.counterfactuals);
+  return record;
+}
+
+// Checks a (pasted) trace record. Always verifies that trace_id matches the
+// content hash; if `ruleset` is given and its hash equals the one recorded,
+// also re-evaluates input_text and compares the regenerated content, and the
+// what-if outcome when the record has one.
+export async function verifyTraceRecord(record, ruleset) {
+  const checks = [];
+  if (!record || typeof record !== "object" || !record.content || typeof record.trace_id !== "string") {
+    checks.push({ name: "Record shape", ok: false, detail: "Expected { trace_id, created_at, content }" });
+    return { ok: false, checks };
+  }
+  const content = record.content;
+  if (content.format !== TRACE_FORMAT) {
+    checks.push({ name: "Format", ok: false, detail: `Unsupported format: ${content.format}` });
+    return { ok: false, checks };
+  }
+
+  const recomputed = await traceIdForContent(content);
+  checks.push({
+    name: "Trace ID matches content hash",
+    ok: recomputed === record.trace_id,
+    detail: recomputed === record.trace_id ? recomputed : `expected ${record.trace_id}, recomputed ${recomputed}`
+  });
+
+  if (ruleset) {
+    const hash = await rulesetHash(ruleset);
+    if (hash !== content.ruleset?.hash) {
+      checks.push({
+        name: "Ruleset available",
+        ok: false,
+        detail: `Record was produced under ${content.ruleset?.version} (${content.ruleset?.hash}); loaded ruleset is ${ruleset.version} (${hash})`
+      });
+    } else {
+      let regenerated = null;
+      let counterfactuals = null;
+      try {
+        const result = evaluate(ruleset, content.input_text);
+        regenerated = await buildTraceContent(ruleset, content.input_text, result);
+        if (record.counterfactuals) {
+          counterfactuals = compactCounterfactuals(counterfactualsForText(ruleset, content.input_text, { maxChanges: record.counterfactuals.max_changes }));
+        }
+      } catch (err) {
+        checks.push({ name: "Re-evaluation", ok: false, detail: err && err.message ? err.message : String(err) });
+      }
+      if (regenerated) {
+        const same = stableStringify(regenerated) === stableStringify(content);
+        checks.push({
+          name: "Re-evaluation reproduces record",
+          ok: same,
+          detail: same ? `${regenerated.verdict} — ${regenerated.judgement}` : `re-run gives ${regenerated.verdict} (${regenerated.triggered.join(", ") || "no rules"}), record says ${content.verdict}`
+        });
+      }
+      if (counterfactuals) {
+        const same = stableStringify(counterfactuals) === stableStringify(record.counterfactuals);
+        checks.push({
+          name: "What-if search reproduces record",
+          ok: same,
+          detail: same ? `${counterfactuals.solutions.length} solution(s)` : `re-run finds ${counterfactuals.solutions.length} solution(s), record lists ${(record.counterfactuals.solutions || []).length}`
+        });
+      }
+    }
+  }
+
+  return { ok: checks.every(c => c.ok), checks };
+}
@@ -0,0 +1,195 @@
+// Ruleset validator / linter for rules.json.
+// validateRuleset(ruleset) returns a list of findings:
+//   { severity: "error" | "warning", code, rule, message }
+// "error" means the rule cannot behave as written; "warning" flags likely mistakes.
+
+import { conditionKind, ordinalScale, orderDerived, parseRawCondition, resolveCondition, stableStringify, derivedFields, DERIVED_AGGREGATES, SUPPORTED_OPS } from "./engine.mjs";
+
+const LEVELS = ["hard", "soft"];
+const ORDERING_OPS = [">=", "<=", ">", "<", "between"];
+const LIST_OPS = ["in", "not in", "between"];
+
+function aliasIndex(ruleset) {
+  const canonical = new Set();
+  const aliasOf = new Map(); // lower-case alias -> canonical
+  for (const [canon, alist] of Object.entries(ruleset.aliases || {})) {
+    canonical.add(canon);
+    for (const a of (alist || [])) aliasOf.set(String(a).toLowerCase(), canon);
+  }
+  return { canonical, aliasOf };
+}
+
+function isNumeric(value) {
+  return Array.isArray(value) ? value.every(v => typeof v === "number") : typeof value === "number";
+}
+
+function atomsOf(node, out = []) {
+  const kind = conditionKind(node);
+  if (kind === "atomic") out.push(node);
+  else if (kind === "not") atomsOf(node.not, out);
+  else for (const c of (Array.isArray(node) ? node : node[kind])) atomsOf(c, out);
+  return out;
+}
+
+// Statically decides whether a condition node can ever evaluate to true.
+// Returns a reason string when it cannot, otherwise null.
+function neverTrue(ruleset, node) {
+  const kind = conditionKind(node);
+  if (kind === "atomic") {
+    const c = resolveCondition(node);
+    if (!c) return `unparsed condition "${node.raw || ""}"`;
+    if (!SUPPORTED_OPS.includes(c.op)) return `unsupported operator "${c.op}"`;
+    if (ORDERING_OPS.includes(c.op) && !isNumeric(c.value) && !ordinalScale(ruleset, c.field)) {
+      return `"${c.field} ${c.op} ${c.value}" orders a non-numeric value without an ordinal scale`;
+    }
+    if (LIST_OPS.includes(c.op) && !Array.isArray(c.value)) return `"${c.op}" needs a list value`;
+    return null;
+  }
+  if (kind === "not") return null;
+  const children = Array.isArray(node) ? node : node[kind];
+  if (kind === "any") {
+    if (!children.length) return "empty ANY";
+    const reasons = children.map(c => neverTrue(ruleset, c));
+    return reasons.every(Boolean) ? reasons.join("; ") : null;
+  }
+  for (const c of children) {
+    const r = neverTrue(ruleset, c);
+    if (r) return r;
+  }
+  // Contradictory equalities on the same field within one ALL
+  const eq = new Map();
+  for (const c of children) {
+    const r = conditionKind(c) === "atomic" ? resolveCondition(c) : null;
+    if (!r || r.op !== "=") continue;
+    const v = String(r.value).toLowerCase();
+    if (eq.has(r.field) && eq.get(r.field) !== v) {
+      return `"${r.field}" must equal both "${eq.get(r.field)}" and "${v}"`;
+    }
+    eq.set(r.field, v);
+  }
+  return null;
+}
+
+// Checks the `derived` section: shape, scale references and dependency cycles.
+function validateDerived(ruleset, add) {
+  if (ruleset.derived === undefined) return;
+  if (!Array.isArray(ruleset.derived)) {
+    add("error", "bad-derived", null, "\"derived\" must be an array");
+    return;
+  }
+  const names = new Set();
+  ruleset.derived.forEach((d, i) => {
+    const id = d && d.name ? `derived:${d.name}` : `derived#${i + 1}`;
+    if (!d || !d.name) {
+      add("error", "bad-derived", id, "Derived field has no name");
+      return;
+    }
+    if (names.has(d.name)) add("error", "bad-derived", id, `Derived field "${d.name}" is declared twice`);
+    names.add(d.name);
+    if (!DERIVED_AGGREGATES.includes(String(d.aggregate).toLowerCase())) {
+      add("error", "bad-derived", id, `aggregate "${d.aggregate}" is not one of ${DERIVED_AGGREGATES.join(", ")}`);
+    }
+    if (!d.prefix && !Array.isArray(d.fields)) add("error", "bad-derived", id, "Derived field needs a \"prefix\" or a \"fields\" list");
+    const scale = Array.isArray(d.scale) ? d.scale : (ruleset.ordinal_scales || {})[d.scale];
+    if (!Array.isArray(scale)) {
+      add("error", "unknown-scale", id, `scale "${d.scale}" is not in ordinal_scales`);
+      return;
+    }
+    const levels = scale.map(x => String(x).toLowerCase());
+    if (d.where) {
+      if (!SUPPORTED_OPS.includes(d.where.op)) add("error", "unsupported-op", id, `where.op "${d.where.op}" is not supported`);
+      for (const v of (Array.isArray(d.where.value) ? d.where.value : [d.where.value])) {
+        if (!levels.includes(String(v).toLowerCase())) add("error", "not-in-scale", id, `where value "${v}" is not on scale "${d.scale}" (${levels.join(" < ")})`);
+      }
+    } else if (["count", "any", "all"].includes(String(d.aggregate).toLowerCase())) {
+      add("warning", "bad-derived", id, `"${d.aggregate}" without "where" counts every input`);
+    }
+  });
+  for (const name of orderDerived(ruleset).cycles) {
+    add("error", "derived-cycle", `derived:${name}`, `Derived field "${name}" depends on itself through other derived fields`);
+  }
+}
+
+export function validateRuleset(ruleset) {
+  const findings = [];
+  const add = (severity, code, rule, message) => findings.push({ severity, code, rule, message });
+
+  if (!ruleset || !Array.isArray(ruleset.rules)) {
+    add("error", "no-rules", null, "Ruleset has no \"rules\" array");
+    return findings;
+  }
+
+  const { canonical, aliasOf } = aliasIndex(ruleset);
+  const derived = new Set(derivedFields(ruleset));
+  const knownField = (f) => canonical.has(f) || derived.has(f) || /^rating\.(\*|.+)$/i.test(f);
+
+  const defaultLevel = ruleset.defaults?.level;
+  if (defaultLevel !== undefined && !LEVELS.includes(String(defaultLevel).toLowerCase())) {
+    add("error", "unknown-level", null, `defaults.level "${defaultLevel}" is not one of ${LEVELS.join(", ")}`);
+  }
+
+  for (const [field, scale] of Object.entries(ruleset.ordinal_scales || {})) {
+    if (!knownField(field)) add("warning", "unknown-field", null, `ordinal_scales has "${field}", which is not a known field`);
+    if (!Array.isArray(scale) || !scale.length) add("error", "bad-scale", null, `ordinal_scales["${field}"] must be a non-empty array`);
+  }
+
+  validateDerived(ruleset, add);
+
+  const seen = new Map();
+  ruleset.rules.forEach((rule, i) => {
+    const id = rule.id || `#${i + 1}`;
+    if (!rule.id) add("error", "missing-id", id, "Rule has no id");
+    else if (seen.has(rule.id)) add("error", "duplicate-id", id, `Duplicate rule id (also rule #${seen.get(rule.id) + 1})`);
+    else seen.set(rule.id, i);
+
+    if (rule.level !== undefined && !LEVELS.includes(String(rule.level).toLowerCase())) {
+      add("error", "unknown-level", id, `level "${rule.level}" is not one of ${LEVELS.join(", ")}`);
+    }
+    if (!rule.then || !rule.then.judgement) add("warning", "no-judgement", id, "Rule has no then.judgement");
+    if (rule.if === undefined || (Array.isArray(rule.if) && !rule.if.length)) {
+      add("warning", "empty-condition", id, "Rule has no conditions and matches every input");
+      return;
+    }
+
+    for (const atom of atomsOf(rule.if)) {
+      const c = resolveCondition(atom);
+      if (!c) {
+        add("error", "raw-only", id, `Condition "${atom.raw || JSON.stringify(atom)}" has no structured field/op and its raw text does not parse; it will never match`);
+        continue;
+      }
+      if (atom.field && atom.op && atom.raw) {
+        const fromRaw = parseRawCondition(atom.raw);
+        if (fromRaw && (fromRaw.field !== c.field || fromRaw.op !== c.op || stableStringify(fromRaw.value).toLowerCase() !== stableStringify(c.value).toLowerCase())) {
+          add("warning", "raw-mismatch", id, `raw "${atom.raw}" disagrees with structured "${c.field} ${c.op} ${JSON.stringify(c.value)}"`);
+        }
+      }
+      if (!SUPPORTED_OPS.includes(c.op)) {
+        add("error", "unsupported-op", id, `Operator "${c.op}" is not supported (use ${SUPPORTED_OPS.join(", ")})`);
+      }
+      if (LIST_OPS.includes(c.op) && (!Array.isArray(c.value) || (c.op === "between" && c.value.length !== 2))) {
+        add("error", "bad-value", id, `Operator "${c.op}" needs ${c.op === "between" ? "a [lo, hi] pair" : "a list"} as value`);
+      }
+      if (!knownField(c.field)) {
+        const canon = aliasOf.get(String(c.field).toLowerCase());
+        if (canon) add("error", "alias-field", id, `Field "${c.field}" is an alias; inputs are stored under "${canon}"`);
+        else add("warning", "unknown-field", id, `Field "${c.field}" has no alias entry and is not derived`);
+      }
+      const scale = ordinalScale(ruleset, c.field);
+      const values = Array.isArray(c.value) ? c.value : [c.value];
+      if (scale) {
+        for (const v of values) {
+          if (typeof v !== "number" && !scale.includes(String(v).toLowerCase())) {
+            add("error", "not-in-scale", id, `"${v}" is not on the ordinal scale for "${c.field}" (${scale.join(" < ")})`);
+          }
+        }
+      } else if (ORDERING_OPS.includes(c.op) && !isNumeric(c.value)) {
+        add("error", "no-scale", id, `"${c.field} ${c.op} ${c.value}" needs an ordinal scale for "${c.field}"`);
+      }
+    }
+
+    const never = neverTrue(ruleset, rule.if);
+    if (never) add("warning", "unreachable", id, `Rule can never trigger: ${never}`);
+  });
+
+  return findings;
+}
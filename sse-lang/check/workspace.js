@@ -0,0 +1,181 @@
+// Workspace panel on the check page: named candidates, a verdict matrix with
+// sorting / filtering, and JSON save / restore. Data and matrix logic live in
+// workspace.mjs; this file is DOM only.
+
+import { WORKSPACE_FORMAT, VERDICT_ORDER, emptyWorkspace, parseWorkspace, uniqueName, evaluateWorkspace, sortRows, filterRows } from "./workspace.mjs";
+
+function esc(s) {
+  return String(s)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+const VERDICT_COLOR = { "YES": "#0b6b0b", "YES (ADVISORY)": "#8a5300", "YES*": "#8a5300", "NO": "#b00020", "SYNTAX ERROR": "#b00020" };
+
+// getRuleset: async () => ruleset for the selected version
+// getVersion: () => selected version; setVersion: (v) => switch the selector
+export function setupWorkspace({ getRuleset, getVersion, setVersion }) {
+  const root = document.getElementById("workspace");
+  if (!root) return null;
+  const input = document.getElementById("input");
+  const nameEl = document.getElementById("wsName");
+  const listEl = document.getElementById("wsCandidates");
+  const matrixEl = document.getElementById("wsMatrix");
+  const filterEl = document.getElementById("wsFilter");
+  const verdictEl = document.getElementById("wsVerdict");
+  const restoreEl = document.getElementById("wsRestore");
+
+  let ws = emptyWorkspace(getVersion());
+  let matrix = null;
+
+  verdictEl.innerHTML = `<option value="">All verdicts</option>` + VERDICT_ORDER.map(v => `<option value="${esc(v)}">${esc(v)}</option>`).join("");
+
+  function renderCandidates() {
+    if (!ws.candidates.length) {
+      listEl.innerHTML = `<li class="muted">No candidates yet. Write a program above, name it and click "Add current input".</li>`;
+      return;
+    }
+    listEl.innerHTML = ws.candidates.map((c, i) =>
+      `<li data-i="${i}"><b>${esc(c.name)}</b>
+        <button type="button" data-act="load">Load into editor</button>
+        <button type="button" data-act="update">Replace with editor text</button>
+        <button type="button" data-act="remove">Remove</button></li>`
+    ).join("");
+  }
+
+  function renderMatrix() {
+    if (!matrix || !ws.candidates.length) {
+      matrixEl.innerHTML = "";
+      return;
+    }
+    const { columns } = matrix;
+    const rows = sortRows(filterRows(matrix.rows, ws.view.filter), ws.view.sort);
+    const th = (key, label, title) => {
+      const on = ws.view.sort.key === key;
+      const arrow = on ? (ws.view.sort.dir === "asc" ? " ▲" : " ▼") : "";
+      return `<th data-sort="${esc(key)}" style="cursor:pointer; white-space:nowrap"${title ? ` title="${esc(title)}"` : ""}>${esc(label)}${arrow}</th>`;
+    };
+    let html = `<div class="muted">${rows.length} of ${matrix.rows.length} candidate(s) · ruleset v${esc(matrix.version)}</div>`;
+    html += `<div style="overflow-x:auto"><table class="difftable"><tr>${th("name", "Candidate")}${th("verdict", "Verdict")}${th("judgement", "Judgement")}`;
+    html += columns.rules.map(id => th(`rule:${id}`, id, "Triggered rule (H = hard, S = soft)")).join("");
+    html += columns.derived.map(n => th(`derived:${n}`, n, "Derived field")).join("");
+    html += `</tr>`;
+    for (const r of rows) {
+      html += `<tr><td><b>${esc(r.name)}</b></td>`;
+      html += `<td style="color:${VERDICT_COLOR[r.verdict] || "inherit"}; font-weight:700; white-space:nowrap">${esc(r.verdict)}</td>`;
+      html += `<td>${esc(r.error || r.judgement)}</td>`;
+      html += columns.rules.map(id => `<td style="text-align:center">${r.rules[id] ? (r.rules[id] === "hard" ? "H" : "S") : ""}</td>`).join("");
+      html += columns.derived.map(n => `<td>${n in r.derived ? esc(String(r.derived[n])) : "—"}</td>`).join("");
+      html += `</tr>`;
+    }
+    matrixEl.innerHTML = html + `</table></div>`;
+  }
+
+  async function refresh() {
+    renderCandidates();
+    if (!ws.candidates.length) {
+      matrix = null;
+      renderMatrix();
+      return;
+    }
+    const ruleset = await getRuleset();
+    matrix = { version: ruleset.version, ...evaluateWorkspace(ruleset, ws) };
+    ws.ruleset = getVersion();
+    renderMatrix();
+  }
+
+  function download(filename, text) {
+    const blob = new Blob([text], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  document.getElementById("wsAdd").addEventListener("click", () => {
+    const name = uniqueName(nameEl.value.trim() || `Candidate ${ws.candidates.length + 1}`, ws.candidates);
+    ws.candidates.push({ name, input: input.value });
+    nameEl.value = "";
+    refresh();
+  });
+
+  listEl.addEventListener("click", (ev) => {
+    const btn = ev.target.closest("button[data-act]");
+    if (!btn) return;
+    const i = Number(btn.closest("li[data-i]").dataset.i);
+    const c = ws.candidates[i];
+    if (btn.dataset.act === "load") {
+      input.value = c.input;
+      input.dispatchEvent(new Event("input"));
+      document.getElementById("checkBtn").click();
+      return;
+    }
+    if (btn.dataset.act === "update") c.input = input.value;
+    if (btn.dataset.act === "remove") ws.candidates.splice(i, 1);
+    refresh();
+  });
+
+  matrixEl.addEventListener("click", (ev) => {
+    const h = ev.target.closest("th[data-sort]");
+    if (!h) return;
+    const key = h.dataset.sort;
+    const s = ws.view.sort;
+    ws.view.sort = { key, dir: s.key === key && s.dir === "asc" ? "desc" : "asc" };
+    renderMatrix();
+  });
+
+  filterEl.addEventListener("input", () => {
+    ws.view.filter.text = filterEl.value;
+    renderMatrix();
+  });
+  verdictEl.addEventListener("change", () => {
+    ws.view.filter.verdict = verdictEl.value;
+    renderMatrix();
+  });
+
+  document.getElementById("wsEvaluate").addEventListener("click", () => refresh());
+
+  document.getElementById("wsSave").addEventListener("click", () => {
+    const out = { format: WORKSPACE_FORMAT, ruleset: getVersion(), candidates: ws.candidates, view: ws.view };
+    download("sse-workspace.json", JSON.stringify(out, null, 2) + "\n");
+  });
+
+  document.getElementById("wsClear").addEventListener("click", () => {
+    if (ws.candidates.length && !confirm(`Remove all ${ws.candidates.length} candidates?`)) return;
+    ws = emptyWorkspace(getVersion());
+    filterEl.value = "";
+    verdictEl.value = "";
+    refresh();
+  });
+
+  restoreEl.addEventListener("change", async () => {
+    const file = restoreEl.files && restoreEl.files[0];
+    restoreEl.value = "";
+    if (!file) return;
+    try {
+      ws = parseWorkspace(JSON.parse(await file.text()));
+    } catch (err) {
+      matrixEl.innerHTML = `<div class="errbox"><div class="errtitle">Cannot restore workspace</div><div>${esc(err.message)}</div></div>`;
+      return;
+    }
+    filterEl.value = ws.view.filter.text;
+    verdictEl.value = ws.view.filter.verdict;
+    // Re-evaluate under the version the workspace was saved with, when available.
+    if (ws.ruleset && ws.ruleset !== getVersion()) await setVersion(ws.ruleset);
+    refresh();
+  });
+
+  // Appends [{ name, input }] (names made unique) and re-evaluates.
+  function addCandidates(list) {
+    for (const c of list) ws.candidates.push({ name: uniqueName(c.name, ws.candidates), input: c.input });
+    root.open = true;
+    return refresh();
+  }
+
+  renderCandidates();
+  return { refresh, addCandidates };
+}
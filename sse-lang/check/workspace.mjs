@@ -0,0 +1,116 @@
+// Candidate workspace: several named SSE-Lang programs evaluated under one
+// ruleset and laid out as a matrix (rows = candidates, columns = verdict,
+// judgement, every triggered rule and every derived field).
+//
+// Saved workspaces are plain JSON:
+//   { "format": "sse-lang-workspace/1", "ruleset": "0.2",
+//     "candidates": [{ "name": "LLZO", "input": "<SSE-Lang text>" }, ...],
+//     "view": { "sort": { "key": "verdict", "dir": "desc" }, "filter": { "text": "", "verdict": "" } } }
+
+import { evaluate, derivedDeclarations } from "./engine.mjs";
+
+export const WORKSPACE_FORMAT = "sse-lang-workspace/1";
+
+// Worst first when sorting by verdict descending.
+export const VERDICT_ORDER = ["YES", "YES (ADVISORY)", "YES*", "NO", "SYNTAX ERROR"];
+
+export function emptyWorkspace(rulesetVersion) {
+  return {
+    format: WORKSPACE_FORMAT,
+    ruleset: rulesetVersion || null,
+    candidates: [],
+    view: { sort: { key: "name", dir: "asc" }, filter: { text: "", verdict: "" } }
+  };
+}
+
+// Validates a parsed workspace file; throws Error with a readable message.
+export function parseWorkspace(obj) {
+  if (!obj || typeof obj !== "object") throw new Error("Workspace file must be a JSON object");
+  if (obj.format !== WORKSPACE_FORMAT) throw new Error(`Unsupported workspace format: ${obj.format}`);
+  if (!Array.isArray(obj.candidates)) throw new Error("Workspace has no \"candidates\" array");
+  const names = new Set();
+  const candidates = obj.candidates.map((c, i) => {
+    if (!c || typeof c.input !== "string") throw new Error(`Candidate #${i + 1} has no "input" text`);
+    const name = uniqueName(String(c.name || `Candidate ${i + 1}`), names);
+    names.add(name);
+    return { name, input: c.input };
+  });
+  const ws = emptyWorkspace(obj.ruleset ? String(obj.ruleset) : null);
+  ws.candidates = candidates;
+  if (obj.view && typeof obj.view === "object") {
+    if (obj.view.sort && obj.view.sort.key) ws.view.sort = { key: String(obj.view.sort.key), dir: obj.view.sort.dir === "desc" ? "desc" : "asc" };
+    if (obj.view.filter) ws.view.filter = { text: String(obj.view.filter.text || ""), verdict: String(obj.view.filter.verdict || "") };
+  }
+  return ws;
+}
+
+export function uniqueName(name, taken) {
+  const has = (n) => taken instanceof Set ? taken.has(n) : taken.some(c => c.name === n);
+  if (!has(name)) return name;
+  let i = 2;
+  while (has(`${name} (${i})`)) i++;
+  return `${name} (${i})`;
+}
+
+// Evaluates every candidate. Returns { columns: { rules, derived }, rows }.
+//   rows[i] = { name, verdict, judgement, rules: { id: "hard" | "soft" }, derived: { name: value }, error }
+// Rule columns are the rules triggered by at least one candidate, in ruleset
+// order; derived columns are the ruleset's declared derived fields that any
+// candidate produced.
+export function evaluateWorkspace(ruleset, workspace) {
+  const rows = workspace.candidates.map(c => {
+    let result;
+    try {
+      result = evaluate(ruleset, c.input);
+    } catch (err) {
+      return { name: c.name, verdict: "SYNTAX ERROR", judgement: "", rules: {}, derived: {}, error: err && err.message ? err.message.split("\n")[0] : String(err) };
+    }
+    const rules = {};
+    for (const r of result.triggeredHard) rules[r.id] = "hard";
+    for (const r of result.triggeredSoft) rules[r.id] = "soft";
+    const derived = {};
+    for (const d of result.derivations) if (Array.isArray(d.from)) derived[d.name] = d.value;
+    return { name: c.name, verdict: result.verdict, judgement: result.judgement, rules, derived, error: null };
+  });
+
+  const ruleIds = (ruleset.rules || []).map(r => r.id).filter(id => rows.some(row => row.rules[id]));
+  const derivedNames = derivedDeclarations(ruleset).map(d => d.name).filter(n => rows.some(row => n in row.derived));
+  return { columns: { rules: ruleIds, derived: derivedNames }, rows };
+}
+
+// Sort keys: "name", "verdict", "judgement", "rule:<id>", "derived:<name>".
+function sortValue(row, key) {
+  if (key === "verdict") return VERDICT_ORDER.indexOf(row.verdict);
+  if (key === "judgement") return row.judgement || row.error || "";
+  if (key.startsWith("rule:")) return { hard: 2, soft: 1 }[row.rules[key.slice(5)]] || 0;
+  if (key.startsWith("derived:")) {
+    const v = row.derived[key.slice(8)];
+    return v === undefined ? -Infinity : (typeof v === "boolean" ? Number(v) : v);
+  }
+  return row.name;
+}
+
+export function sortRows(rows, sort) {
+  const dir = sort && sort.dir === "desc" ? -1 : 1;
+  const key = (sort && sort.key) || "name";
+  return [...rows].sort((a, b) => {
+    const x = sortValue(a, key);
+    const y = sortValue(b, key);
+    const c = typeof x === "string" || typeof y === "string"
+      ? String(x).localeCompare(String(y), undefined, { numeric: true })
+      : x - y;
+    return c * dir || a.name.localeCompare(b.name, undefined, { numeric: true });
+  });
+}
+
+// filter.text matches candidate name, judgement or a triggered rule id
+// (case-insensitive); filter.verdict keeps one verdict only.
+export function filterRows(rows, filter) {
+  const text = String((filter && filter.text) || "").trim().toLowerCase();
+  const verdict = (filter && filter.verdict) || "";
+  return rows.filter(r => {
+    if (verdict && r.verdict !== verdict) return false;
+    if (!text) return true;
+    return [r.name, r.judgement, r.error || "", ...Object.keys(r.rules)].some(s => String(s).toLowerCase().includes(text));
+  });
+}
@@ -0,0 +1,137 @@
+// Offline support for the SSE-Lang checker (/sse-lang/check/) and the specs it
+// links to. Lives at /sse-lang/ so its scope covers /sse-lang/spec/ as well.
+//
+// - Page code and specs: cache first, like larc/sw.js. Bump CACHE when they change.
+// - Rulesets (rules.json, rulesets/*.json): served from the cache, then
+//   revalidated; when the server copy differs, the cache is updated and open
+//   pages get { type: "rules-updated", url, version }.
+
+const CACHE = "sse-check-v1";
+const RULES = ["/sse-lang/check/rules.json", "/sse-lang/check/rulesets/index.json", "/sse-lang/check/rulesets/v0.1.json"];
+const ASSETS = [
+  "/sse-lang/",
+  "/sse-lang/what-is/",
+  "/sse-lang/citation/",
+  "/sse-lang/spec/input-syntax-v0.1.1/",
+  "/sse-lang/spec/derived-semantics-v0.2/",
+  "/sse-lang/spec/rules-v0.2-advisory/",
+  "/sse-lang/assets/SSE-Lang_v0.2_One-Page_Abstract.pdf",
+  "/sse-lang/check/",
+  "/sse-lang/check/manifest.webmanifest",
+  "/sse-lang/check/icon.svg",
+  "/sse-lang/check/checker.js",
+  "/sse-lang/check/editor.js",
+  "/sse-lang/check/workspace.js",
+  "/sse-lang/check/import.js",
+  "/sse-lang/check/offline.js",
+  "/sse-lang/check/embed.js",
+  "/sse-lang/check/embed/",
+  "/sse-lang/check/engine.mjs",
+  "/sse-lang/check/trace.mjs",
+  "/sse-lang/check/validate.mjs",
+  "/sse-lang/check/rulesets.mjs",
+  "/sse-lang/check/language.mjs",
+  "/sse-lang/check/counterfactual.mjs",
+  "/sse-lang/check/workspace.mjs",
+  "/sse-lang/check/importer.mjs",
+  "/sse-lang/check/permalink.mjs"
+];
+const RULES_PATH = /^\/sse-lang\/check\/(rules\.json|rulesets\/[^/]+\.json)$/;
+const CACHED_AT = "X-SSE-Cached-At";
+
+// Copy of a ruleset response stamped with the time it was cached.
+async function stamped(res) {
+  const headers = new Headers(res.headers);
+  headers.set(CACHED_AT, new Date().toISOString());
+  return new Response(await res.clone().text(), { status: res.status, statusText: res.statusText, headers });
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    await cache.addAll(ASSETS);
+    for (const url of RULES) {
+      const res = await fetch(url, { cache: "no-store" });
+      if (res.ok) await cache.put(url, await stamped(res));
+    }
+    self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    // Only our own old versions: other apps on this origin (larc/sw.js) keep theirs.
+    await Promise.all(keys.filter(k => k.startsWith("sse-check-") && k !== CACHE).map(k => caches.delete(k)));
+    self.clients.claim();
+  })());
+});
+
+async function notify(message) {
+  const clients = await self.clients.matchAll({ type: "window" });
+  for (const c of clients) c.postMessage(message);
+}
+
+async function revalidate(request, path, cached) {
+  const fresh = await fetch(request, { cache: "no-store" });
+  if (!fresh.ok) return fresh;
+  const text = await fresh.clone().text();
+  const cache = await caches.open(CACHE);
+  if (cached && (await cached.clone().text()) === text) return fresh;
+  await cache.put(path, await stamped(fresh));
+  if (cached) {
+    let version = null;
+    try { version = JSON.parse(text).version || null; } catch (_) {}
+    await notify({ type: "rules-updated", url: path, version });
+  }
+  return fresh;
+}
+
+self.addEventListener("fetch", (event) => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  if (RULES_PATH.test(url.pathname)) {
+    event.respondWith((async () => {
+      const cached = await caches.match(url.pathname);
+      const update = revalidate(event.request, url.pathname, cached);
+      if (cached) {
+        event.waitUntil(update.catch(() => null));
+        return cached;
+      }
+      return update;
+    })());
+    return;
+  }
+
+  event.respondWith((async () => {
+    // Permalinks and ?ruleset= still hit the cached page.
+    const cached = await caches.match(event.request, { ignoreSearch: event.request.mode === "navigate" });
+    if (cached) return cached;
+    try {
+      const fresh = await fetch(event.request);
+      return fresh;
+    } catch {
+      if (event.request.mode === "navigate") return caches.match("/sse-lang/check/");
+      throw new Error(`Offline and not cached: ${url.pathname}`);
+    }
+  })());
+});
+
+// The page asks which rulesets are cached: { type: "status" } on a MessageChannel.
+self.addEventListener("message", (event) => {
+  if (!event.data || event.data.type !== "status" || !event.ports[0]) return;
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    const rulesets = [];
+    for (const req of await cache.keys()) {
+      const url = new URL(req.url).pathname;
+      if (!RULES_PATH.test(url)) continue;
+      const res = await cache.match(req);
+      let version = null;
+      try { version = JSON.parse(await res.clone().text()).version || null; } catch (_) {}
+      rulesets.push({ url, version, cached_at: res.headers.get(CACHED_AT) });
+    }
+    event.ports[0].postMessage({ cache: CACHE, rulesets });
+  })());
+});
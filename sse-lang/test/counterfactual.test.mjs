@@ -0,0 +1,34 @@
+// Regression checks for the what-if search. Run from the repository root:
+//   node --test sse-lang/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { counterfactualsForText } from "../check/counterfactual.mjs";
+
+const ruleset = JSON.parse(readFileSync(new URL("../check/rules.json", import.meta.url), "utf8"));
+
+test("fields the rules refer to but the input lacks are tried as additions", () => {
+  const cf = counterfactualsForText(ruleset, "Ion Path Dimensionality: 1D\n", { targets: ["NO"] });
+  assert.deepEqual(cf.solutions.map(s => s.changes), [
+    [{ field: "Data Reliability", to: "speculative", added: true }],
+    [{ field: "Path Continuity", to: "discrete", added: true }]
+  ]);
+});
+
+test("the search stops at maxEvaluations, the same way every run", () => {
+  const text = [
+    "IonPathDimensionality: \"1D\";",
+    "PathContinuity: discrete;",
+    "FrameworkRigidity: soft;",
+    "ElectrochemicalWindow: narrow;",
+    "Rating.Stability: critical;",
+    "Rating.Cost: poor;",
+    "DataReliability: speculative;"
+  ].join("\n");
+  const cf = counterfactualsForText(ruleset, text, { maxChanges: 5, maxEvaluations: 200 });
+  assert.equal(cf.capped, true);
+  assert.equal(cf.exhaustive, false);
+  assert.equal(cf.evaluated, 200);
+  assert.deepEqual(counterfactualsForText(ruleset, text, { maxChanges: 5, maxEvaluations: 200 }), cf);
+});
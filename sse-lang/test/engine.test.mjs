@@ -0,0 +1,21 @@
+// Regression checks for the SSE-Lang parser. Run from the repository root:
+//   node --test sse-lang/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { parseSSELangProgram } from "../check/engine.mjs";
+
+const ruleset = JSON.parse(readFileSync(new URL("../check/rules.json", import.meta.url), "utf8"));
+
+test("recovery after a broken statement stops at the next line's assignment", () => {
+  const text = [
+    "IonPathDimensionality: \"1D\" extra words",
+    "PathContinuity: discrete;",
+    "Rating.Stability: \"poor",
+    "FrameworkRigidity: soft;"
+  ].join("\n");
+  const { map, diagnostics } = parseSSELangProgram(text, ruleset);
+  assert.deepEqual(diagnostics.map(d => `${d.code}@${d.line}`), ["missing-semicolon@1", "unterminated-string@3"]);
+  assert.deepEqual([...map.keys()], ["Path Continuity", "Rating.Stability", "Framework Rigidity"]);
+});
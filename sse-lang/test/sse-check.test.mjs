@@ -0,0 +1,51 @@
+// Regression checks for the sse-check CLI. Run from the repository root:
+//   node --test sse-lang/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, readdirSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { verifyTraceRecord } from "../check/trace.mjs";
+
+const CLI = fileURLToPath(new URL("../check/sse-check.mjs", import.meta.url));
+const RULES = fileURLToPath(new URL("../check/rules.json", import.meta.url));
+const ruleset = JSON.parse(readFileSync(RULES, "utf8"));
+
+function sseCheck(args, input) {
+  return spawnSync(process.execPath, [CLI, "--rules", RULES, ...args], { input, encoding: "utf8", timeout: 60000 });
+}
+
+test("legacy fields rows with aliases and dotted rating keys are checked, not parsed as SSE-Lang", async () => {
+  const dir = mkdtempSync(join(tmpdir(), "sse-check-"));
+  try {
+    const line = JSON.stringify({ id: "a", fields: { "Ion Path Dimensionality": "3D", "Path Continuity": "flexible", "Rating.Stability": "moderate" } });
+    const run = sseCheck(["--jsonl", "-", "--format", "json", "--traces", dir], line + "\n");
+    assert.equal(run.status, 0, run.stderr);
+    const [row] = JSON.parse(run.stdout).results;
+    assert.equal(row.error, null);
+    assert.equal(row.verdict, "YES");
+    const [file] = readdirSync(dir);
+    const verified = await verifyTraceRecord(JSON.parse(readFileSync(join(dir, file), "utf8")), ruleset);
+    assert.ok(verified.ok, JSON.stringify(verified.checks));
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("legacy fields rows report keys and values they cannot map", () => {
+  const line = JSON.stringify({ id: "b", fields: { IonPathDimensionality: "1D", PathContinuity: "discrete", Colour: "red" } });
+  const run = sseCheck(["--jsonl", "-"], line + "\n");
+  assert.equal(run.status, 3);
+  assert.match(run.stderr, /^b: warning: .*"Colour".*\[unmapped-column\]$/m);
+});
+
+test("CSV reports keep spreadsheet formulas as text", () => {
+  const line = JSON.stringify({ id: "=HYPERLINK(\"http://example.com\",\"x\")", fields: { IonPathDimensionality: "3D" } });
+  const run = sseCheck(["--jsonl", "-", "--format", "csv"], line + "\n");
+  assert.equal(run.status, 0, run.stderr);
+  const [, row] = run.stdout.split("\n");
+  assert.ok(row.startsWith(`"'=HYPERLINK(""http://example.com"",""x"")",YES,`), row);
+});